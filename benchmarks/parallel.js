@@ -0,0 +1,54 @@
+import { randomBytes } from 'crypto'
+import { mkdtemp, rm, stat, writeFile } from 'fs/promises'
+import { availableParallelism, tmpdir } from 'os'
+import { join } from 'path'
+import { performance } from 'perf_hooks'
+import { compressFile } from '../src/main.js'
+
+/*
+ * Порівнює звичайну й паралельну компресію Gzip на згенерованому файлі.
+ *
+ *   yarn bench [розмір у МБ] [кількість воркерів]
+ *
+ * Прискорення залежить від кількості ядер: на одному ядрі паралельний режим лише додає накладні витрати.
+ */
+
+const sizeMb = Number(process.argv[2] ?? 64)
+const workers = Number(process.argv[3] ?? availableParallelism())
+
+// Текст з повторами стискається приблизно як логи: швидкість визначає компресор, а не диск
+async function createSample(filePath, size) {
+  const words = randomBytes(4096)
+    .toString('base64')
+    .match(/.{1,8}/g)
+  const lines = []
+  let length = 0
+  while (length < size) {
+    const line = Array.from({ length: 12 }, (_, index) => words[(length + index * 31) % words.length]).join(' ')
+    lines.push(line)
+    length += line.length + 1
+  }
+  await writeFile(filePath, `${lines.join('\n')}\n`)
+}
+
+async function measure(label, filePath, options) {
+  const start = performance.now()
+  const archivePath = await compressFile(filePath, { ...options, onConflict: 'overwrite', preserveMetadata: false })
+  const seconds = (performance.now() - start) / 1000
+  const { size } = await stat(archivePath)
+  console.log(`${label.padEnd(24)} ${seconds.toFixed(2).padStart(7)} s  ${(size / 1024 / 1024).toFixed(1)} MB`)
+  return seconds
+}
+
+const baseDir = await mkdtemp(join(tmpdir(), 'bench-'))
+try {
+  const filePath = join(baseDir, 'sample.log')
+  await createSample(filePath, sizeMb * 1024 * 1024)
+  console.log(`${sizeMb} MB, ${availableParallelism()} CPU(s)`)
+
+  const serial = await measure('serial', filePath, {})
+  const parallel = await measure(`parallel (${workers} workers)`, filePath, { parallel: true, workers })
+  console.log(`speedup: ${(serial / parallel).toFixed(2)}×`)
+} finally {
+  await rm(baseDir, { recursive: true, force: true })
+}
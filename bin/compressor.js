@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+import { run } from '../src/cli.js'
+
+// Ctrl+C скасовує поточну операцію й прибирає частково записані файли
+const controller = new AbortController()
+process.once('SIGINT', () => controller.abort())
+
+process.exitCode = await run(process.argv.slice(2), { signal: controller.signal })
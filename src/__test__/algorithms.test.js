@@ -0,0 +1,77 @@
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { brotliCompressSync, gunzipSync } from 'zlib'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { compressFile, decompressFile } from '../main.js'
+import { detectAlgorithm, isZstdSupported } from '../algorithms.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+describe('compression algorithms', () => {
+  const content = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(200)
+  let baseDir
+  let filePath
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'algorithms-'))
+    filePath = join(baseDir, 'source.txt')
+    await writeFile(filePath, content)
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test.each([
+    ['gzip', '.gz'],
+    ['deflate', '.zz'],
+    ['brotli', '.br']
+  ])('should round-trip %s and name the output with %s', async (algorithm, extension) => {
+    const compressedPath = await compressFile(filePath, { algorithm, level: 9 })
+    expect(compressedPath).toBe(`${filePath}${extension}`)
+
+    const resultPath = await decompressFile(compressedPath, join(baseDir, 'source_decompressed.txt'))
+    expect(await readFile(resultPath, 'utf8')).toBe(content)
+  })
+
+  test('should write real gzip data', async () => {
+    const compressedPath = await compressFile(filePath)
+    expect(gunzipSync(await readFile(compressedPath)).toString()).toBe(content)
+  })
+
+  test('should detect Brotli data inside a misnamed .gz file', async () => {
+    const misnamedPath = join(baseDir, 'misnamed.txt.gz')
+    await writeFile(misnamedPath, brotliCompressSync(content))
+
+    const resultPath = await decompressFile(misnamedPath, join(baseDir, 'misnamed.txt'))
+    expect(await readFile(resultPath, 'utf8')).toBe(content)
+  })
+
+  test('should detect formats by magic bytes', () => {
+    expect(detectAlgorithm(Buffer.from([0x1f, 0x8b, 0x08]))).toBe('gzip')
+    expect(detectAlgorithm(Buffer.from([0x78, 0x9c]))).toBe('deflate')
+    expect(detectAlgorithm(Buffer.from([0x28, 0xb5, 0x2f, 0xfd]))).toBe('zstd')
+    expect(detectAlgorithm(Buffer.from('plain text'), true)).toBeNull()
+  })
+
+  test('should reject unknown algorithms', async () => {
+    await expect(compressFile(filePath, { algorithm: 'lzma' })).rejects.toThrow(
+      'Unsupported compression algorithm "lzma"'
+    )
+  })
+
+  test.runIf(!isZstdSupported())('should reject zstd when the runtime lacks it', async () => {
+    await expect(compressFile(filePath, { algorithm: 'zstd' })).rejects.toThrow('Zstandard is not supported')
+  })
+
+  test.runIf(isZstdSupported())('should round-trip zstd', async () => {
+    const compressedPath = await compressFile(filePath, { algorithm: 'zstd' })
+    expect(compressedPath).toBe(`${filePath}.zst`)
+    const resultPath = await decompressFile(compressedPath, join(baseDir, 'source_decompressed.txt'))
+    expect(await readFile(resultPath, 'utf8')).toBe(content)
+  })
+})
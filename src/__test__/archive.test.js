@@ -0,0 +1,149 @@
+import { execFileSync } from 'child_process'
+import {
+  chmod,
+  lstat,
+  mkdir,
+  mkdtemp,
+  readdir,
+  readFile,
+  readlink,
+  rm,
+  stat,
+  symlink,
+  utimes,
+  writeFile
+} from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { gzipSync } from 'zlib'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { CorruptArchiveError, SourceNotFoundError, compressDirectory, extractArchive } from '../main.js'
+import { createHeaderBlocks } from '../tar.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+describe('compressDirectory / extractArchive', () => {
+  const mtime = new Date('2024-05-01T12:00:00Z')
+  let baseDir
+  let projectDir
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'archive-'))
+    projectDir = join(baseDir, 'project')
+    await mkdir(join(projectDir, 'src', 'nested'), { recursive: true })
+    await mkdir(join(projectDir, 'empty'))
+    await mkdir(join(projectDir, 'node_modules', 'dep'), { recursive: true })
+    await writeFile(join(projectDir, 'README.md'), '# Project\n')
+    await writeFile(join(projectDir, 'run.sh'), '#!/bin/sh\necho ok\n', { mode: 0o755 })
+    await writeFile(join(projectDir, 'src', 'index.js'), 'export default 42\n'.repeat(1000))
+    await writeFile(join(projectDir, 'src', 'nested', 'debug.log'), 'log line\n')
+    await writeFile(join(projectDir, 'node_modules', 'dep', 'index.js'), 'module.exports = 1\n')
+    await symlink('src/index.js', join(projectDir, 'link.js'))
+    await utimes(join(projectDir, 'README.md'), mtime, mtime)
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test('should round-trip contents, modes, mtimes and symlinks', async () => {
+    const archivePath = await compressDirectory(projectDir)
+    const restoredDir = join(baseDir, 'restored')
+    const extracted = await extractArchive(archivePath, restoredDir)
+
+    expect(archivePath).toBe(join(baseDir, 'project.tar.gz'))
+    expect(extracted).toContain(join(restoredDir, 'src', 'nested', 'debug.log'))
+    expect(await readFile(join(restoredDir, 'src', 'index.js'), 'utf8')).toBe('export default 42\n'.repeat(1000))
+    expect(await readdir(join(restoredDir, 'empty'))).toEqual([])
+    expect((await stat(join(restoredDir, 'run.sh'))).mode & 0o777).toBe(0o755)
+    expect((await stat(join(restoredDir, 'README.md'))).mtime).toEqual(mtime)
+    expect((await lstat(join(restoredDir, 'link.js'))).isSymbolicLink()).toBe(true)
+    expect(await readlink(join(restoredDir, 'link.js'))).toBe('src/index.js')
+  })
+
+  test('should drop setuid, setgid and sticky bits unless allowed', async () => {
+    await chmod(join(projectDir, 'run.sh'), 0o6755)
+    await chmod(join(projectDir, 'empty'), 0o1777)
+    const archivePath = await compressDirectory(projectDir)
+
+    await extractArchive(archivePath, join(baseDir, 'masked'))
+    await extractArchive(archivePath, join(baseDir, 'preserved'), { preserveSpecialBits: true })
+
+    expect((await stat(join(baseDir, 'masked', 'run.sh'))).mode & 0o7777).toBe(0o755)
+    expect((await stat(join(baseDir, 'masked', 'empty'))).mode & 0o7777).toBe(0o777)
+    expect((await stat(join(baseDir, 'preserved', 'run.sh'))).mode & 0o7777).toBe(0o6755)
+    expect((await stat(join(baseDir, 'preserved', 'empty'))).mode & 0o7777).toBe(0o1777)
+  })
+
+  test('should apply the unique naming rules to the archive', async () => {
+    await compressDirectory(projectDir)
+    const secondPath = await compressDirectory(`${projectDir}/`, { algorithm: 'brotli' })
+    const thirdPath = await compressDirectory(projectDir)
+
+    expect(secondPath).toBe(join(baseDir, 'project.tar.br'))
+    expect(thirdPath).toBe(join(baseDir, 'project_1.tar.gz'))
+  })
+
+  test('should filter entries with include/exclude globs', async () => {
+    const archivePath = await compressDirectory(projectDir)
+    const restoredDir = join(baseDir, 'restored')
+
+    await extractArchive(archivePath, restoredDir, { include: ['*.js', '*.md'], exclude: ['node_modules', 'link.js'] })
+
+    expect((await readdir(restoredDir)).sort()).toEqual(['README.md', 'src'])
+    expect(await readdir(join(restoredDir, 'src'))).toEqual(['index.js'])
+  })
+
+  test('should keep paths longer than the ustar name field', async () => {
+    const deepDir = join(projectDir, 'a'.repeat(60), 'b'.repeat(60))
+    await mkdir(deepDir, { recursive: true })
+    await writeFile(join(deepDir, `${'c'.repeat(80)}.txt`), 'deep')
+
+    const restoredDir = join(baseDir, 'restored')
+    await extractArchive(await compressDirectory(projectDir), restoredDir)
+
+    const restoredFile = join(restoredDir, 'a'.repeat(60), 'b'.repeat(60), `${'c'.repeat(80)}.txt`)
+    expect(await readFile(restoredFile, 'utf8')).toBe('deep')
+  })
+
+  test('should carry uid, gid and mtime that overflow ustar fields in PAX records', async () => {
+    const beforeEpoch = new Date('1969-12-31T00:00:00Z')
+    await utimes(join(projectDir, 'README.md'), beforeEpoch, beforeEpoch)
+    const tarPath = join(baseDir, 'owners.tar')
+    const data = Buffer.from('owned')
+    await writeFile(
+      tarPath,
+      Buffer.concat([
+        ...createHeaderBlocks({ name: 'owned.txt', type: '0', size: data.length, uid: 3000000, gid: 3000001 }),
+        data,
+        Buffer.alloc(512 - data.length + 1024)
+      ])
+    )
+
+    const restoredDir = join(baseDir, 'restored')
+    await extractArchive(await compressDirectory(projectDir), restoredDir)
+
+    expect((await stat(join(restoredDir, 'README.md'))).mtime).toEqual(beforeEpoch)
+    expect(execFileSync('tar', ['-tv', '--numeric-owner', '-f', tarPath], { encoding: 'utf8' })).toContain(
+      '3000000/3000001'
+    )
+  })
+
+  test('should reject a missing directory', async () => {
+    await expect(compressDirectory(join(baseDir, 'missing'))).rejects.toBeInstanceOf(SourceNotFoundError)
+    expect(await readdir(baseDir)).toEqual(['project'])
+  })
+
+  test('should reject a truncated tar stream', async () => {
+    const archivePath = join(baseDir, 'broken.tar.gz')
+    await writeFile(archivePath, gzipSync(Buffer.alloc(700, 'x')))
+
+    const error = await extractArchive(archivePath, join(baseDir, 'restored')).catch((error) => error)
+
+    expect(error).toBeInstanceOf(CorruptArchiveError)
+    expect(error.operation).toBe('extract')
+  })
+})
@@ -0,0 +1,134 @@
+import { mkdir, mkdtemp, readdir, readFile, rm, stat, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { compressMany, decompressMany } from '../main.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+describe('compressMany / decompressMany', () => {
+  let baseDir
+  let logsDir
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'batch-'))
+    logsDir = join(baseDir, 'logs')
+    await mkdir(join(logsDir, 'archive'), { recursive: true })
+    for (let index = 0; index < 5; index++) {
+      await writeFile(join(logsDir, `app-${index}.log`), `log line ${index}\n`.repeat(100))
+    }
+    await writeFile(join(logsDir, 'notes.txt'), 'not a log')
+    await writeFile(join(logsDir, 'archive', 'old.log'), 'old\n'.repeat(100))
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test('should compress files matched by a glob and report totals', async () => {
+    const onFile = vi.fn()
+
+    const report = await compressMany(join(logsDir, '*.log'), { concurrency: 2, onFile })
+
+    expect(report.files.map(({ source }) => source)).toEqual(
+      [0, 1, 2, 3, 4].map((index) => join(logsDir, `app-${index}.log`))
+    )
+    expect(report.files[0]).toEqual({
+      source: join(logsDir, 'app-0.log'),
+      output: join(logsDir, 'app-0.log.gz'),
+      status: 'ok',
+      bytesIn: 1100,
+      bytesOut: expect.any(Number),
+      ratio: expect.any(Number),
+      durationMs: expect.any(Number),
+      error: null
+    })
+    expect(report.totals).toMatchObject({ files: 5, succeeded: 5, failed: 0, skipped: 0, bytesIn: 5500 })
+    expect(report.totals.ratio).toBeGreaterThan(1)
+    expect(onFile).toHaveBeenCalledTimes(5)
+  })
+
+  test('should walk subdirectories with ** patterns', async () => {
+    const report = await compressMany(join(logsDir, '**', '*.log'))
+
+    expect(report.totals.succeeded).toBe(6)
+    expect(await readdir(join(logsDir, 'archive'))).toEqual(['old.log', 'old.log.gz'])
+  })
+
+  test('should take existing paths with glob characters literally', async () => {
+    const routePath = join(logsDir, '[id].js')
+    await writeFile(routePath, 'export default {}\n'.repeat(100))
+    // Без буквального збігу `[id].js` — клас символів, що знайшов би `i.js` чи `d.js`
+    await writeFile(join(logsDir, 'i.js'), 'decoy')
+
+    const report = await compressMany([routePath, join(logsDir, '*.txt')])
+
+    expect(report.files.map(({ source, status }) => [source, status])).toEqual([
+      [routePath, 'ok'],
+      [join(logsDir, 'notes.txt'), 'ok']
+    ])
+    expect(await readdir(logsDir)).toContain('[id].js.gz')
+    expect(await readdir(logsDir)).not.toContain('i.js.gz')
+  })
+
+  test('should continue after a failed file by default', async () => {
+    const missingPath = join(logsDir, 'missing.log')
+
+    const report = await compressMany([missingPath, join(logsDir, 'app-0.log')], { concurrency: 1 })
+
+    expect(report.files[0]).toMatchObject({
+      status: 'failed',
+      output: null,
+      error: { code: 'ERR_SOURCE_NOT_FOUND', message: `file "${missingPath}" does not exist` }
+    })
+    expect(report.files[1].status).toBe('ok')
+    expect(report.totals).toMatchObject({ succeeded: 1, failed: 1 })
+  })
+
+  test('should skip the remaining files in fail-fast mode', async () => {
+    const report = await compressMany([join(logsDir, 'missing.log'), join(logsDir, '*.log')], {
+      concurrency: 1,
+      failFast: true
+    })
+
+    expect(report.totals).toMatchObject({ files: 6, succeeded: 0, failed: 1, skipped: 5 })
+    expect(await readdir(logsDir)).not.toContain('app-0.log.gz')
+  })
+
+  test('should name encrypted and split results in an output directory like compressFile', async () => {
+    const encryptedDir = join(baseDir, 'encrypted')
+    const splitDir = join(baseDir, 'split')
+
+    const encrypted = await compressMany(join(logsDir, 'app-0.log'), {
+      outputDir: encryptedDir,
+      encrypt: { password: 'secret' }
+    })
+    const split = await compressMany(join(logsDir, 'app-0.log'), { outputDir: splitDir, level: 0, volumeSize: 512 })
+
+    expect(encrypted.files[0].output).toBe(join(encryptedDir, 'app-0.log.gz.enc'))
+    expect(await readdir(encryptedDir)).toEqual(['app-0.log.gz.enc'])
+    expect(split.files[0].output).toBe(join(splitDir, 'app-0.log.gz.manifest'))
+    const volumes = (await readdir(splitDir)).filter((name) => !name.endsWith('.manifest'))
+    expect(volumes).toEqual(['app-0.log.gz.001', 'app-0.log.gz.002', 'app-0.log.gz.003'])
+    const volumeSizes = await Promise.all(volumes.map(async (name) => (await stat(join(splitDir, name))).size))
+    expect(split.files[0].bytesOut).toBe(volumeSizes.reduce((sum, size) => sum + size, 0))
+  })
+
+  test('should decompress a batch into an output directory', async () => {
+    await compressMany(join(logsDir, '*.log'), { algorithm: 'brotli' })
+    const restoredDir = join(baseDir, 'restored')
+
+    const report = await decompressMany(join(logsDir, '*.br'), { outputDir: restoredDir })
+
+    expect(report.totals).toMatchObject({ files: 5, succeeded: 5, bytesOut: 5500 })
+    expect((await readdir(restoredDir)).sort()).toEqual([0, 1, 2, 3, 4].map((index) => `app-${index}.log`))
+    expect(await readFile(join(restoredDir, 'app-3.log'), 'utf8')).toBe('log line 3\n'.repeat(100))
+  })
+
+  test('should reject an invalid concurrency', async () => {
+    await expect(compressMany(join(logsDir, '*.log'), { concurrency: 0 })).rejects.toBeInstanceOf(TypeError)
+  })
+})
@@ -0,0 +1,227 @@
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { PassThrough, Readable } from 'stream'
+import { brotliCompressSync, gunzipSync, gzipSync } from 'zlib'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { EXIT_CODES, run } from '../cli.js'
+import { compressFile } from '../main.js'
+
+// Працюємо з реальними path, zlib, util та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+/**
+ * Запускає CLI з підставними stdin/stdout/stderr і збирає їхній вміст.
+ */
+async function runCli(argv, stdinContent = '') {
+  const stdout = new PassThrough()
+  const stderr = new PassThrough()
+  const chunks = { stdout: [], stderr: [] }
+  stdout.on('data', (chunk) => chunks.stdout.push(chunk))
+  stderr.on('data', (chunk) => chunks.stderr.push(chunk))
+
+  const exitCode = await run(argv, { stdin: Readable.from([Buffer.from(stdinContent)]), stdout, stderr })
+  return {
+    exitCode,
+    stdout: Buffer.concat(chunks.stdout),
+    stderr: Buffer.concat(chunks.stderr).toString()
+  }
+}
+
+describe('command-line tool', () => {
+  const content = 'This is the original content of the file\n'.repeat(50)
+  let baseDir
+  let filePath
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'cli-'))
+    filePath = join(baseDir, 'source.txt')
+    await writeFile(filePath, content)
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test('should compress and remove the source with --rm', async () => {
+    const { exitCode, stdout } = await runCli(['compress', '--rm', '--json', filePath])
+
+    expect(exitCode).toBe(EXIT_CODES.OK)
+    expect(JSON.parse(stdout.toString())).toMatchObject({
+      command: 'compress',
+      input: filePath,
+      output: `${filePath}.gz`,
+      algorithm: 'gzip',
+      uncompressedBytes: content.length
+    })
+    expect(await readdir(baseDir)).toEqual(['source.txt.gz'])
+  })
+
+  test('should decompress next to the archive by default', async () => {
+    const archivePath = join(baseDir, 'data.txt.br')
+    await writeFile(archivePath, brotliCompressSync(content))
+
+    const { exitCode } = await runCli(['decompress', archivePath])
+
+    expect(exitCode).toBe(EXIT_CODES.OK)
+    expect(await readFile(join(baseDir, 'data.txt'), 'utf8')).toBe(content)
+  })
+
+  test('should stream stdin to stdout with -', async () => {
+    const { exitCode, stdout, stderr } = await runCli(['compress', '-'], content)
+
+    expect(exitCode).toBe(EXIT_CODES.OK)
+    expect(gunzipSync(stdout).toString()).toBe(content)
+    expect(stderr).toContain('- -> -')
+  })
+
+  test('should round-trip through stdin with format detection', async () => {
+    const compressed = await runCli(['compress', '-a', 'deflate', filePath, '-o', '-'])
+    const { exitCode, stdout } = await runCli(['decompress', '-'], compressed.stdout)
+
+    expect(exitCode).toBe(EXIT_CODES.OK)
+    expect(stdout.toString()).toBe(content)
+  })
+
+  test('should write stdin results through the same conflict and atomic-write rules as files', async () => {
+    const compressed = await runCli(['compress', filePath, '-o', '-'])
+    const existingPath = join(baseDir, 'restored.txt')
+    await writeFile(existingPath, 'keep me')
+
+    const incremented = await runCli(['decompress', '-', '-o', existingPath, '--json'], compressed.stdout)
+    const refused = await runCli(['decompress', '-', '-o', existingPath, '--on-conflict', 'error'], compressed.stdout)
+    const corrupt = await runCli(
+      ['decompress', '-', '-o', join(baseDir, 'corrupt.txt')],
+      compressed.stdout.subarray(0, 40)
+    )
+
+    expect(incremented.exitCode).toBe(EXIT_CODES.OK)
+    expect(JSON.parse(incremented.stdout.toString())).toMatchObject({ output: join(baseDir, 'restored_1.txt') })
+    expect(await readFile(join(baseDir, 'restored_1.txt'), 'utf8')).toBe(content)
+    expect(await readFile(existingPath, 'utf8')).toBe('keep me')
+    expect(refused.exitCode).toBe(EXIT_CODES.ERR_DESTINATION_EXISTS)
+    expect(corrupt.exitCode).toBe(EXIT_CODES.ERR_CORRUPT_ARCHIVE)
+    expect((await readdir(baseDir)).sort()).toEqual(['restored.txt', 'restored_1.txt', 'source.txt'])
+    expect((await runCli(['compress', '-', '-o', existingPath, '--on-conflict', 'content-hash'])).exitCode).toBe(
+      EXIT_CODES.USAGE
+    )
+  })
+
+  test('should test and list archives without writing files', async () => {
+    await runCli(['compress', filePath])
+
+    const tested = await runCli(['test', `${filePath}.gz`])
+    const listed = await runCli(['list', '--json', `${filePath}.gz`])
+
+    expect(tested.exitCode).toBe(EXIT_CODES.OK)
+    expect(tested.stdout.toString()).toContain('OK (gzip)')
+    expect(JSON.parse(listed.stdout.toString())).toMatchObject({ uncompressedBytes: content.length, algorithm: 'gzip' })
+    expect(await readdir(baseDir)).toEqual(['source.txt', 'source.txt.gz'])
+  })
+
+  test('should verify archives against their checksum sidecar', async () => {
+    await runCli(['compress', '--sidecar', 'sha256', filePath])
+    const tested = await runCli(['test', `${filePath}.gz`])
+
+    await writeFile(`${filePath}.gz.sha256`, `${'0'.repeat(64)}  source.txt\n`)
+    const mismatched = await runCli(['decompress', '--verify', '-o', join(baseDir, 'restored.txt'), `${filePath}.gz`])
+
+    expect(tested.stdout.toString()).toContain('OK (gzip, checksum verified)')
+    expect(mismatched.exitCode).toBe(EXIT_CODES.ERR_INTEGRITY)
+    expect(await readdir(baseDir)).toEqual(['source.txt', 'source.txt.gz', 'source.txt.gz.sha256'])
+  })
+
+  test('should encrypt and decrypt with --password-file', async () => {
+    const passwordPath = join(baseDir, 'password.txt')
+    await writeFile(passwordPath, 'correct horse\n')
+    await runCli(['compress', '--password-file', passwordPath, filePath])
+
+    const restored = await runCli([
+      'decompress',
+      '--password-file',
+      passwordPath,
+      '-o',
+      join(baseDir, 'out.txt'),
+      `${filePath}.gz.enc`
+    ])
+    const locked = await runCli(['decompress', `${filePath}.gz.enc`])
+
+    expect(restored.exitCode).toBe(EXIT_CODES.OK)
+    expect(await readFile(join(baseDir, 'out.txt'), 'utf8')).toBe(content)
+    expect(locked.exitCode).toBe(EXIT_CODES.ERR_DECRYPTION)
+    expect((await runCli(['compress', '--password-file', passwordPath, '-'])).exitCode).toBe(EXIT_CODES.USAGE)
+  })
+
+  test('should test volume sets by their manifest', async () => {
+    const manifestPath = await compressFile(filePath, { volumeSize: 256 })
+
+    const tested = await runCli(['test', manifestPath])
+
+    expect(tested.exitCode).toBe(EXIT_CODES.OK)
+    expect(tested.stdout.toString()).toContain('OK (gzip)')
+  })
+
+  test('should test encrypted archives with --password-file', async () => {
+    const passwordPath = join(baseDir, 'password.txt')
+    await writeFile(passwordPath, 'correct horse\n')
+    await runCli(['compress', '--password-file', passwordPath, filePath])
+
+    const tested = await runCli(['test', '--password-file', passwordPath, `${filePath}.gz.enc`])
+    const locked = await runCli(['test', `${filePath}.gz.enc`])
+
+    expect(tested.exitCode).toBe(EXIT_CODES.OK)
+    expect(locked.exitCode).toBe(EXIT_CODES.ERR_DECRYPTION)
+  })
+
+  test('should skip incompressible inputs with --incompressible', async () => {
+    const photoPath = join(baseDir, 'photo.jpg')
+    await writeFile(photoPath, Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(1024)]))
+
+    const { exitCode, stdout } = await runCli(['compress', '--incompressible', 'skip', '--rm', photoPath, filePath])
+
+    expect(exitCode).toBe(EXIT_CODES.OK)
+    expect(stdout.toString()).toContain(`${photoPath}: skipped as incompressible (jpeg)`)
+    expect((await readdir(baseDir)).sort()).toEqual(['photo.jpg', 'source.txt.gz'])
+    expect((await runCli(['compress', '--incompressible', 'drop', filePath])).exitCode).toBe(EXIT_CODES.USAGE)
+  })
+
+  test('should apply decompression limits to stdin and non-gzip inspection', async () => {
+    const bomb = brotliCompressSync(Buffer.alloc(16 * 1024 * 1024))
+    const bombPath = join(baseDir, 'bomb.br')
+    await writeFile(bombPath, bomb)
+
+    const tested = await runCli(['test', '-'], bomb)
+    const listed = await runCli(['list', bombPath])
+    const limited = await runCli(['test', '--max-output', '1000', '-'], gzipSync(content))
+    const lifted = await runCli(['list', '--max-ratio', 'Infinity', '--json', bombPath])
+
+    expect(tested.exitCode).toBe(EXIT_CODES.ERR_DECOMPRESSION_LIMIT)
+    expect(listed.exitCode).toBe(EXIT_CODES.ERR_DECOMPRESSION_LIMIT)
+    expect(limited.exitCode).toBe(EXIT_CODES.ERR_DECOMPRESSION_LIMIT)
+    expect(JSON.parse(lifted.stdout.toString())).toMatchObject({ uncompressedBytes: 16 * 1024 * 1024 })
+    expect((await runCli(['test', '--max-ratio', '0', bombPath])).exitCode).toBe(EXIT_CODES.USAGE)
+  })
+
+  test('should map error types to exit codes', async () => {
+    const archivePath = join(baseDir, 'broken.gz')
+    await writeFile(archivePath, Buffer.from([0x1f, 0x8b, 0x08, 0x00, 0xde, 0xad, 0xbe, 0xef]))
+
+    expect((await runCli(['compress', join(baseDir, 'missing.txt')])).exitCode).toBe(EXIT_CODES.ERR_SOURCE_NOT_FOUND)
+    expect((await runCli(['test', archivePath])).exitCode).toBe(EXIT_CODES.ERR_CORRUPT_ARCHIVE)
+    expect((await runCli(['compress', '-a', 'lzma', filePath])).exitCode).toBe(EXIT_CODES.ERR_UNSUPPORTED_ALGORITHM)
+
+    await runCli(['compress', filePath])
+    const { exitCode, stdout } = await runCli(['compress', '--on-conflict', 'error', '--json', filePath])
+    expect(exitCode).toBe(EXIT_CODES.ERR_DESTINATION_EXISTS)
+    expect(JSON.parse(stdout.toString())).toMatchObject({ error: { code: 'ERR_DESTINATION_EXISTS' } })
+  })
+
+  test('should reject invalid usage', async () => {
+    expect((await runCli(['unpack', filePath])).exitCode).toBe(EXIT_CODES.USAGE)
+    expect((await runCli(['compress'])).exitCode).toBe(EXIT_CODES.USAGE)
+    expect((await runCli(['compress', '-k', '--rm', filePath])).exitCode).toBe(EXIT_CODES.USAGE)
+    expect((await runCli(['compress', '--bogus', filePath])).exitCode).toBe(EXIT_CODES.USAGE)
+  })
+})
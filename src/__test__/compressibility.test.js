@@ -0,0 +1,78 @@
+import { randomBytes } from 'crypto'
+import { gunzipSync } from 'zlib'
+import { mkdtemp, readdir, readFile, rm, stat, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { analyzeCompressibility, compressFile, compressMany } from '../main.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+describe('incompressible file detection', () => {
+  const text = 'GET /index.html 200 1024\n'.repeat(2000)
+  const noise = randomBytes(64 * 1024)
+  let baseDir
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'compressibility-'))
+    await writeFile(join(baseDir, 'access.log'), text)
+    await writeFile(join(baseDir, 'noise.bin'), noise)
+    await writeFile(join(baseDir, 'clip.mp4'), Buffer.concat([Buffer.from('\0\0\0\x20ftypisom'), Buffer.alloc(4096)]))
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test('should recognise compressed formats by magic bytes and estimate the ratio of the rest', async () => {
+    const log = await analyzeCompressibility(join(baseDir, 'access.log'))
+    const random = await analyzeCompressibility(join(baseDir, 'noise.bin'))
+    const clip = await analyzeCompressibility(join(baseDir, 'clip.mp4'))
+
+    expect(log).toMatchObject({ isCompressible: true, format: null })
+    expect(log.estimatedRatio).toBeGreaterThan(10)
+    expect(random).toMatchObject({ isCompressible: false, format: null })
+    expect(random.estimatedRatio).toBeLessThan(1.1)
+    // Нулі після сигнатури стискаються чудово, але формат важливіший за зразок
+    expect(clip).toEqual({
+      path: join(baseDir, 'clip.mp4'),
+      isCompressible: false,
+      format: 'iso-bmff',
+      estimatedRatio: null
+    })
+    await expect(analyzeCompressibility(join(baseDir, 'access.log'), { minRatio: 0 })).rejects.toThrow(TypeError)
+  })
+
+  test('should skip or store incompressible files and report the decision', async () => {
+    const onAnalysis = vi.fn()
+
+    expect(await compressFile(join(baseDir, 'noise.bin'), { incompressible: 'skip', onAnalysis })).toBeNull()
+    expect(onAnalysis).toHaveBeenLastCalledWith(expect.objectContaining({ decision: 'skip', isCompressible: false }))
+    expect(await readdir(baseDir)).not.toContain('noise.bin.gz')
+
+    const storedPath = await compressFile(join(baseDir, 'noise.bin'), { incompressible: 'store', onAnalysis })
+    expect(onAnalysis).toHaveBeenLastCalledWith(expect.objectContaining({ decision: 'store' }))
+    expect(gunzipSync(await readFile(storedPath))).toEqual(noise)
+    // Stored-блоки додають лише кілька байтів на блок
+    expect((await stat(storedPath)).size).toBeLessThan(noise.length + 100)
+
+    await compressFile(join(baseDir, 'access.log'), { incompressible: 'skip', onAnalysis })
+    expect(onAnalysis).toHaveBeenLastCalledWith(expect.objectContaining({ decision: 'compress' }))
+    await expect(compressFile(join(baseDir, 'access.log'), { incompressible: 'drop' })).rejects.toThrow(TypeError)
+  })
+
+  test('should report skipped media in batch runs', async () => {
+    const { files, totals } = await compressMany(join(baseDir, '*'), { incompressible: 'skip' })
+
+    expect(totals).toMatchObject({ files: 3, succeeded: 1, skipped: 2, failed: 0 })
+    expect(files.find(({ source }) => source.endsWith('clip.mp4'))).toMatchObject({
+      status: 'skipped',
+      output: null,
+      compressibility: { format: 'iso-bmff', decision: 'skip' }
+    })
+    expect((await readdir(baseDir)).sort()).toEqual(['access.log', 'access.log.gz', 'clip.mp4', 'noise.bin'])
+  })
+})
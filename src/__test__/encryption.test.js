@@ -0,0 +1,123 @@
+import { randomBytes } from 'crypto'
+import { mkdtemp, readdir, readFile, rm, stat, utimes, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { DecryptionError, compressFile, decompressFile } from '../main.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+describe('password-based encryption', () => {
+  const password = 'correct horse battery staple'
+  const mtime = new Date('2024-05-01T12:00:00Z')
+  // Випадкові дані майже не стискаються, тож архів займає кілька сегментів по 64 КБ
+  const content = randomBytes(200 * 1024)
+  let baseDir
+  let filePath
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'encryption-'))
+    filePath = join(baseDir, 'secret.bin')
+    await writeFile(filePath, content)
+    await utimes(filePath, mtime, mtime)
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test('should encrypt the archive and restore the original name, content and mtime', async () => {
+    const archivePath = await compressFile(filePath, { encrypt: { password } })
+    const archive = await readFile(archivePath)
+    await rm(filePath)
+
+    const resultPath = await decompressFile(archivePath, { password })
+
+    expect(archivePath).toBe(`${filePath}.gz.enc`)
+    expect(archive.subarray(0, 4)).toEqual(Buffer.from('\x89ENC', 'latin1'))
+    expect(archive.includes(Buffer.from('secret.bin'))).toBe(false)
+    expect(resultPath).toBe(filePath)
+    expect(await readFile(resultPath)).toEqual(content)
+    expect((await stat(resultPath)).mtime).toEqual(mtime)
+  })
+
+  test('should ask for the password only when the archive is encrypted', async () => {
+    const plainPath = await compressFile(filePath, { algorithm: 'brotli' })
+    const encryptedPath = await compressFile(filePath, { algorithm: 'brotli', encrypt: { password } })
+    const askPassword = vi.fn(async () => password)
+
+    await decompressFile(plainPath, join(baseDir, 'plain.bin'), { password: askPassword })
+    expect(askPassword).not.toHaveBeenCalled()
+
+    await decompressFile(encryptedPath, join(baseDir, 'decrypted.bin'), { password: askPassword })
+    expect(askPassword).toHaveBeenCalledOnce()
+    expect(encryptedPath).toBe(`${filePath}.br.enc`)
+    expect(await readFile(join(baseDir, 'decrypted.bin'))).toEqual(content)
+  })
+
+  test('should reject a missing or wrong password before writing anything', async () => {
+    const archivePath = await compressFile(filePath, { encrypt: { password } })
+    const outputPath = join(baseDir, 'out.bin')
+
+    await expect(decompressFile(archivePath, outputPath)).rejects.toMatchObject({
+      code: 'ERR_DECRYPTION',
+      reason: 'missing-password'
+    })
+    await expect(decompressFile(archivePath, outputPath, { password: 'guess' })).rejects.toMatchObject({
+      code: 'ERR_DECRYPTION',
+      reason: 'wrong-password'
+    })
+    expect(await readdir(baseDir)).toEqual(['secret.bin', 'secret.bin.gz.enc'])
+  })
+
+  test('should detect tampered and truncated archives', async () => {
+    const archivePath = await compressFile(filePath, { encrypt: { password } })
+    const archive = await readFile(archivePath)
+    const outputPath = join(baseDir, 'out.bin')
+
+    const tampered = Buffer.from(archive)
+    tampered[archive.length - 1000] ^= 1
+    await writeFile(archivePath, tampered)
+    const tamperedError = await decompressFile(archivePath, outputPath, { password }).catch((error) => error)
+
+    await writeFile(archivePath, archive.subarray(0, archive.length - 100))
+    const truncatedError = await decompressFile(archivePath, outputPath, { password }).catch((error) => error)
+
+    expect(tamperedError).toBeInstanceOf(DecryptionError)
+    expect(tamperedError.reason).toBe('tampered')
+    expect(truncatedError).toMatchObject({ code: 'ERR_DECRYPTION', reason: 'tampered' })
+    expect(await readdir(baseDir)).toEqual(['secret.bin', 'secret.bin.gz.enc'])
+  })
+
+  test('should refuse scrypt parameters above the limits before deriving the key', async () => {
+    const archivePath = await compressFile(filePath, { encrypt: { password } })
+    const archive = await readFile(archivePath)
+    const askPassword = vi.fn(async () => password)
+
+    // Заголовок: магія (4), версія, алгоритм, log2 N, r, p
+    for (const [offset, value] of [
+      [6, 20],
+      [7, 32],
+      [8, 16]
+    ]) {
+      const crafted = Buffer.from(archive)
+      crafted[offset] = value
+      await writeFile(archivePath, crafted)
+      const error = await decompressFile(archivePath, join(baseDir, 'out.bin'), { password: askPassword }).catch(
+        (error) => error
+      )
+      expect(error).toBeInstanceOf(DecryptionError)
+      expect(error.reason).toBe('unsafe-parameters')
+    }
+    expect(askPassword).not.toHaveBeenCalled()
+    expect(await readdir(baseDir)).toEqual(['secret.bin', 'secret.bin.gz.enc'])
+  })
+
+  test('should reject invalid encryption options', async () => {
+    await expect(compressFile(filePath, { encrypt: {} })).rejects.toThrow(TypeError)
+    await expect(compressFile(filePath, { encrypt: { password }, seekIndex: true })).rejects.toThrow(TypeError)
+  })
+})
@@ -0,0 +1,110 @@
+import { mkdtemp, readdir, rm, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import {
+  AccessDeniedError,
+  CompressionError,
+  CorruptArchiveError,
+  DestinationExistsError,
+  DestinationWriteError,
+  SourceNotFoundError,
+  UnsupportedAlgorithmError,
+  compressFile,
+  decompressFile
+} from '../main.js'
+import { wrapError } from '../errors.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+describe('typed errors', () => {
+  let baseDir
+  let filePath
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'errors-'))
+    filePath = join(baseDir, 'source.txt')
+    await writeFile(filePath, 'This is the original content of the file')
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test('should reject a missing source with SourceNotFoundError', async () => {
+    const missingPath = join(baseDir, 'missing.txt')
+    const error = await compressFile(missingPath).catch((error) => error)
+
+    expect(error).toBeInstanceOf(SourceNotFoundError)
+    expect(error).toBeInstanceOf(CompressionError)
+    expect(error).toMatchObject({
+      code: 'ERR_SOURCE_NOT_FOUND',
+      operation: 'compress',
+      paths: { source: missingPath },
+      message: `file "${missingPath}" does not exist`
+    })
+    expect(error.cause.code).toBe('ENOENT')
+  })
+
+  test('should reject invalid archive data with CorruptArchiveError', async () => {
+    const archivePath = join(baseDir, 'broken.txt.gz')
+    await writeFile(archivePath, Buffer.from([0x1f, 0x8b, 0x08, 0x00, 0xde, 0xad, 0xbe, 0xef]))
+    const destinationPath = join(baseDir, 'broken.txt')
+
+    const error = await decompressFile(archivePath, destinationPath).catch((error) => error)
+
+    expect(error).toBeInstanceOf(CorruptArchiveError)
+    expect(error).toMatchObject({
+      code: 'ERR_CORRUPT_ARCHIVE',
+      operation: 'decompress',
+      paths: { source: archivePath, destination: destinationPath }
+    })
+    expect(error.cause).toBeInstanceOf(Error)
+    expect(await readdir(baseDir)).not.toContain('broken.txt')
+  })
+
+  test('should reject an unwritable destination with DestinationWriteError', async () => {
+    const compressedPath = await compressFile(filePath)
+    const destinationPath = join(baseDir, 'missing-dir', 'source.txt')
+
+    await expect(decompressFile(compressedPath, destinationPath)).rejects.toMatchObject({
+      code: 'ERR_DESTINATION_WRITE',
+      operation: 'decompress'
+    })
+  })
+
+  test('should reject an existing destination with DestinationExistsError', async () => {
+    await writeFile(`${filePath}.gz`, 'existing')
+
+    await expect(compressFile(filePath, { onConflict: 'error' })).rejects.toMatchObject({
+      code: 'ERR_DESTINATION_EXISTS',
+      operation: 'compress',
+      paths: { source: filePath, destination: `${filePath}.gz` }
+    })
+  })
+
+  test('should reject unknown algorithms with UnsupportedAlgorithmError', async () => {
+    await expect(compressFile(filePath, { algorithm: 'lzma' })).rejects.toBeInstanceOf(UnsupportedAlgorithmError)
+  })
+
+  test('should map permission errors to AccessDeniedError', () => {
+    const cause = Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' })
+
+    const error = wrapError(cause, { operation: 'compress', stage: 'destination', paths: { destination: '/out.gz' } })
+
+    expect(error).toBeInstanceOf(AccessDeniedError)
+    expect(error).toMatchObject({ code: 'ERR_ACCESS_DENIED', cause, message: expect.stringContaining('/out.gz') })
+  })
+
+  test('should keep already typed errors and fill in the context', () => {
+    const original = new DestinationWriteError('Disk full')
+
+    const error = wrapError(original, { operation: 'compress', paths: { source: '/in.txt' } })
+
+    expect(error).toBe(original)
+    expect(error).toMatchObject({ operation: 'compress', paths: { source: '/in.txt' } })
+  })
+})
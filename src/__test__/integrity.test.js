@@ -0,0 +1,138 @@
+import { createHash } from 'crypto'
+import { mkdtemp, readdir, readFile, rm, utimes, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import {
+  CorruptArchiveError,
+  DecryptionError,
+  IntegrityError,
+  compressFile,
+  decompressFile,
+  verifyArchive
+} from '../main.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+describe('integrity sidecars', () => {
+  const content = 'Integrity matters.\n'.repeat(500)
+  const sha256 = createHash('sha256').update(content).digest('hex')
+  let baseDir
+  let filePath
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'integrity-'))
+    filePath = join(baseDir, 'source.txt')
+    await writeFile(filePath, content)
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test('should write a sha256sum-compatible sidecar and verify against it', async () => {
+    const archivePath = await compressFile(filePath, { sidecar: 'sha256' })
+
+    expect(await readFile(`${archivePath}.sha256`, 'utf8')).toBe(`${sha256}  source.txt\n`)
+    expect(await verifyArchive(archivePath)).toEqual({
+      path: archivePath,
+      algorithm: 'gzip',
+      compressedBytes: expect.any(Number),
+      uncompressedBytes: content.length,
+      sha256,
+      sidecar: `${archivePath}.sha256`
+    })
+  })
+
+  test('should write a JSON manifest with the source size and mtime', async () => {
+    const mtime = new Date('2024-05-01T12:00:00Z')
+    await utimes(filePath, mtime, mtime)
+
+    const archivePath = await compressFile(filePath, { algorithm: 'brotli', sidecar: 'json' })
+    const manifest = JSON.parse(await readFile(`${archivePath}.json`, 'utf8'))
+
+    expect(manifest).toEqual({
+      name: 'source.txt',
+      sha256,
+      size: content.length,
+      mtime: mtime.toISOString(),
+      algorithm: 'brotli'
+    })
+    expect((await verifyArchive(archivePath)).sidecar).toBe(`${archivePath}.json`)
+  })
+
+  test('should reject a mismatching sidecar and leave no output in verify mode', async () => {
+    const archivePath = await compressFile(filePath, { sidecar: 'json' })
+    const manifestPath = `${archivePath}.json`
+    const manifest = JSON.parse(await readFile(manifestPath, 'utf8'))
+    await writeFile(manifestPath, JSON.stringify({ ...manifest, sha256: 'f'.repeat(64) }))
+
+    await expect(verifyArchive(archivePath)).rejects.toBeInstanceOf(IntegrityError)
+    const error = await decompressFile(archivePath, join(baseDir, 'restored.txt'), { verify: true }).catch(
+      (error) => error
+    )
+
+    expect(error).toBeInstanceOf(IntegrityError)
+    expect(error).toMatchObject({ code: 'ERR_INTEGRITY', operation: 'decompress' })
+    expect((await readdir(baseDir)).sort()).toEqual(['source.txt', 'source.txt.gz', 'source.txt.gz.json'])
+  })
+
+  test('should restore the file in verify mode when the sidecar matches', async () => {
+    const archivePath = await compressFile(filePath, { sidecar: 'sha256' })
+
+    const resultPath = await decompressFile(archivePath, join(baseDir, 'restored.txt'), { verify: true })
+
+    expect(await readFile(resultPath, 'utf8')).toBe(content)
+  })
+
+  test('should require a sidecar in verify mode', async () => {
+    const archivePath = await compressFile(filePath)
+
+    await expect(decompressFile(archivePath, join(baseDir, 'restored.txt'), { verify: true })).rejects.toThrow(
+      'No checksum sidecar found'
+    )
+    expect((await verifyArchive(archivePath)).sidecar).toBeNull()
+    await expect(verifyArchive(archivePath, { requireSidecar: true })).rejects.toBeInstanceOf(IntegrityError)
+  })
+
+  test('should detect a damaged gzip trailer', async () => {
+    const archivePath = await compressFile(filePath)
+    const archive = await readFile(archivePath)
+    // Псуємо CRC32 у трейлері: дані розпакуються, але контрольна сума не збіжеться
+    archive[archive.length - 8] ^= 0xff
+    await writeFile(archivePath, archive)
+
+    await expect(verifyArchive(archivePath)).rejects.toBeInstanceOf(CorruptArchiveError)
+  })
+
+  test('should verify volume sets by their manifest or first volume', async () => {
+    const manifestPath = await compressFile(filePath, { volumeSize: 64, sidecar: 'sha256' })
+
+    const byManifest = await verifyArchive(manifestPath)
+    const byFirstVolume = await verifyArchive(manifestPath.replace(/\.manifest$/, '.001'))
+
+    expect(byManifest).toMatchObject({
+      path: manifestPath,
+      algorithm: 'gzip',
+      uncompressedBytes: content.length,
+      sha256
+    })
+    expect(byManifest.sidecar).toBe(join(baseDir, 'source.txt.gz.sha256'))
+    expect(byFirstVolume.sha256).toBe(sha256)
+
+    await rm(join(baseDir, 'source.txt.gz.002'))
+    await expect(verifyArchive(manifestPath)).rejects.toBeInstanceOf(IntegrityError)
+  })
+
+  test('should verify encrypted archives with a password', async () => {
+    const encryptedPath = await compressFile(filePath, { algorithm: 'brotli', encrypt: { password: 'secret' } })
+
+    const decrypted = await verifyArchive(encryptedPath, { password: 'secret' })
+
+    expect(decrypted).toMatchObject({ algorithm: 'brotli', uncompressedBytes: content.length, sha256 })
+    await expect(verifyArchive(encryptedPath)).rejects.toBeInstanceOf(DecryptionError)
+  })
+})
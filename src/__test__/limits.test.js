@@ -0,0 +1,90 @@
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { brotliCompressSync, gzipSync } from 'zlib'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { DecompressionLimitError, compressFile, decompressFile } from '../main.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+describe('decompression limits', () => {
+  const content = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(200)
+  let baseDir
+  let destinationPath
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'limits-'))
+    destinationPath = join(baseDir, 'result.txt')
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test('should stop at maxOutputBytes and remove the partial output', async () => {
+    const archivePath = join(baseDir, 'source.txt.gz')
+    await writeFile(archivePath, gzipSync(content))
+
+    const error = await decompressFile(archivePath, destinationPath, { maxOutputBytes: 1000 }).catch((error) => error)
+
+    expect(error).toBeInstanceOf(DecompressionLimitError)
+    expect(error).toMatchObject({ code: 'ERR_DECOMPRESSION_LIMIT', limit: 'maxOutputBytes' })
+    expect(await readdir(baseDir)).toEqual(['source.txt.gz'])
+  })
+
+  test('should stop a high-ratio archive by default', async () => {
+    const archivePath = join(baseDir, 'bomb.br')
+    await writeFile(archivePath, brotliCompressSync(Buffer.alloc(16 * 1024 * 1024)))
+
+    await expect(decompressFile(archivePath, destinationPath)).rejects.toMatchObject({
+      code: 'ERR_DECOMPRESSION_LIMIT',
+      limit: 'maxRatio'
+    })
+    expect(await readdir(baseDir)).toEqual(['bomb.br'])
+  })
+
+  test('should round-trip its own highly compressible gzip output with default options', async () => {
+    const sourcePath = join(baseDir, 'zeros.bin')
+    await writeFile(sourcePath, Buffer.alloc(8 * 1024 * 1024))
+
+    const archivePath = await compressFile(sourcePath)
+    const resultPath = await decompressFile(archivePath, destinationPath)
+
+    expect((await readFile(resultPath)).equals(Buffer.alloc(8 * 1024 * 1024))).toBe(true)
+  })
+
+  test('should allow a high-ratio archive when the ratio limit is lifted', async () => {
+    const archivePath = join(baseDir, 'zeros.br')
+    await writeFile(archivePath, brotliCompressSync(Buffer.alloc(2 * 1024 * 1024)))
+
+    const resultPath = await decompressFile(archivePath, destinationPath, { maxRatio: Infinity })
+    expect((await readFile(resultPath)).length).toBe(2 * 1024 * 1024)
+  })
+
+  test('should apply an explicit maxRatio below the default one-megabyte floor', async () => {
+    const archivePath = join(baseDir, 'zeros.br')
+    const compressed = brotliCompressSync(Buffer.alloc(64 * 1024))
+    await writeFile(archivePath, compressed)
+    const ratio = (64 * 1024) / compressed.length
+
+    const error = await decompressFile(archivePath, destinationPath, { maxRatio: Math.floor(ratio) }).catch(
+      (error) => error
+    )
+    expect(error).toMatchObject({ code: 'ERR_DECOMPRESSION_LIMIT', limit: 'maxRatio' })
+    expect(await readdir(baseDir)).toEqual(['zeros.br'])
+
+    const resultPath = await decompressFile(archivePath, destinationPath, { maxRatio: Math.ceil(ratio) })
+    expect((await readFile(resultPath)).length).toBe(64 * 1024)
+  })
+
+  test('should decompress ordinary archives within the default limits', async () => {
+    const archivePath = join(baseDir, 'source.txt.gz')
+    await writeFile(archivePath, gzipSync(content))
+
+    const resultPath = await decompressFile(archivePath, destinationPath)
+    expect(await readFile(resultPath, 'utf8')).toBe(content)
+  })
+})
@@ -0,0 +1,110 @@
+import { execFileSync } from 'child_process'
+import { chmod, mkdtemp, readdir, readFile, rm, stat, utimes, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { gzipSync } from 'zlib'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { compressFile, decompressFile } from '../main.js'
+import { parseGzipHeader, readGzipMetadata } from '../metadata.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+describe('gzip header metadata', () => {
+  const content = 'Metadata travels with the archive.\n'.repeat(200)
+  const mtime = new Date('2024-05-01T12:00:00Z')
+  let baseDir
+  let filePath
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'metadata-'))
+    filePath = join(baseDir, 'report.txt')
+    await writeFile(filePath, content)
+    await chmod(filePath, 0o640)
+    await utimes(filePath, mtime, mtime)
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test('should store the source name, mtime, mode and comment in the header', async () => {
+    const archivePath = await compressFile(filePath, { comment: 'nightly build' })
+
+    expect(await readGzipMetadata(archivePath)).toEqual({
+      name: 'report.txt',
+      mtime,
+      mode: 0o640,
+      comment: 'nightly build'
+    })
+  })
+
+  test('should stay readable by the gzip utility', async () => {
+    const archivePath = await compressFile(filePath)
+
+    expect(execFileSync('gzip', ['-dc', archivePath], { encoding: 'utf8' })).toBe(content)
+    expect(execFileSync('gzip', ['-lN', archivePath], { encoding: 'utf8' })).toContain(filePath)
+  })
+
+  test('should restore the original name, mtime and mode next to the archive', async () => {
+    const archivePath = await compressFile(filePath, { destinationFilePath: join(baseDir, 'renamed.gz') })
+
+    const resultPath = await decompressFile(archivePath)
+    const stats = await stat(resultPath)
+
+    expect(resultPath).toBe(join(baseDir, 'report_1.txt'))
+    expect(await readFile(resultPath, 'utf8')).toBe(content)
+    expect(stats.mtime).toEqual(mtime)
+    expect(stats.mode & 0o7777).toBe(0o640)
+  })
+
+  test('should drop setuid, setgid and sticky bits from the header unless allowed', async () => {
+    await chmod(filePath, 0o6755)
+    const archivePath = await compressFile(filePath)
+
+    const masked = await decompressFile(archivePath, join(baseDir, 'masked.txt'))
+    const preserved = await decompressFile(archivePath, join(baseDir, 'preserved.txt'), { preserveSpecialBits: true })
+
+    expect(parseGzipHeader(await readFile(archivePath)).mode).toBe(0o6755)
+    expect((await stat(masked)).mode & 0o7777).toBe(0o755)
+    expect((await stat(preserved)).mode & 0o7777).toBe(0o6755)
+  })
+
+  test('should accept options as the second argument', async () => {
+    const archivePath = await compressFile(filePath)
+    await rm(filePath)
+
+    expect(await decompressFile(archivePath, { onConflict: 'error' })).toBe(filePath)
+  })
+
+  test('should keep only the base name of a hostile FNAME', async () => {
+    const header = Buffer.from([0x1f, 0x8b, 8, 0x08, 0, 0, 0, 0, 0, 3])
+    const body = gzipSync(content).subarray(10)
+    const archivePath = join(baseDir, 'upload.gz')
+    await writeFile(archivePath, Buffer.concat([header, Buffer.from('../../etc/passwd\0'), body]))
+
+    const resultPath = await decompressFile(archivePath)
+
+    expect(resultPath).toBe(join(baseDir, 'passwd'))
+    expect(await readFile(resultPath, 'utf8')).toBe(content)
+  })
+
+  test('should fall back to the archive name without a header name', async () => {
+    const archivePath = await compressFile(filePath, { preserveMetadata: false })
+    await rm(filePath)
+
+    expect(parseGzipHeader(await readFile(archivePath))).toEqual({ name: null, mtime: null, mode: null, comment: null })
+    expect(await decompressFile(archivePath)).toBe(filePath)
+    expect((await stat(filePath)).mtime).not.toEqual(mtime)
+  })
+
+  test('should not touch other algorithms', async () => {
+    const archivePath = await compressFile(filePath, { algorithm: 'brotli' })
+
+    expect(await readGzipMetadata(archivePath)).toBeNull()
+    expect(await decompressFile(archivePath)).toBe(join(baseDir, 'report_1.txt'))
+    expect((await readdir(baseDir)).sort()).toEqual(['report.txt', 'report.txt.br', 'report_1.txt'])
+  })
+})
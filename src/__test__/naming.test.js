@@ -0,0 +1,77 @@
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { DestinationExistsError, compressFile, decompressFile } from '../main.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+describe('output naming', () => {
+  const content = 'This is the original content of the file'
+  let baseDir
+  let filePath
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'naming-'))
+    filePath = join(baseDir, 'source.txt')
+    await writeFile(filePath, content)
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test('should give concurrent calls distinct names', async () => {
+    const results = await Promise.all(Array.from({ length: 5 }, () => compressFile(filePath)))
+
+    expect(new Set(results).size).toBe(5)
+    expect((await readdir(baseDir)).sort()).toEqual([
+      'source.txt',
+      'source.txt.gz',
+      'source_1.txt.gz',
+      'source_2.txt.gz',
+      'source_3.txt.gz',
+      'source_4.txt.gz'
+    ])
+  })
+
+  test('should append a timestamp with onConflict: timestamp', async () => {
+    await writeFile(`${filePath}.gz`, 'existing')
+
+    const result = await compressFile(filePath, { onConflict: 'timestamp' })
+    expect(result).toMatch(/source_\d{8}T\d{9}Z\.txt\.gz$/)
+  })
+
+  test('should append a content hash with onConflict: content-hash', async () => {
+    await writeFile(`${filePath}.gz`, 'existing')
+
+    const result = await compressFile(filePath, { onConflict: 'content-hash' })
+    expect(result).toMatch(/source_[0-9a-f]{16}\.txt\.gz$/)
+    expect(await compressFile(filePath, { onConflict: 'content-hash' })).toBe(result.replace('.txt.gz', '_1.txt.gz'))
+  })
+
+  test('should replace the existing file with onConflict: overwrite', async () => {
+    const destinationFilePath = join(baseDir, 'source_decompressed.txt')
+    await writeFile(destinationFilePath, 'existing content')
+    const compressedPath = await compressFile(filePath)
+
+    const result = await decompressFile(compressedPath, destinationFilePath, { onConflict: 'overwrite' })
+    expect(result).toBe(destinationFilePath)
+    expect(await readFile(destinationFilePath, 'utf8')).toBe(content)
+  })
+
+  test('should reject and keep the existing file with onConflict: error', async () => {
+    await writeFile(`${filePath}.gz`, 'existing')
+
+    await expect(compressFile(filePath, { onConflict: 'error' })).rejects.toBeInstanceOf(DestinationExistsError)
+    expect(await readFile(`${filePath}.gz`, 'utf8')).toBe('existing')
+    expect(await readdir(baseDir)).toHaveLength(2)
+  })
+
+  test('should reject unknown strategies', async () => {
+    await expect(compressFile(filePath, { onConflict: 'rename' })).rejects.toThrow('Unsupported conflict strategy')
+  })
+})
@@ -0,0 +1,79 @@
+import { execFileSync } from 'child_process'
+import { randomBytes } from 'crypto'
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { Worker } from 'worker_threads'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { compressBuffer, compressFile, decompressBuffer, decompressFile } from '../main.js'
+import { readGzipMetadata } from '../metadata.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+// Справжні воркери, яких окремий тест може підмінити через mockImplementationOnce
+vi.mock('worker_threads', async (importOriginal) => {
+  const actual = await importOriginal()
+  return { ...actual, Worker: vi.fn((url) => new actual.Worker(url)) }
+})
+
+describe('parallel gzip compression', () => {
+  const blockSize = 64 * 1024
+  // Три повні блоки й половина четвертого (hex подвоює довжину)
+  const content = randomBytes((3.5 * blockSize) / 2).toString('hex')
+  let baseDir
+  let filePath
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'parallel-'))
+    filePath = join(baseDir, 'data.txt')
+    await writeFile(filePath, content)
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test('should write a multi-member gzip readable by gunzip and decompressFile', async () => {
+    const archivePath = await compressFile(filePath, { parallel: true, workers: 2, blockSize })
+    const archive = await readFile(archivePath)
+
+    expect(execFileSync('gzip', ['-dc', archivePath], { encoding: 'utf8' })).toBe(content)
+    // ISIZE останнього члена — розмір лише останнього блоку
+    expect(archive.readUInt32LE(archive.length - 4)).toBe(content.length % blockSize)
+    expect(await readGzipMetadata(archivePath)).toMatchObject({ name: 'data.txt' })
+
+    await rm(filePath)
+    expect(await readFile(await decompressFile(archivePath), 'utf8')).toBe(content)
+  })
+
+  test('should compress empty input into a valid archive', async () => {
+    const compressed = await compressBuffer('', { parallel: true, workers: 1 })
+
+    expect(await decompressBuffer(compressed)).toEqual(Buffer.alloc(0))
+  })
+
+  test('should fail instead of hanging when a worker exits without an error event', async () => {
+    const { Worker: RealWorker } = await vi.importActual('worker_threads')
+    Worker.mockImplementationOnce((url) => {
+      const worker = new RealWorker(url)
+      // Воркер зникає, не відповівши: так виглядає, наприклад, process.exit() всередині нього
+      worker.postMessage = () => worker.terminate()
+      return worker
+    })
+
+    await expect(compressFile(filePath, { parallel: true, workers: 2, blockSize })).rejects.toThrow(
+      /worker exited unexpectedly/
+    )
+    expect(await readdir(baseDir)).toEqual(['data.txt'])
+  })
+
+  test('should reject invalid parallel options before writing anything', async () => {
+    await expect(compressFile(filePath, { parallel: true, algorithm: 'brotli' })).rejects.toThrow(TypeError)
+    await expect(compressFile(filePath, { parallel: true, workers: 0 })).rejects.toThrow(/worker count/)
+    await expect(compressFile(filePath, { parallel: true, blockSize: 1024 })).rejects.toThrow(/block size/)
+    expect(await readdir(baseDir)).toEqual(['data.txt'])
+  })
+})
@@ -0,0 +1,75 @@
+import { randomBytes } from 'crypto'
+import { mkdtemp, readdir, rm, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { AbortedError, compressFile, decompressFile } from '../main.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+describe('progress and cancellation', () => {
+  // Випадкові дані погано стискаються, тож компресор віддає багато чанків
+  const size = 2 * 1024 * 1024
+  let baseDir
+  let filePath
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'progress-'))
+    filePath = join(baseDir, 'source.bin')
+    await writeFile(filePath, randomBytes(size))
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test('should report progress up to 100 percent', async () => {
+    const reports = []
+    await compressFile(filePath, { onProgress: (report) => reports.push(report), progressInterval: 0 })
+
+    expect(reports.length).toBeGreaterThan(1)
+    const percents = reports.map(({ percent }) => percent)
+    expect(percents).toEqual([...percents].sort((a, b) => a - b))
+
+    const last = reports.at(-1)
+    expect(last).toMatchObject({ bytesRead: size, totalBytes: size, percent: 100, etaSeconds: 0 })
+    expect(last.bytesWritten).toBeGreaterThan(0)
+    expect(last.bytesPerSecond).toBeGreaterThan(0)
+  })
+
+  test('should report decompression progress against the archive size', async () => {
+    const compressedPath = await compressFile(filePath)
+    const reports = []
+
+    await decompressFile(compressedPath, join(baseDir, 'result.bin'), { onProgress: (report) => reports.push(report) })
+
+    expect(reports.at(-1)).toMatchObject({ percent: 100, bytesWritten: size })
+  })
+
+  test('should reject an already aborted signal without touching the disk', async () => {
+    const controller = new AbortController()
+    controller.abort()
+
+    const error = await compressFile(filePath, { signal: controller.signal }).catch((error) => error)
+
+    expect(error).toBeInstanceOf(AbortedError)
+    expect(error).toMatchObject({ code: 'ERR_ABORTED', operation: 'compress' })
+    expect(await readdir(baseDir)).toEqual(['source.bin'])
+  })
+
+  test('should tear down the pipeline and clean up when aborted midway', async () => {
+    const controller = new AbortController()
+
+    const promise = compressFile(filePath, {
+      signal: controller.signal,
+      progressInterval: 0,
+      onProgress: () => controller.abort()
+    })
+
+    await expect(promise).rejects.toBeInstanceOf(AbortedError)
+    expect(await readdir(baseDir)).toEqual(['source.bin'])
+  })
+})
@@ -0,0 +1,128 @@
+import { gunzipSync } from 'zlib'
+import { mkdtemp, readdir, readFile, rm, utimes, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { createRotator } from '../main.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+describe('createRotator', () => {
+  let baseDir
+  let file
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'rotator-'))
+    file = join(baseDir, 'app.log')
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  // Без прихованого файлу стану ротатора
+  async function listVisible() {
+    return (await readdir(baseDir)).filter((entry) => !entry.startsWith('.')).sort()
+  }
+
+  async function readAll() {
+    const entries = (await readdir(baseDir))
+      .filter((entry) => entry.endsWith('.gz'))
+      .sort((left, right) => left.localeCompare(right, 'en', { numeric: true }))
+    const archived = await Promise.all(entries.map(async (entry) => gunzipSync(await readFile(join(baseDir, entry)))))
+    return { entries, content: Buffer.concat([...archived, await readFile(file)]).toString() }
+  }
+
+  test('should rotate at maxSize into numbered archives', async () => {
+    const rotator = createRotator({ file, maxSize: 20 })
+
+    for (const line of ['first line\n', 'second line\n', 'third line\n']) {
+      await rotator.write(line)
+    }
+    await rotator.close()
+
+    const { entries, content } = await readAll()
+    expect(entries).toEqual(['app_1.log.gz', 'app_2.log.gz'])
+    expect(content).toBe('first line\nsecond line\nthird line\n')
+    expect(await readdir(baseDir)).not.toContain('app_1.log')
+  })
+
+  test('should not lose or split lines written concurrently with rotations', async () => {
+    const rotator = createRotator({ file, maxSize: 100 })
+    const lines = Array.from({ length: 200 }, (_, line) => `line ${line}\n`)
+
+    await Promise.all([...lines.map((line) => rotator.write(line)), rotator.rotate(), rotator.rotate()])
+    await rotator.close()
+
+    const { entries, content } = await readAll()
+    expect(entries.length).toBeGreaterThan(10)
+    expect(content).toBe(lines.join(''))
+    for (const entry of entries) {
+      expect(gunzipSync(await readFile(join(baseDir, entry))).toString()).toMatch(/^(line \d+\n)+$/)
+    }
+  })
+
+  test('should delete archives past maxFiles and maxAge', async () => {
+    const previous = createRotator({ file })
+    await previous.write('old\n')
+    await previous.rotate()
+    await previous.close()
+    await utimes(join(baseDir, 'app_1.log.gz'), new Date(0), new Date(0))
+    const rotator = createRotator({ file, maxFiles: 2, maxAge: 60 * 60 * 1000 })
+
+    await rotator.write('a\n')
+    expect(await rotator.rotate()).toBe(join(baseDir, 'app_2.log.gz'))
+    expect(await listVisible()).toEqual(['app.log', 'app_2.log.gz'])
+
+    for (const line of ['b\n', 'c\n']) {
+      await rotator.write(line)
+      await rotator.rotate()
+    }
+    await rotator.close()
+
+    expect(await listVisible()).toEqual(['app.log', 'app_3.log.gz', 'app_4.log.gz'])
+  })
+
+  test('should leave look-alike files it did not create untouched', async () => {
+    const foreign = { 'app_1.log': 'mine\n', 'app_2024.log': 'report\n', 'app_2024.log.gz': 'not even gzip' }
+    for (const [entry, content] of Object.entries(foreign)) {
+      await writeFile(join(baseDir, entry), content)
+    }
+    await utimes(join(baseDir, 'app_2024.log.gz'), new Date(0), new Date(0))
+    const rotator = createRotator({ file, maxFiles: 1, maxAge: 60 * 60 * 1000 })
+
+    for (const line of ['a\n', 'b\n']) {
+      await rotator.write(line)
+      await rotator.rotate()
+    }
+    await rotator.close()
+
+    expect(await listVisible()).toEqual(['app.log', 'app_1.log', 'app_2024.log', 'app_2024.log.gz', 'app_3.log.gz'])
+    for (const [entry, content] of Object.entries(foreign)) {
+      expect(await readFile(join(baseDir, entry), 'utf8')).toBe(content)
+    }
+    expect(gunzipSync(await readFile(join(baseDir, 'app_3.log.gz'))).toString()).toBe('b\n')
+  })
+
+  test('should continue numbering and compress leftovers of an interrupted rotation', async () => {
+    await writeFile(file, 'current\n')
+    await writeFile(join(baseDir, 'app_3.log'), 'interrupted\n')
+    // Стан після збою між перейменуванням і компресією
+    const rotations = [{ index: 3, rotated: 'app_3.log', archive: null }]
+    await writeFile(join(baseDir, '.app.log.rotations.json'), JSON.stringify({ version: 1, rotations }))
+    const onRotate = vi.fn()
+    const rotator = createRotator({ file, onRotate })
+
+    await rotator.rotate()
+    await rotator.close()
+
+    expect(onRotate).toHaveBeenCalledTimes(2)
+    expect(gunzipSync(await readFile(join(baseDir, 'app_3.log.gz'))).toString()).toBe('interrupted\n')
+    expect(gunzipSync(await readFile(join(baseDir, 'app_4.log.gz'))).toString()).toBe('current\n')
+    await expect(rotator.write('late\n')).rejects.toThrow(/closed/)
+    expect(() => createRotator({ file, maxSize: 0 })).toThrow(TypeError)
+  })
+})
@@ -0,0 +1,128 @@
+import { mkdir, mkdtemp, readdir, readFile, rm, symlink, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { gzipSync } from 'zlib'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { UnsafePathError, decompressFile, extractArchive } from '../main.js'
+import { createHeaderBlocks } from '../tar.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+/**
+ * Збирає tar-архів з довільних (зокрема шкідливих) записів.
+ *
+ * @param {Array<{ name: string, type?: string, linkname?: string, content?: string }>} entries
+ * @returns {Buffer}
+ */
+function createTar(entries) {
+  const blocks = entries.flatMap(({ name, type = '0', linkname, content = '' }) => {
+    const data = Buffer.from(content)
+    const padding = Buffer.alloc((512 - (data.length % 512)) % 512)
+    return [...createHeaderBlocks({ name, type, linkname, size: data.length }), data, padding]
+  })
+  return Buffer.concat([...blocks, Buffer.alloc(1024)])
+}
+
+describe('path sandbox', () => {
+  let baseDir
+  let rootDir
+  let outsideDir
+  let archivePath
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'sandbox-'))
+    rootDir = join(baseDir, 'root')
+    outsideDir = join(baseDir, 'outside')
+    await mkdir(join(rootDir, 'inner'), { recursive: true })
+    await mkdir(outsideDir)
+    archivePath = join(baseDir, 'source.txt.gz')
+    await writeFile(archivePath, gzipSync('payload'))
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test('should reject a destination that escapes rootDir', async () => {
+    const destination = join(rootDir, '..', 'outside', 'evil.txt')
+
+    await expect(decompressFile(archivePath, destination, { rootDir })).rejects.toBeInstanceOf(UnsafePathError)
+    await expect(decompressFile(archivePath, '/tmp/evil.txt', { rootDir })).rejects.toMatchObject({
+      code: 'ERR_UNSAFE_PATH',
+      operation: 'decompress'
+    })
+    expect(await readdir(outsideDir)).toEqual([])
+  })
+
+  test('should reject a symlinked parent directory unless it stays inside rootDir', async () => {
+    await symlink(outsideDir, join(rootDir, 'escape'))
+    await symlink(join(rootDir, 'inner'), join(rootDir, 'alias'))
+
+    await expect(decompressFile(archivePath, join(rootDir, 'escape', 'a.txt'), { rootDir })).rejects.toBeInstanceOf(
+      UnsafePathError
+    )
+    await expect(
+      decompressFile(archivePath, join(rootDir, 'escape', 'a.txt'), { rootDir, followSymlinks: true })
+    ).rejects.toBeInstanceOf(UnsafePathError)
+    await expect(decompressFile(archivePath, join(rootDir, 'alias', 'a.txt'), { rootDir })).rejects.toBeInstanceOf(
+      UnsafePathError
+    )
+
+    const resultPath = await decompressFile(archivePath, join(rootDir, 'alias', 'a.txt'), {
+      rootDir,
+      followSymlinks: true
+    })
+
+    expect(await readFile(join(rootDir, 'inner', 'a.txt'), 'utf8')).toBe('payload')
+    expect(resultPath).toBe(join(rootDir, 'alias', 'a.txt'))
+    expect(await readdir(outsideDir)).toEqual([])
+  })
+
+  test('should refuse to write through an existing symlink by default', async () => {
+    const targetPath = join(outsideDir, 'target.txt')
+    await writeFile(targetPath, 'original')
+    await symlink(targetPath, join(baseDir, 'link.txt'))
+
+    const error = await decompressFile(archivePath, join(baseDir, 'link.txt'), { onConflict: 'overwrite' }).catch(
+      (error) => error
+    )
+
+    expect(error).toBeInstanceOf(UnsafePathError)
+    expect(await readFile(targetPath, 'utf8')).toBe('original')
+  })
+
+  test('should stop extraction of entries that escape destDir', async () => {
+    const tarPath = join(baseDir, 'traversal.tar.gz')
+    await writeFile(tarPath, gzipSync(createTar([{ name: '../outside/evil.txt', content: 'owned' }])))
+
+    await expect(extractArchive(tarPath, rootDir)).rejects.toBeInstanceOf(UnsafePathError)
+    expect(await readdir(outsideDir)).toEqual([])
+  })
+
+  test('should not write through a symlink unpacked from the same archive', async () => {
+    const tarPath = join(baseDir, 'symlink.tar.gz')
+    const entries = [
+      { name: 'link', type: '2', linkname: outsideDir },
+      { name: 'link/evil.txt', content: 'owned' }
+    ]
+    await writeFile(tarPath, gzipSync(createTar(entries)))
+
+    await expect(extractArchive(tarPath, rootDir)).rejects.toBeInstanceOf(UnsafePathError)
+    await expect(extractArchive(tarPath, join(baseDir, 'other'), { followSymlinks: true })).rejects.toBeInstanceOf(
+      UnsafePathError
+    )
+    expect(await readdir(outsideDir)).toEqual([])
+  })
+
+  test('should strip the leading slash of absolute entries', async () => {
+    const tarPath = join(baseDir, 'absolute.tar.gz')
+    await writeFile(tarPath, gzipSync(createTar([{ name: '/etc/evil.txt', content: 'contained' }])))
+
+    await extractArchive(tarPath, rootDir)
+
+    expect(await readFile(join(rootDir, 'etc', 'evil.txt'), 'utf8')).toBe('contained')
+  })
+})
@@ -0,0 +1,118 @@
+import { mkdtemp, readdir, rm, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { gzipSync } from 'zlib'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import {
+  CorruptArchiveError,
+  DecryptionError,
+  IntegrityError,
+  SourceNotFoundError,
+  compressFile,
+  readLines,
+  searchCompressed
+} from '../main.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+async function collect(iterable) {
+  const items = []
+  for await (const item of iterable) {
+    items.push(item)
+  }
+  return items
+}
+
+describe('readLines and searchCompressed', () => {
+  const lines = Array.from({ length: 3000 }, (_, line) => `${line % 100 === 7 ? 'ERROR' : 'INFO'} request ${line}`)
+  let baseDir
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'search-'))
+    await writeFile(join(baseDir, 'app.log'), `${lines.join('\n')}\n`)
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test('should read lines from every supported format without writing files', async () => {
+    const gzipPath = await compressFile(join(baseDir, 'app.log'))
+    const brotliPath = await compressFile(join(baseDir, 'app.log'), { algorithm: 'brotli' })
+    const multiMemberPath = await compressFile(join(baseDir, 'app.log'), {
+      parallel: true,
+      workers: 2,
+      blockSize: 16 * 1024,
+      destinationFilePath: join(baseDir, 'members.gz')
+    })
+
+    for (const archivePath of [gzipPath, brotliPath, multiMemberPath]) {
+      expect(await collect(readLines(archivePath))).toEqual(lines)
+    }
+    expect((await readdir(baseDir)).sort()).toEqual(['app.log', 'app.log.br', 'app.log.gz', 'members.gz'])
+  })
+
+  test('should split CRLF lines and keep a trailing line without a newline', async () => {
+    await writeFile(join(baseDir, 'crlf.gz'), gzipSync('first\r\nsecond\r\nlast'))
+
+    expect(await collect(readLines(join(baseDir, 'crlf.gz')))).toEqual(['first', 'second', 'last'])
+  })
+
+  test('should find matches with context and a per-file limit', async () => {
+    const gzipPath = await compressFile(join(baseDir, 'app.log'))
+    const brotliPath = await compressFile(join(baseDir, 'app.log'), { algorithm: 'brotli' })
+
+    const matches = await collect(searchCompressed([gzipPath, brotliPath], /error/i, { context: 1, maxMatches: 2 }))
+
+    expect(matches.map(({ path, lineNumber }) => [path, lineNumber])).toEqual([
+      [gzipPath, 8],
+      [gzipPath, 108],
+      [brotliPath, 8],
+      [brotliPath, 108]
+    ])
+    expect(matches[0]).toMatchObject({
+      line: 'ERROR request 7',
+      before: ['INFO request 6'],
+      after: ['INFO request 8']
+    })
+  })
+
+  test('should cut context at the edges of the file', async () => {
+    await writeFile(join(baseDir, 'short.gz'), gzipSync('match\nother\nmatch\n'))
+
+    const matches = await collect(searchCompressed(join(baseDir, 'short.gz'), 'match', { context: 2 }))
+
+    expect(matches).toEqual([
+      { path: join(baseDir, 'short.gz'), lineNumber: 1, line: 'match', before: [], after: ['other', 'match'] },
+      { path: join(baseDir, 'short.gz'), lineNumber: 3, line: 'match', before: ['match', 'other'], after: [] }
+    ])
+  })
+
+  test('should read volume sets and encrypted archives', async () => {
+    const sourcePath = join(baseDir, 'app.log')
+    const manifestPath = await compressFile(sourcePath, { volumeSize: 1024 })
+    const encryptedPath = await compressFile(sourcePath, { algorithm: 'brotli', encrypt: { password: 'secret' } })
+
+    expect(await collect(readLines(manifestPath))).toEqual(lines)
+    expect(await collect(readLines(join(baseDir, 'app.log.gz.001')))).toEqual(lines)
+    expect(await collect(searchCompressed(encryptedPath, /ERROR request 7$/, { password: 'secret' }))).toEqual([
+      { path: encryptedPath, lineNumber: 8, line: 'ERROR request 7', before: [], after: [] }
+    ])
+    await expect(collect(readLines(encryptedPath))).rejects.toBeInstanceOf(DecryptionError)
+
+    await writeFile(join(baseDir, 'app.log.gz.002'), Buffer.alloc(1024))
+    await expect(collect(readLines(manifestPath))).rejects.toBeInstanceOf(IntegrityError)
+  })
+
+  test('should surface classified errors', async () => {
+    const corruptPath = join(baseDir, 'corrupt.gz')
+    await writeFile(corruptPath, gzipSync(lines.join('\n')).subarray(0, 200))
+
+    await expect(collect(readLines(join(baseDir, 'missing.gz')))).rejects.toBeInstanceOf(SourceNotFoundError)
+    await expect(collect(readLines(corruptPath))).rejects.toBeInstanceOf(CorruptArchiveError)
+    await expect(collect(searchCompressed(corruptPath, 42))).rejects.toThrow(TypeError)
+  })
+})
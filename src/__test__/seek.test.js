@@ -0,0 +1,105 @@
+import { execFileSync } from 'child_process'
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { Worker } from 'worker_threads'
+import { IntegrityError, compressFile, createMemoryStorage, readRange } from '../main.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+// Стежимо за створенням воркерів, не підміняючи їх
+vi.mock('worker_threads', async (importOriginal) => {
+  const actual = await importOriginal()
+  return { ...actual, Worker: vi.fn((url) => new actual.Worker(url)) }
+})
+
+describe('seek index and readRange', () => {
+  const blockSize = 16 * 1024
+  const content = Array.from({ length: 5000 }, (_, line) => `${String(line).padStart(5, '0')} log entry\n`).join('')
+  let baseDir
+  let filePath
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'seek-'))
+    filePath = join(baseDir, 'app.log')
+    await writeFile(filePath, content)
+  })
+
+  afterEach(async () => {
+    vi.clearAllMocks()
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test('should write an offset table next to a gunzip-compatible archive', async () => {
+    const archivePath = await compressFile(filePath, { seekIndex: true, blockSize })
+    const index = JSON.parse(await readFile(`${archivePath}.idx`, 'utf8'))
+
+    expect(execFileSync('gzip', ['-dc', archivePath], { encoding: 'utf8' })).toBe(content)
+    expect(index.size).toBe(content.length)
+    expect(index.members).toHaveLength(Math.ceil(content.length / blockSize))
+    expect(index.members.map(([, start]) => start)).toEqual(index.members.map((_, member) => member * blockSize))
+  })
+
+  test('should compress members in-thread unless parallel is requested', async () => {
+    await compressFile(filePath, { seekIndex: true, blockSize })
+    expect(Worker).not.toHaveBeenCalled()
+
+    await compressFile(filePath, { seekIndex: true, parallel: true, workers: 2, blockSize, onConflict: 'overwrite' })
+    expect(Worker).toHaveBeenCalledTimes(2)
+  })
+
+  test('should record member offsets reported by the compressor after the header is rewritten', async () => {
+    const archivePath = await compressFile(filePath, { seekIndex: true, blockSize, comment: 'x'.repeat(300) })
+    const archive = await readFile(archivePath)
+    const index = JSON.parse(await readFile(`${archivePath}.idx`, 'utf8'))
+
+    expect(index.compressedSize).toBe(archive.length)
+    for (const [offset] of index.members) {
+      expect([...archive.subarray(offset, offset + 3)]).toEqual([0x1f, 0x8b, 0x08])
+    }
+  })
+
+  test('should read ranges within, across and beyond members', async () => {
+    const archivePath = await compressFile(filePath, { seekIndex: true, parallel: true, workers: 2, blockSize })
+
+    for (const [start, length] of [
+      [0, 10],
+      [blockSize - 5, 10],
+      [blockSize * 2 + 100, blockSize * 2],
+      [content.length - 3, 100],
+      [content.length + 1, 10]
+    ]) {
+      expect((await readRange(archivePath, start, length)).toString()).toBe(content.slice(start, start + length))
+    }
+  })
+
+  test('should read only the needed members', async () => {
+    const storage = createMemoryStorage({ 'app.log': content })
+    await compressFile('app.log', { storage, seekIndex: true, blockSize })
+    const read = vi.spyOn(storage, 'read')
+
+    await readRange('app.log.gz', blockSize * 3 + 1, 100, { storage })
+
+    const { members } = JSON.parse((await storage.readFile('app.log.gz.idx')).toString())
+    expect(read).toHaveBeenCalledWith('app.log.gz', members[3][0], members[4][0] - members[3][0])
+  })
+
+  test('should refuse archives without a matching index', async () => {
+    const plainPath = await compressFile(filePath)
+    const indexedPath = await compressFile(filePath, {
+      seekIndex: true,
+      blockSize,
+      destinationFilePath: join(baseDir, 'indexed.gz')
+    })
+    await writeFile(`${indexedPath}.idx`, '{"version":1}')
+
+    await expect(readRange(plainPath, 0, 10)).rejects.toThrow(/No seek index/)
+    await expect(readRange(indexedPath, 0, 10)).rejects.toBeInstanceOf(IntegrityError)
+    await expect(readRange(indexedPath, -1, 10)).rejects.toThrow(TypeError)
+    await expect(compressFile(filePath, { seekIndex: true, algorithm: 'brotli' })).rejects.toThrow(TypeError)
+  })
+})
@@ -0,0 +1,145 @@
+import { once } from 'events'
+import { request as httpRequest } from 'http'
+import { brotliDecompressSync, gunzipSync } from 'zlib'
+import { mkdir, mkdtemp, readdir, readFile, rm, symlink, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { createStaticServer, precompressDirectory } from '../main.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+describe('static asset server', () => {
+  const script = 'console.log("hello")\n'.repeat(200)
+  let baseDir
+  let rootDir
+  let server
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'static-'))
+    rootDir = join(baseDir, 'public')
+    await mkdir(join(rootDir, 'js'), { recursive: true })
+    await writeFile(join(rootDir, 'js', 'app.js'), script)
+    await writeFile(join(rootDir, 'index.html'), '<h1>hi</h1>')
+    await writeFile(join(rootDir, 'logo.png'), Buffer.alloc(4096))
+    await writeFile(join(rootDir, '.env'), 'SECRET=1')
+    await writeFile(join(baseDir, 'secret.txt'), 'secret')
+  })
+
+  afterEach(async () => {
+    server?.close()
+    server = null
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  async function get(path, headers = {}, method = 'GET') {
+    if (!server) {
+      server = createStaticServer(rootDir)
+      server.listen(0, '127.0.0.1')
+      await once(server, 'listening')
+    }
+    const request = httpRequest({ host: '127.0.0.1', port: server.address().port, path, method, headers })
+    request.end()
+    const [response] = await once(request, 'response')
+    const chunks = []
+    for await (const chunk of response) {
+      chunks.push(chunk)
+    }
+    return { status: response.statusCode, headers: response.headers, body: Buffer.concat(chunks) }
+  }
+
+  test('should precompress compressible files and skip fresh copies', async () => {
+    const { gzip, brotli } = await precompressDirectory(rootDir)
+
+    expect(gzip.totals.succeeded).toBe(1)
+    expect(brotli.totals.succeeded).toBe(1)
+    expect((await readdir(join(rootDir, 'js'))).sort()).toEqual(['app.js', 'app.js.br', 'app.js.gz'])
+    expect(gunzipSync(await readFile(join(rootDir, 'js', 'app.js.gz'))).toString()).toBe(script)
+
+    const again = await precompressDirectory(rootDir)
+    expect(again.gzip.totals.files).toBe(0)
+  })
+
+  test('should precompress files whose names contain glob characters', async () => {
+    const routePath = join(rootDir, 'js', '[id].js')
+    await writeFile(routePath, 'x'.repeat(5000))
+
+    const { gzip, brotli } = await precompressDirectory(rootDir)
+
+    expect(gzip.files.map(({ source }) => source)).toContain(routePath)
+    expect(brotli.totals.failed).toBe(0)
+    expect(await readdir(join(rootDir, 'js'))).toEqual(expect.arrayContaining(['[id].js', '[id].js.br', '[id].js.gz']))
+  })
+
+  test('should negotiate precompressed sidecars with per-encoding validators', async () => {
+    await precompressDirectory(rootDir)
+    const brotli = await get('/js/app.js', { 'Accept-Encoding': 'gzip, deflate, br' })
+    const gzip = await get('/js/app.js', { 'Accept-Encoding': 'gzip;q=1, br;q=0.5' })
+    const identity = await get('/js/app.js')
+
+    expect(brotli.headers['content-encoding']).toBe('br')
+    expect(brotli.body).toEqual(await readFile(join(rootDir, 'js', 'app.js.br')))
+    expect(Number(brotli.headers['content-length'])).toBe(brotli.body.length)
+    expect(gzip.headers['content-encoding']).toBe('gzip')
+    expect(identity.headers['content-encoding']).toBeUndefined()
+    expect(identity.body.toString()).toBe(script)
+    expect(Number(identity.headers['content-length'])).toBe(script.length)
+    for (const { headers } of [brotli, gzip, identity]) {
+      expect(headers.vary).toBe('Accept-Encoding')
+    }
+    expect(new Set([brotli, gzip, identity].map(({ headers }) => headers.etag)).size).toBe(3)
+
+    const revalidated = await get('/js/app.js', { 'Accept-Encoding': 'br', 'If-None-Match': brotli.headers.etag })
+    expect(revalidated.status).toBe(304)
+    const rangeRevalidated = await get('/js/app.js', { Range: 'bytes=0-3', 'If-None-Match': identity.headers.etag })
+    expect(rangeRevalidated.status).toBe(304)
+    expect((await get('/js/app.js', { 'Accept-Encoding': 'identity;q=0' })).status).toBe(406)
+  })
+
+  test('should compress on the fly without sidecars', async () => {
+    const brotli = await get('/js/app.js', { 'Accept-Encoding': 'br' })
+    const png = await get('/logo.png', { 'Accept-Encoding': 'gzip' })
+
+    expect(brotli.headers['content-encoding']).toBe('br')
+    expect(brotli.headers['content-length']).toBeUndefined()
+    expect(brotliDecompressSync(brotli.body).toString()).toBe(script)
+    expect(png.headers['content-encoding']).toBeUndefined()
+    expect(png.headers['content-type']).toBe('image/png')
+  })
+
+  test('should serve byte ranges of the uncompressed file', async () => {
+    const partial = await get('/js/app.js', { Range: 'bytes=8-11', 'Accept-Encoding': 'gzip' })
+    const suffix = await get('/js/app.js', { Range: 'bytes=-6' })
+    const unsatisfiable = await get('/js/app.js', { Range: `bytes=${script.length}-` })
+
+    expect(partial.status).toBe(206)
+    expect(partial.headers['content-range']).toBe(`bytes 8-11/${script.length}`)
+    expect(partial.headers['content-encoding']).toBeUndefined()
+    expect(partial.body.toString()).toBe(script.slice(8, 12))
+    expect(suffix.body.toString()).toBe(script.slice(-6))
+    expect(unsatisfiable.status).toBe(416)
+    expect(unsatisfiable.headers['content-range']).toBe(`bytes */${script.length}`)
+  })
+
+  test('should refuse traversal, hidden files and other methods', async () => {
+    expect((await get('/')).body.toString()).toBe('<h1>hi</h1>')
+    expect((await get('/..%2fsecret.txt')).status).toBe(404)
+    expect((await get('/%2e%2e/secret.txt')).status).toBe(404)
+    expect((await get('/.env')).status).toBe(404)
+    expect((await get('/index.html', {}, 'HEAD')).body).toHaveLength(0)
+    expect((await get('/index.html', {}, 'POST')).status).toBe(405)
+  })
+
+  test('should ignore sidecars that link outside the root', async () => {
+    await writeFile(join(baseDir, 'secret.br'), 'secret')
+    await symlink(join(baseDir, 'secret.br'), join(rootDir, 'js', 'app.js.br'))
+
+    const response = await get('/js/app.js', { 'Accept-Encoding': 'br' })
+
+    expect(response.headers['content-encoding']).toBe('br')
+    expect(brotliDecompressSync(response.body).toString()).toBe(script)
+  })
+})
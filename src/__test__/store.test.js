@@ -0,0 +1,99 @@
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { createStore, IntegrityError, SourceNotFoundError } from '../main.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+describe('content-addressed store', () => {
+  let baseDir
+  let storeDir
+  let configPath
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'store-'))
+    storeDir = join(baseDir, 'store')
+    configPath = join(baseDir, 'app.yml')
+    await writeFile(configPath, 'port: 8080\n')
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  async function listBlobs() {
+    const blobs = []
+    for (const prefix of await readdir(join(storeDir, 'blobs'))) {
+      blobs.push(...(await readdir(join(storeDir, 'blobs', prefix))).filter((entry) => entry.endsWith('.gz')))
+    }
+    return blobs.sort()
+  }
+
+  test('should store each content once and version changes', async () => {
+    const store = createStore(storeDir)
+
+    const first = await store.put(configPath, { name: 'app.yml' })
+    const unchanged = await store.put(configPath, { name: 'app.yml' })
+    await writeFile(configPath, 'port: 9090\n')
+    const second = await store.put(configPath, { name: 'app.yml' })
+    await writeFile(join(baseDir, 'copy.yml'), 'port: 8080\n')
+    const copy = await store.put(join(baseDir, 'copy.yml'), { name: 'copy.yml' })
+
+    expect(first).toMatchObject({ name: 'app.yml', version: 1, size: 11, deduplicated: false })
+    expect(unchanged).toEqual({ ...first, deduplicated: true })
+    expect(second).toMatchObject({ version: 2, deduplicated: false })
+    expect(copy).toMatchObject({ version: 1, sha256: first.sha256, blob: first.blob, deduplicated: true })
+    expect(await listBlobs()).toEqual([`${first.sha256}.gz`, `${second.sha256}.gz`].sort())
+
+    const [app] = await createStore(storeDir).list()
+    expect(app.name).toBe('app.yml')
+    expect(app.versions.map(({ version, sha256 }) => [version, sha256])).toEqual([
+      [1, first.sha256],
+      [2, second.sha256]
+    ])
+    expect(Date.parse(app.versions[0].storedAt)).not.toBeNaN()
+  })
+
+  test('should restore any version and verify it', async () => {
+    const store = createStore(storeDir)
+    await store.put(configPath, { name: 'app.yml' })
+    await writeFile(configPath, 'port: 9090\n')
+    const { blob } = await store.put(configPath, { name: 'app.yml' })
+
+    const oldPath = await store.get('app.yml', { version: 1, destination: join(baseDir, 'old.yml') })
+    const latestPath = await store.get('app.yml', { destination: join(baseDir, 'latest.yml') })
+    expect(await readFile(oldPath, 'utf8')).toBe('port: 8080\n')
+    expect(await readFile(latestPath, 'utf8')).toBe('port: 9090\n')
+
+    await expect(store.get('app.yml', { version: 3 })).rejects.toThrow(SourceNotFoundError)
+    await expect(store.get('missing.yml')).rejects.toThrow(SourceNotFoundError)
+    await expect(store.get('app.yml', { version: 0 })).rejects.toThrow(TypeError)
+
+    // Блоб з чужим вмістом не пройде перевірку sha256
+    await writeFile(join(storeDir, `${blob}.sha256`), `${'0'.repeat(64)}  app.yml\n`)
+    await expect(store.get('app.yml', { destination: join(baseDir, 'broken.yml') })).rejects.toThrow(IntegrityError)
+  })
+
+  test('should prune history and unreferenced blobs', async () => {
+    const store = createStore(storeDir)
+    const first = await store.put(configPath, { name: 'app.yml' })
+    for (const port of [9090, 9191]) {
+      await writeFile(configPath, `port: ${port}\n`)
+      await store.put(configPath, { name: 'app.yml' })
+    }
+
+    expect(await store.gc()).toEqual({ removed: [], freedBytes: 0 })
+    const { removed, freedBytes } = await store.gc({ keepVersions: 2 })
+
+    expect(removed).toEqual([first.sha256])
+    expect(freedBytes).toBeGreaterThan(0)
+    expect(await listBlobs()).toHaveLength(2)
+    const [app] = await store.list()
+    expect(app.versions.map(({ version }) => version)).toEqual([2, 3])
+    await expect(store.get('app.yml', { version: 1 })).rejects.toThrow(SourceNotFoundError)
+  })
+})
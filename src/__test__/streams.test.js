@@ -0,0 +1,96 @@
+import { Readable } from 'stream'
+import { pipeline } from 'stream/promises'
+import { gunzipSync, gzipSync } from 'zlib'
+import { describe, test, expect, vi } from 'vitest'
+import {
+  AbortedError,
+  CorruptArchiveError,
+  DecompressionLimitError,
+  UnsupportedAlgorithmError,
+  compressBuffer,
+  compressStream,
+  decompressBuffer,
+  decompressStream
+} from '../main.js'
+import { parseGzipHeader } from '../metadata.js'
+
+// Працюємо з реальними path та zlib: стрімам і буферам файлова система не потрібна
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+describe('stream and buffer API', () => {
+  const content = 'In-memory payload.\n'.repeat(1000)
+
+  test('should round-trip a buffer with every supported algorithm', async () => {
+    for (const algorithm of ['gzip', 'deflate', 'brotli']) {
+      const compressed = await compressBuffer(content, { algorithm, level: 9 })
+
+      expect(compressed.length).toBeLessThan(content.length)
+      expect((await decompressBuffer(compressed)).toString()).toBe(content)
+    }
+  })
+
+  test('should produce standard gzip with optional header metadata', async () => {
+    const mtime = new Date('2024-05-01T12:00:00Z')
+
+    const compressed = await compressBuffer(content, { metadata: { name: 'payload.txt', mtime }, comment: 'api' })
+
+    expect(gunzipSync(compressed).toString()).toBe(content)
+    expect(parseGzipHeader(compressed)).toEqual({ name: 'payload.txt', mtime, mode: null, comment: 'api' })
+  })
+
+  test('should pipe through compressStream and decompressStream', async () => {
+    const chunks = []
+
+    await pipeline(
+      Readable.from(content.match(/.{1,500}/gs)),
+      compressStream({ algorithm: 'brotli' }),
+      decompressStream(),
+      async (output) => {
+        for await (const chunk of output) {
+          chunks.push(chunk)
+        }
+      }
+    )
+
+    expect(Buffer.concat(chunks).toString()).toBe(content)
+  })
+
+  test('should report corrupt input with the repo error types', async () => {
+    const damaged = gzipSync(content)
+    damaged[damaged.length - 8] ^= 0xff
+
+    const error = await decompressBuffer(damaged).catch((error) => error)
+
+    expect(error).toBeInstanceOf(CorruptArchiveError)
+    expect(error).toMatchObject({ code: 'ERR_CORRUPT_ARCHIVE', operation: 'decompress' })
+    expect(error.message).toMatch(/^Corrupt archive stream: /)
+  })
+
+  test('should apply decompression limits', async () => {
+    await expect(decompressBuffer(gzipSync(content), { maxOutputBytes: 1000 })).rejects.toBeInstanceOf(
+      DecompressionLimitError
+    )
+  })
+
+  test('should reject unknown algorithms and aborted operations', async () => {
+    expect(() => compressStream({ algorithm: 'lzma' })).toThrow(UnsupportedAlgorithmError)
+    await expect(compressBuffer(content, { algorithm: 'lzma' })).rejects.toBeInstanceOf(UnsupportedAlgorithmError)
+
+    const controller = new AbortController()
+    controller.abort()
+    await expect(compressBuffer(content, { signal: controller.signal })).rejects.toBeInstanceOf(AbortedError)
+  })
+
+  test('should abort a running stream through its signal', async () => {
+    const controller = new AbortController()
+    const stream = compressStream({ signal: controller.signal })
+    const failure = new Promise((resolve) => stream.once('error', resolve))
+
+    stream.write(content)
+    controller.abort()
+
+    expect(await failure).toBeInstanceOf(AbortedError)
+  })
+})
@@ -2,7 +2,7 @@ import { join } from 'path';
 import { compressFile, performCompressionAndDecompression } from '../main.js';
 import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest';
 import { vol } from 'memfs';
-import { Readable, Writable } from 'stream';
+import { Readable, Writable, Transform } from 'stream';
 
 // Мокуємо fs
 vi.mock('fs', async () => {
@@ -114,6 +114,27 @@ describe('compressFile function', () => {
     await expect(compressFile(filePath)).rejects.toThrow('Stream error');
   });
 
+  test('should not leave a partial compressed file when the stream fails', async () => {
+    const filePath = '/test/source.txt';
+    vol.fromJSON({ [filePath]: Buffer.from('content', 'utf-8') });
+
+    // Компресор встигає віддати дані, а потім падає
+    const mockedZlib = await import('zlib');
+    vi.spyOn(mockedZlib, 'createGzip').mockImplementationOnce(() => {
+      const transform = new Transform();
+      transform._transform = (chunk, encoding, callback) => {
+        callback(null, Buffer.from('compressed:' + chunk));
+      };
+      transform._flush = (callback) => {
+        callback(new Error('Gzip flush error'));
+      };
+      return transform;
+    });
+
+    await expect(compressFile(filePath)).rejects.toThrow('Gzip flush error');
+    expect(vol.readdirSync('/test')).toEqual(['source.txt']);
+  });
+
   test('should perform compression and decompression', async () => {
     const filePath = './files/source.txt';
     const fileContent = 'This is a test file content';
@@ -182,6 +182,26 @@ describe('File Content Comparison', () => {
     await expect(decompressFile(compressedFilePath, decompressedFilePath)).rejects.toThrow('Invalid Gzip data');
   });
 
+  test('should remove partial output when decompression fails midway', async () => {
+    const mockedZlib = await import('zlib');
+    vi.spyOn(mockedZlib, 'createGunzip').mockImplementationOnce(() => {
+      const transform = new Transform();
+      transform._transform = (chunk, encoding, callback) => {
+        callback(null, Buffer.from(chunk.toString().replace('compressed:', '')));
+      };
+      transform._flush = (callback) => {
+        callback(new Error('Unexpected end of file'));
+      };
+      return transform;
+    });
+
+    await compressFile(originalFilePath);
+    await expect(decompressFile(compressedFilePath, decompressedFilePath)).rejects.toThrow('Unexpected end of file');
+
+    // На диску лишились тільки оригінал і архів — ні результату, ні тимчасових файлів
+    expect(vol.readdirSync(baseDir).sort()).toEqual(['source.txt', 'source.txt.gz']);
+  });
+
   afterEach(() => {
     vol.reset();
     vi.restoreAllMocks();
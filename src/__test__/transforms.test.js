@@ -0,0 +1,145 @@
+import { Transform } from 'stream'
+import { gunzipSync, gzipSync } from 'zlib'
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { compressFile, convertCharset, decompressFile, normalizeLineEndings, redact, TransformError } from '../main.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+describe('transform hooks', () => {
+  let baseDir
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'transforms-'))
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  async function collect(transform, chunks) {
+    const parts = []
+    for await (const part of transform(
+      (async function* () {
+        yield* chunks.map((chunk) => Buffer.from(chunk, 'latin1'))
+      })()
+    )) {
+      parts.push(part)
+    }
+    return Buffer.concat(parts)
+  }
+
+  test('should keep line endings and characters intact across chunk boundaries', async () => {
+    expect((await collect(normalizeLineEndings(), ['a\r', '\nb\rc\r', ''])).toString('latin1')).toBe('a\nb\nc\n')
+    expect((await collect(normalizeLineEndings({ eol: '\r\n' }), ['a\nb\r', '\n'])).toString('latin1')).toBe(
+      'a\r\nb\r\n'
+    )
+    // «Ї» в UTF-8 — два байти, розірвані між чанками
+    const [first, second] = [...Buffer.from('Ї', 'utf8')].map((byte) => String.fromCharCode(byte))
+    expect((await collect(convertCharset({ from: 'utf-8', to: 'utf16le' }), [first, second])).toString('utf16le')).toBe(
+      'Ї'
+    )
+    expect(() => normalizeLineEndings({ eol: '\t' })).toThrow(TypeError)
+    expect(() => convertCharset({ from: 'klingon' })).toThrow(TypeError)
+    expect(() => redact('password')).toThrow(TypeError)
+  })
+
+  test('should redact line by line regardless of chunk boundaries', async () => {
+    const input = 'token: abc\ntoken:\nsecret\nid=1 token:  xyz\n'
+    const expected = '[REDACTED]\ntoken:\nsecret\nid=1 [REDACTED]\n'
+
+    for (const size of [1, 3, 7, 11, input.length]) {
+      const chunks = Array.from({ length: Math.ceil(input.length / size) }, (_, index) =>
+        input.slice(index * size, (index + 1) * size)
+      )
+      expect((await collect(redact(/token:\s+\S+/g), chunks)).toString()).toBe(expected)
+    }
+    expect((await collect(redact(/token:\s+\S+/g), ['token:\n', 'secret\n'])).toString()).toBe('token:\nsecret\n')
+  })
+
+  test('should anchor $ at the end of CRLF lines and keep their line endings', async () => {
+    const input = 'key=abc  \r\ntoken:\r\nsecret\nlast=xyz'
+
+    for (const chunks of [[input], ['key=abc  \r', '\ntoken:\r', '\nsecret\nlast=', 'xyz']]) {
+      expect((await collect(redact(/=\S+\s*$/gm, { replacement: '=***' }), chunks)).toString()).toBe(
+        'key=***\r\ntoken:\r\nsecret\nlast=***'
+      )
+      // `\s+` не перескакує через CRLF на наступний рядок
+      expect((await collect(redact(/token:\s+\S+/g), chunks)).toString()).toBe(input)
+    }
+  })
+
+  test('should transform the source before compression', async () => {
+    const sourcePath = join(baseDir, 'app.log')
+    await writeFile(sourcePath, 'login password=hunter2 ok  \r\nBearer abc.def\r\n')
+    const upperCase = new Transform({
+      transform(chunk, encoding, callback) {
+        callback(null, chunk.toString().toUpperCase())
+      }
+    })
+
+    const compressedPath = await compressFile(sourcePath, {
+      sidecar: 'sha256',
+      transforms: {
+        before: [
+          normalizeLineEndings(),
+          redact([/(?<=password=)\S+/g, /Bearer \S+/g]),
+          redact(/[ \t]+$/gm, { replacement: '' }),
+          upperCase
+        ]
+      }
+    })
+
+    const expected = 'LOGIN PASSWORD=[REDACTED] OK\n[REDACTED]\n'
+    expect(gunzipSync(await readFile(compressedPath)).toString()).toBe(expected)
+    // Супутник описує дані після трансформацій, тож перевірка при розпакуванні проходить
+    const restoredPath = await decompressFile(compressedPath, join(baseDir, 'restored.log'), { verify: true })
+    expect(await readFile(restoredPath, 'utf8')).toBe(expected)
+  })
+
+  test('should re-encode legacy charsets after decompression', async () => {
+    const cp1251Path = join(baseDir, 'cp1251.csv.gz')
+    const utf16Path = join(baseDir, 'utf16.txt.gz')
+    await writeFile(cp1251Path, gzipSync(Buffer.from([0xcf, 0xf0, 0xe8, 0xe2, 0xb3, 0xf2, 0x3b, 0x31, 0x0d, 0x0a])))
+    await writeFile(utf16Path, gzipSync(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('Київ', 'utf16le')])))
+
+    const fromCp1251 = await decompressFile(cp1251Path, join(baseDir, 'cp1251.csv'), {
+      transforms: { after: [convertCharset({ from: 'windows-1251' }), normalizeLineEndings()] }
+    })
+    const fromUtf16 = await decompressFile(utf16Path, join(baseDir, 'utf16.txt'), {
+      transforms: { after: [convertCharset({ from: 'utf-16le' })] }
+    })
+
+    expect(await readFile(fromCp1251, 'utf8')).toBe('Привіт;1\n')
+    expect(await readFile(fromUtf16, 'utf8')).toBe('Київ')
+  })
+
+  test('should surface transform failures as TransformError', async () => {
+    const archivePath = join(baseDir, 'binary.gz')
+    await writeFile(archivePath, gzipSync(Buffer.from([0x41, 0xff, 0x42])))
+    const sourcePath = join(baseDir, 'long.txt')
+    await writeFile(sourcePath, 'x'.repeat(64))
+
+    const decoded = await decompressFile(archivePath, join(baseDir, 'binary.txt'), {
+      transforms: { after: [convertCharset({ from: 'utf-8' })] }
+    }).catch((error) => error)
+    expect(decoded).toBeInstanceOf(TransformError)
+    expect(decoded).toMatchObject({ code: 'ERR_TRANSFORM', operation: 'decompress' })
+    expect(decoded.cause).toBeInstanceOf(TypeError)
+
+    const redacted = await compressFile(sourcePath, {
+      transforms: { before: [redact(/x/g, { maxLineLength: 16 })] }
+    }).catch((error) => error)
+    expect(redacted).toBeInstanceOf(TransformError)
+    expect(redacted.message).toContain(`"${sourcePath}"`)
+    expect((await readdir(baseDir)).sort()).toEqual(['binary.gz', 'long.txt'])
+
+    await expect(compressFile(sourcePath, { transforms: { during: [] } })).rejects.toThrow(TypeError)
+    await expect(compressFile(sourcePath, { transforms: { before: ['upper'] } })).rejects.toThrow(TypeError)
+  })
+})
@@ -0,0 +1,105 @@
+import { randomBytes } from 'crypto'
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { compressFile, decompressFile, DestinationExistsError, IntegrityError } from '../main.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+describe('archive volumes', () => {
+  // Випадкові байти майже не стискаються, тож архів гарантовано займе кілька томів
+  const content = randomBytes(40 * 1024)
+  let baseDir
+  let sourcePath
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'volumes-'))
+    sourcePath = join(baseDir, 'source.bin')
+    await writeFile(sourcePath, content)
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test('should split the archive into volumes with a manifest', async () => {
+    const manifestPath = await compressFile(sourcePath, { volumeSize: 16 * 1024 })
+
+    expect(manifestPath).toBe(join(baseDir, 'source.bin.gz.manifest'))
+    expect((await readdir(baseDir)).sort()).toEqual([
+      'source.bin',
+      'source.bin.gz.001',
+      'source.bin.gz.002',
+      'source.bin.gz.003',
+      'source.bin.gz.manifest'
+    ])
+    const manifest = JSON.parse(await readFile(manifestPath, 'utf8'))
+    expect(manifest).toMatchObject({ version: 1, archive: 'source.bin.gz', volumeSize: 16 * 1024 })
+    expect(manifest.volumes.map(({ name }) => name)).toEqual([
+      'source.bin.gz.001',
+      'source.bin.gz.002',
+      'source.bin.gz.003'
+    ])
+    expect(manifest.volumes[0]).toMatchObject({ size: 16 * 1024, sha256: expect.stringMatching(/^[0-9a-f]{64}$/) })
+  })
+
+  test('should reassemble volumes from the manifest or the first volume', async () => {
+    const manifestPath = await compressFile(sourcePath, { volumeSize: 16 * 1024 })
+    await rm(sourcePath)
+
+    const fromManifest = await decompressFile(manifestPath)
+    expect(fromManifest).toBe(sourcePath)
+    expect(await readFile(fromManifest)).toEqual(content)
+
+    const fromFirstVolume = await decompressFile(join(baseDir, 'source.bin.gz.001'), join(baseDir, 'copy.bin'))
+    expect(await readFile(fromFirstVolume)).toEqual(content)
+  })
+
+  test('should name a missing or corrupted volume', async () => {
+    const manifestPath = await compressFile(sourcePath, { volumeSize: 16 * 1024 })
+    const destination = join(baseDir, 'restored.bin')
+    const secondVolume = join(baseDir, 'source.bin.gz.002')
+    const volume = await readFile(secondVolume)
+
+    await rm(secondVolume)
+    const missing = await decompressFile(manifestPath, destination).catch((error) => error)
+    expect(missing).toBeInstanceOf(IntegrityError)
+    expect(missing.message).toBe(`Volume "${secondVolume}" is missing`)
+
+    // Той самий розмір, інші байти: помилку видно лише за sha256
+    volume[100] ^= 0xff
+    await writeFile(secondVolume, volume)
+    const corrupted = await decompressFile(manifestPath, destination).catch((error) => error)
+    expect(corrupted).toBeInstanceOf(IntegrityError)
+    expect(corrupted.message).toContain(`Volume "${secondVolume}" is corrupted`)
+    expect(await readdir(baseDir)).not.toContain('restored.bin')
+  })
+
+  test('should remove stale volumes when overwriting a longer set', async () => {
+    const manifestPath = await compressFile(sourcePath, { volumeSize: 16 * 1024 })
+
+    await compressFile(sourcePath, { volumeSize: 64 * 1024, onConflict: 'overwrite' })
+
+    expect((await readdir(baseDir)).sort()).toEqual(['source.bin', 'source.bin.gz.001', 'source.bin.gz.manifest'])
+    expect(await readFile(await decompressFile(manifestPath, join(baseDir, 'restored.bin')))).toEqual(content)
+  })
+
+  test('should not overwrite foreign files with volume names', async () => {
+    await writeFile(join(baseDir, 'source.bin.gz.002'), 'not mine')
+
+    await expect(compressFile(sourcePath, { volumeSize: 16 * 1024 })).rejects.toBeInstanceOf(DestinationExistsError)
+
+    expect((await readdir(baseDir)).sort()).toEqual(['source.bin', 'source.bin.gz.002'])
+    expect(await readFile(join(baseDir, 'source.bin.gz.002'), 'utf8')).toBe('not mine')
+  })
+
+  test('should reject invalid volume sizes', async () => {
+    await expect(compressFile(sourcePath, { volumeSize: 0 })).rejects.toThrow(TypeError)
+    await expect(compressFile(sourcePath, { volumeSize: 1024, seekIndex: true })).rejects.toThrow(TypeError)
+    expect(await readdir(baseDir)).toEqual(['source.bin'])
+  })
+})
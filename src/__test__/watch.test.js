@@ -0,0 +1,109 @@
+import { once } from 'events'
+import { gunzipSync } from 'zlib'
+import { appendFile, mkdtemp, readdir, readFile, rm, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { setTimeout as delay } from 'timers/promises'
+import { describe, beforeEach, test, expect, vi, afterEach } from 'vitest'
+import { DestinationExistsError, watchAndCompress } from '../main.js'
+
+// Працюємо з реальними path, zlib та fs у тимчасовій директорії
+vi.unmock('path')
+vi.unmock('zlib')
+vi.unmock('util')
+
+describe('watchAndCompress', () => {
+  let baseDir
+  let watcher
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'watch-'))
+  })
+
+  afterEach(async () => {
+    await watcher?.close()
+    watcher = null
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test('should compress a file only after it stops growing', async () => {
+    watcher = watchAndCompress(baseDir, { settleMs: 150, removeSource: true })
+    const compressed = once(watcher, 'compressed')
+
+    const filePath = join(baseDir, 'upload.csv')
+    for (let part = 0; part < 5; part++) {
+      await appendFile(filePath, `row ${part}\n`)
+      await delay(50)
+    }
+    const [{ source, output, attempts }] = await compressed
+
+    expect(source).toBe(filePath)
+    expect(attempts).toBe(1)
+    expect(gunzipSync(await readFile(output)).toString()).toBe('row 0\nrow 1\nrow 2\nrow 3\nrow 4\n')
+    expect(await readdir(baseDir)).toEqual(['upload.csv.gz'])
+  })
+
+  test('should pick up existing files and skip other patterns, archives and unchanged files', async () => {
+    await writeFile(join(baseDir, 'a.log'), 'a\n')
+    await writeFile(join(baseDir, 'b.txt'), 'b\n')
+    await writeFile(join(baseDir, 'old.log.gz'), '')
+    const onCompressed = vi.fn()
+    watcher = watchAndCompress(baseDir, { pattern: '*.log', settleMs: 50, sidecar: 'sha256' })
+    watcher.on('compressed', onCompressed)
+
+    await once(watcher, 'compressed')
+    await delay(300)
+
+    expect(onCompressed).toHaveBeenCalledTimes(1)
+    expect((await readdir(baseDir)).sort()).toEqual(['a.log', 'a.log.gz', 'a.log.gz.sha256', 'b.txt', 'old.log.gz'])
+  })
+
+  test('should ignore volumes, manifests, sidecars and encrypted archives', async () => {
+    const outputs = ['a.txt.gz.001', 'a.txt.gz.manifest', 'a.txt.gz.json', 'a.txt.gz.enc', 'a.txt.br.enc.002.sha256']
+    for (const name of outputs) {
+      await writeFile(join(baseDir, name), '')
+    }
+    await writeFile(join(baseDir, 'b.txt'), 'b\n')
+    const onCompressed = vi.fn()
+    watcher = watchAndCompress(baseDir, { settleMs: 50 })
+    watcher.on('compressed', onCompressed)
+
+    await once(watcher, 'compressed')
+    await delay(300)
+
+    expect(onCompressed).toHaveBeenCalledTimes(1)
+    expect(onCompressed).toHaveBeenCalledWith(expect.objectContaining({ source: join(baseDir, 'b.txt') }))
+    expect((await readdir(baseDir)).sort()).toEqual([...outputs, 'b.txt', 'b.txt.gz'].sort())
+  })
+
+  test('should retry with backoff and report the final failure', async () => {
+    await writeFile(join(baseDir, 'report.csv.gz'), 'taken')
+    watcher = watchAndCompress(baseDir, { settleMs: 20, retries: 2, retryDelayMs: 10, onConflict: 'error' })
+    const onRetry = vi.fn()
+    watcher.on('retry', onRetry)
+
+    await writeFile(join(baseDir, 'report.csv'), 'data\n')
+    const [{ error, attempts }] = await once(watcher, 'failed')
+
+    expect(error).toBeInstanceOf(DestinationExistsError)
+    expect(attempts).toBe(3)
+    expect(onRetry.mock.calls.map(([{ attempt, delayMs }]) => [attempt, delayMs])).toEqual([
+      [1, 10],
+      [2, 20]
+    ])
+  })
+
+  test('should stop watching after close', async () => {
+    watcher = watchAndCompress(baseDir, { settleMs: 20 })
+    const onCompressed = vi.fn()
+    watcher.on('compressed', onCompressed)
+    await watcher.close()
+
+    await writeFile(join(baseDir, 'late.log'), 'late\n')
+    await delay(100)
+
+    expect(onCompressed).not.toHaveBeenCalled()
+    expect(() => watchAndCompress(baseDir, { retries: -1 })).toThrow(TypeError)
+    expect(() => watchAndCompress(join(baseDir, 'missing'))).toThrow(/ENOENT/)
+  })
+})
@@ -0,0 +1,208 @@
+import { Readable } from 'stream'
+import * as zlib from 'zlib'
+import { UnsupportedAlgorithmError } from './errors.js'
+
+/*
+ * Реєстр алгоритмів компресії.
+ *
+ * Кожен алгоритм описує розширення вихідного файлу та фабрики стрімів компресії/декомпресії.
+ * До `zlib` звертаємось лише всередині фабрик: так модуль не падає на рантаймі без Zstandard
+ * і коректно працює з частково замоканим `zlib` у тестах.
+ */
+
+const DEFAULT_ALGORITHM = 'gzip'
+
+// Скільки байтів з початку файлу читаємо для визначення формату
+const SNIFF_LENGTH = 64 * 1024
+
+// Верхня межа виводу при пробному декодуванні Brotli, щоб не розпакувати «бомбу» в пам'ять
+const SNIFF_MAX_OUTPUT = 1024 * 1024
+
+const ZSTD_MAGIC = 0xfd2fb528
+
+/**
+ * Відкидає ключі зі значенням `undefined`, щоб не перекривати типові налаштування zlib.
+ *
+ * @param {object} options
+ * @returns {object}
+ */
+function pickDefined(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+}
+
+/**
+ * Перевіряє, що рантайм Node.js підтримує Zstandard (Node.js 22.15+ / 23.8+).
+ *
+ * @returns {boolean}
+ */
+function isZstdSupported() {
+  return typeof zlib.createZstdCompress === 'function'
+}
+
+const ALGORITHMS = {
+  gzip: {
+    extension: '.gz',
+    createCompressor: ({ level, windowBits } = {}) => zlib.createGzip(pickDefined({ level, windowBits })),
+    createDecompressor: ({ windowBits } = {}) => zlib.createGunzip(pickDefined({ windowBits }))
+  },
+  deflate: {
+    extension: '.zz',
+    createCompressor: ({ level, windowBits } = {}) => zlib.createDeflate(pickDefined({ level, windowBits })),
+    createDecompressor: ({ windowBits } = {}) => zlib.createInflate(pickDefined({ windowBits }))
+  },
+  brotli: {
+    extension: '.br',
+    createCompressor: ({ level, windowBits } = {}) =>
+      zlib.createBrotliCompress({
+        params: pickDefined({
+          [zlib.constants.BROTLI_PARAM_QUALITY]: level,
+          [zlib.constants.BROTLI_PARAM_LGWIN]: windowBits
+        })
+      }),
+    createDecompressor: () => zlib.createBrotliDecompress()
+  },
+  zstd: {
+    extension: '.zst',
+    isSupported: isZstdSupported,
+    createCompressor: ({ level, windowBits } = {}) =>
+      zlib.createZstdCompress({
+        params: pickDefined({
+          [zlib.constants.ZSTD_c_compressionLevel]: level,
+          [zlib.constants.ZSTD_c_windowLog]: windowBits
+        })
+      }),
+    createDecompressor: ({ windowBits } = {}) =>
+      zlib.createZstdDecompress({
+        params: pickDefined({ [zlib.constants.ZSTD_d_windowLogMax]: windowBits })
+      })
+  }
+}
+
+/**
+ * Повертає опис алгоритму за назвою.
+ *
+ * @param {string} [name='gzip'] - `gzip`, `deflate`, `brotli` або `zstd`.
+ * @returns {{ extension: string, createCompressor: Function, createDecompressor: Function }}
+ * @throws {UnsupportedAlgorithmError} Якщо алгоритм невідомий або недоступний у цьому рантаймі.
+ */
+function getAlgorithm(name = DEFAULT_ALGORITHM) {
+  const algorithm = Object.hasOwn(ALGORITHMS, name) ? ALGORITHMS[name] : undefined
+  if (!algorithm) {
+    throw new UnsupportedAlgorithmError(`Unsupported compression algorithm "${name}"`)
+  }
+  if (algorithm.isSupported && !algorithm.isSupported()) {
+    throw new UnsupportedAlgorithmError('Zstandard is not supported by this Node.js runtime')
+  }
+  return algorithm
+}
+
+/**
+ * Визначає алгоритм за розширенням файлу (`.gz`, `.zz`, `.br`, `.zst`).
+ *
+ * @param {string} filePath
+ * @returns {string | null}
+ */
+function algorithmFromExtension(filePath) {
+  const entry = Object.entries(ALGORITHMS).find(([, { extension }]) => filePath.endsWith(extension))
+  return entry ? entry[0] : null
+}
+
+/**
+ * Brotli не має магічних байтів, тому пробуємо декодувати початок файлу.
+ * Обрізаний фрагмент валідного потоку декодується без помилок і дає хоч якийсь вивід.
+ *
+ * @param {Buffer} sample
+ * @param {boolean} isComplete - Чи містить `sample` увесь файл.
+ * @returns {boolean}
+ */
+function looksLikeBrotli(sample, isComplete) {
+  try {
+    const output = zlib.brotliDecompressSync(sample, {
+      maxOutputLength: SNIFF_MAX_OUTPUT,
+      ...(isComplete ? {} : { finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH })
+    })
+    return output.length > 0 || isComplete
+  } catch (error) {
+    return error.code === 'ERR_BUFFER_TOO_LARGE'
+  }
+}
+
+/**
+ * Визначає формат компресованих даних за магічними байтами.
+ *
+ * @param {Buffer} sample - Початок файлу (до `SNIFF_LENGTH` байтів).
+ * @param {boolean} [isComplete=false] - Чи містить `sample` увесь файл.
+ * @returns {string | null} Назва алгоритму або `null`, якщо формат не розпізнано.
+ */
+function detectAlgorithm(sample, isComplete = false) {
+  if (sample.length >= 2 && sample[0] === 0x1f && sample[1] === 0x8b) {
+    return 'gzip'
+  }
+  if (sample.length >= 4 && sample.readUInt32LE(0) === ZSTD_MAGIC) {
+    return 'zstd'
+  }
+  // Заголовок zlib: CM = 8 (deflate), CINFO <= 7, а CMF·256 + FLG кратне 31
+  if (sample.length >= 2 && (sample[0] & 0x0f) === 8 && sample[0] >> 4 <= 7 && sample.readUInt16BE(0) % 31 === 0) {
+    return 'deflate'
+  }
+  if (sample.length > 0 && looksLikeBrotli(sample, isComplete)) {
+    return 'brotli'
+  }
+  return null
+}
+
+/**
+ * Зчитує початок стріму для визначення формату, не втрачаючи даних.
+ * Для файлів достатньо прочитати заголовок напряму, а stdin чи HTTP-тіло можна прочитати лише один раз.
+ *
+ * @param {import('stream').Readable} stream
+ * @returns {Promise<{ sample: Buffer, isComplete: boolean, stream: import('stream').Readable }>}
+ *   `stream` — новий стрім, який віддає ті самі дані від самого початку.
+ */
+async function sniffStream(stream) {
+  const iterator = stream[Symbol.asyncIterator]()
+  const chunks = []
+  let length = 0
+  let isComplete = false
+
+  while (length < SNIFF_LENGTH) {
+    const { done, value } = await iterator.next()
+    if (done) {
+      isComplete = true
+      break
+    }
+    const chunk = Buffer.from(value)
+    chunks.push(chunk)
+    length += chunk.length
+  }
+
+  const head = Buffer.concat(chunks)
+  async function* replay() {
+    try {
+      if (head.length > 0) {
+        yield head
+      }
+      if (!isComplete) {
+        for (let result = await iterator.next(); !result.done; result = await iterator.next()) {
+          yield result.value
+        }
+      }
+    } finally {
+      // Якщо споживач зупинився раніше, закриваємо й оригінальний стрім
+      await iterator.return?.()
+    }
+  }
+
+  return { sample: head.subarray(0, SNIFF_LENGTH), isComplete, stream: Readable.from(replay(), { objectMode: false }) }
+}
+
+export {
+  ALGORITHMS,
+  DEFAULT_ALGORITHM,
+  SNIFF_LENGTH,
+  algorithmFromExtension,
+  detectAlgorithm,
+  getAlgorithm,
+  isZstdSupported,
+  sniffStream
+}
@@ -0,0 +1,164 @@
+import { createReadStream, promises as fsPromises } from 'fs'
+import { DEFAULT_ALGORITHM, getAlgorithm } from './algorithms.js'
+import { step, throwIfAborted } from './errors.js'
+import { createPathFilter } from './glob.js'
+import { pipelineStreams, pipelineToFile, resolveDecompressionAlgorithm } from './io.js'
+import { DEFAULT_CONFLICT_STRATEGY, assertConflictStrategy, reserveFilePath } from './naming.js'
+import { createCompressionStreams, createDecompressionStreams } from './streams.js'
+import { createTarExtractor, createTarPacker } from './tar.js'
+
+/*
+ * Архівування директорій: tar-стрім, пропущений через той самий крок компресії, що й у `compressFile`.
+ */
+
+const TAR_EXTENSION = '.tar'
+
+/**
+ * @param {string} dirPath
+ * @returns {Promise<void>}
+ * @throws {Error} `ENOTDIR`, якщо шлях існує, але не є директорією.
+ */
+async function assertDirectory(dirPath) {
+  const stats = await fsPromises.stat(dirPath)
+  if (!stats.isDirectory()) {
+    throw Object.assign(new Error(`"${dirPath}" is not a directory`), { code: 'ENOTDIR' })
+  }
+}
+
+/**
+ * Пакує директорію в tar і компресує обраним алгоритмом.
+ *
+ * Ім'я результату: `./files/project` → `./files/project.tar.gz` (`.tar.br`, `.tar.zst`...); конфлікти імен
+ * розв'язуються так само, як у `compressFile`. В архів потрапляють шляхи відносно `dirPath`, права, mtime
+ * та симлінки (як посилання, без переходу за ними).
+ *
+ * @param {string} dirPath - Директорія, яку потрібно заархівувати.
+ * @param {object} [options]
+ * @param {'gzip' | 'deflate' | 'brotli' | 'zstd'} [options.algorithm='gzip'] - Алгоритм компресії.
+ * @param {number} [options.level] - Рівень компресії.
+ * @param {number} [options.windowBits] - Розмір вікна.
+ * @param {'increment' | 'timestamp' | 'content-hash' | 'overwrite' | 'error'} [options.onConflict='increment'] -
+ *   Що робити, якщо архів з таким ім'ям вже існує; `content-hash` бере хеш tar-стріму директорії.
+ * @param {AbortSignal} [options.signal] - Скасовує операцію; частковий архів видаляється.
+ * @returns {Promise<string>} Шлях до архіву.
+ * @throws {TypeError} Якщо стратегія `onConflict` невідома.
+ * @throws {UnsupportedAlgorithmError} Якщо алгоритм невідомий або недоступний у рантаймі.
+ * @throws {SourceNotFoundError | AccessDeniedError | SourceReadError} Якщо директорію неможливо прочитати.
+ * @throws {DestinationExistsError} Якщо архів вже існує, а `onConflict` — `error`.
+ * @throws {DestinationWriteError} Якщо архів неможливо записати.
+ * @throws {AbortedError} Якщо операцію скасовано через `signal`.
+ *
+ * @example
+ * const archivePath = await compressDirectory('./files/project', { algorithm: 'zstd' })
+ * // './files/project.tar.zst'
+ */
+async function compressDirectory(
+  dirPath,
+  { algorithm = DEFAULT_ALGORITHM, level, windowBits, onConflict = DEFAULT_CONFLICT_STRATEGY, signal } = {}
+) {
+  assertConflictStrategy(onConflict)
+  // `project/` і `project` мають дати однаковий `project.tar.gz`
+  const sourcePath = dirPath.length > 1 ? dirPath.replace(/\/+$/, '') : dirPath
+  const context = { operation: 'compress', paths: { source: sourcePath } }
+  throwIfAborted(signal, context)
+
+  const { extension } = await step('codec', context, () => getAlgorithm(algorithm))
+  await step('source', context, () => assertDirectory(sourcePath))
+  const archivePath = await step('destination', context, () =>
+    reserveFilePath(sourcePath, {
+      suffix: `${TAR_EXTENSION}${extension}`,
+      onConflict,
+      contentSource: () => createTarPacker(sourcePath)
+    })
+  )
+  context.paths.destination = archivePath
+
+  await pipelineToFile(
+    archivePath,
+    () => [createTarPacker(sourcePath), ...createCompressionStreams({ algorithm, level, windowBits })],
+    {
+      reserved: onConflict !== 'overwrite',
+      context,
+      signal
+    }
+  )
+
+  return archivePath
+}
+
+/**
+ * Розпаковує tar-архів (стиснений будь-яким підтримуваним алгоритмом) у директорію `destDir`.
+ *
+ * Формат компресії визначається за вмістом, як у `decompressFile`. Існуючі файли з тими самими іменами
+ * замінюються; кожен файл з'являється лише після повного запису. Якщо розпакування перервано помилкою,
+ * вже розпаковані записи лишаються в `destDir`.
+ *
+ * @param {string} archivePath - Шлях до архіву (`.tar.gz`, `.tar.br`, `.tar.zst`...).
+ * @param {string} destDir - Директорія призначення; створюється, якщо її немає.
+ * @param {object} [options]
+ * @param {string | string[]} [options.include] - Glob-шаблони записів, які потрібно розпакувати (типово — усі).
+ * @param {string | string[]} [options.exclude] - Glob-шаблони записів, які потрібно пропустити разом із вмістом.
+ * @param {boolean} [options.followSymlinks=false] - Дозволити запис через симлінки (зокрема розпаковані з архіву),
+ *   якщо вони ведуть всередину `destDir`. Типово будь-який симлінк на шляху запису зупиняє розпакування.
+ * @param {boolean} [options.preserveSpecialBits=false] - Відновлювати й setuid, setgid та sticky із заголовків tar;
+ *   типово права обрізаються до `0o777`, бо архів може бути недовіреним.
+ * @param {'gzip' | 'deflate' | 'brotli' | 'zstd'} [options.algorithm] - Примусовий алгоритм замість автовизначення.
+ * @param {number} [options.windowBits] - Розмір вікна декомпресора.
+ * @param {number} [options.maxOutputBytes] - Максимальний розмір розпакованого tar-стріму в байтах.
+ * @param {number} [options.maxRatio] - Максимальне співвідношення розпакованого розміру до компресованого.
+ * @param {AbortSignal} [options.signal] - Скасовує операцію.
+ * @returns {Promise<string[]>} Шляхи розпакованих файлів, директорій та симлінків у порядку архіву.
+ * @throws {UnsupportedAlgorithmError} Якщо алгоритм невідомий або недоступний у рантаймі.
+ * @throws {SourceNotFoundError | AccessDeniedError | SourceReadError} Якщо архів неможливо прочитати.
+ * @throws {CorruptArchiveError} Якщо архів пошкоджений або обрізаний.
+ * @throws {UnsafePathError} Якщо запис виходить за межі `destDir` через `..` або симлінк.
+ * @throws {DecompressionLimitError} Якщо перевищено `maxOutputBytes` або `maxRatio`.
+ * @throws {DestinationWriteError} Якщо запис неможливо створити.
+ * @throws {AbortedError} Якщо операцію скасовано через `signal`.
+ *
+ * @example
+ * await extractArchive('./files/project.tar.gz', './files/restored', { exclude: ['node_modules', '*.log'] })
+ */
+async function extractArchive(
+  archivePath,
+  destDir,
+  {
+    include,
+    exclude,
+    followSymlinks,
+    preserveSpecialBits,
+    algorithm,
+    windowBits,
+    maxOutputBytes,
+    maxRatio,
+    signal
+  } = {}
+) {
+  const context = { operation: 'extract', paths: { source: archivePath, destination: destDir } }
+  throwIfAborted(signal, context)
+
+  await step('source', context, () => fsPromises.access(archivePath))
+  const detected = await step('source', context, () => resolveDecompressionAlgorithm(archivePath, algorithm))
+  await step('codec', context, () => getAlgorithm(detected))
+  await step('destination', context, () => fsPromises.mkdir(destDir, { recursive: true }))
+
+  const extracted = []
+  await pipelineStreams(
+    () => [
+      createReadStream(archivePath),
+      ...createDecompressionStreams({ algorithm: detected, windowBits, maxOutputBytes, maxRatio })
+    ],
+    () =>
+      createTarExtractor(destDir, {
+        filter: createPathFilter({ include, exclude }),
+        followSymlinks,
+        preserveSpecialBits,
+        onEntry: (entryPath) => extracted.push(entryPath)
+      }),
+    { context, signal }
+  )
+
+  return extracted
+}
+
+export { compressDirectory, extractArchive }
@@ -0,0 +1,269 @@
+import { promises as fsPromises } from 'fs'
+import { join, parse } from 'path'
+import { DEFAULT_ALGORITHM } from './algorithms.js'
+import { AbortedError, throwIfAborted } from './errors.js'
+import { expandGlob } from './glob.js'
+import { compressFile, decompressFile } from './main.js'
+import { getOriginalFileName, readGzipMetadata } from './metadata.js'
+import { getArchiveSuffix } from './naming.js'
+import { localStorage } from './storage.js'
+import { openVolumeSet } from './volumes.js'
+
+/*
+ * Пакетна обробка: багато файлів через `compressFile` / `decompressFile` з обмеженою кількістю одночасних операцій.
+ *
+ * Помилка одного файлу не зупиняє решту (або, з `failFast`, скасовує все, що ще не завершилось),
+ * а потрапляє у звіт з тим самим `code`, що й у помилок окремих функцій.
+ */
+
+const DEFAULT_CONCURRENCY = 4
+
+/**
+ * @typedef {object} BatchEntry
+ * @property {string} source - Вхідний файл.
+ * @property {string | null} output - Результат або `null`, якщо файл не оброблено.
+ * @property {'ok' | 'failed' | 'skipped'} status - `skipped` — не запускався, скасований через `failFast`
+ *   або пропущений як нестисливий (`incompressible: 'skip'`).
+ * @property {number | null} bytesIn - Розмір входу; для маніфесту томів — усіх томів разом.
+ * @property {number | null} bytesOut - Розмір результату; для маніфесту томів — усіх томів разом.
+ * @property {number | null} ratio - Розпакований розмір, поділений на компресований.
+ * @property {number} durationMs
+ * @property {{ code: string, message: string } | null} error
+ * @property {import('./compressibility.js').CompressibilityReport} [compressibility] - Результат аналізу,
+ *   якщо `compressMany` викликано з `incompressible`.
+ */
+
+/**
+ * @typedef {object} BatchReport
+ * @property {BatchEntry[]} files - У порядку входу, а не завершення.
+ * @property {{ files: number, succeeded: number, failed: number, skipped: number, bytesIn: number,
+ *   bytesOut: number, ratio: number | null, durationMs: number }} totals
+ */
+
+/**
+ * Розгортає шаблони у список файлів без повторів, зберігаючи порядок.
+ * Існуючий шлях береться як є, навіть якщо в імені є спецсимволи glob (`[id].js`, `a?.txt`, `{x}.log`).
+ *
+ * @param {string | string[]} globOrPaths
+ * @returns {Promise<string[]>}
+ */
+async function resolveInputs(globOrPaths) {
+  const expanded = await Promise.all(
+    [globOrPaths].flat().map(async (globOrPath) => {
+      const isLiteral = await fsPromises.lstat(globOrPath).then(
+        () => true,
+        () => false
+      )
+      return isLiteral ? [globOrPath] : expandGlob(globOrPath)
+    })
+  )
+  return [...new Set(expanded.flat())]
+}
+
+/**
+ * Виконує `worker` для кожного елемента, не більше `concurrency` одночасно.
+ * Нові елементи не запускаються після скасування `signal`.
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, index: number) => Promise<void>} worker - Не має кидати помилок.
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+async function runPool(items, concurrency, worker, signal) {
+  let next = 0
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length && !signal.aborted) {
+      const index = next++
+      await worker(items[index], index)
+    }
+  })
+  await Promise.all(runners)
+}
+
+/**
+ * Розмір файлу, а для маніфесту томів — сума розмірів усіх томів набору.
+ *
+ * @param {string} path
+ * @returns {Promise<number>}
+ * @throws {IntegrityError} Якщо маніфест пошкоджений або тому бракує.
+ */
+async function getSize(path) {
+  const volumeSet = await openVolumeSet(path, { operation: 'stat', paths: { source: path } }, localStorage)
+  const { size } = volumeSet ? await volumeSet.storage.stat(volumeSet.archivePath) : await fsPromises.stat(path)
+  return size
+}
+
+/**
+ * @param {number | null} compressedBytes
+ * @param {number | null} uncompressedBytes
+ * @returns {number | null}
+ */
+function getRatio(compressedBytes, uncompressedBytes) {
+  return compressedBytes > 0 && uncompressedBytes !== null ? uncompressedBytes / compressedBytes : null
+}
+
+/**
+ * Спільний каркас `compressMany` / `decompressMany`.
+ *
+ * @param {string | string[]} globOrPaths
+ * @param {(source: string, signal: AbortSignal, entry: BatchEntry) => Promise<string | null>} processFile - Повертає
+ *   шлях результату або `null`, якщо файл пропущено.
+ * @param {object} options
+ * @param {'compress' | 'decompress'} options.operation
+ * @param {number} [options.concurrency]
+ * @param {boolean} [options.failFast]
+ * @param {(entry: BatchEntry) => void} [options.onFile]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<BatchReport>}
+ */
+async function runBatch(
+  globOrPaths,
+  processFile,
+  { operation, concurrency = DEFAULT_CONCURRENCY, failFast = false, onFile, signal }
+) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new TypeError(`Invalid concurrency "${concurrency}"`)
+  }
+  const context = { operation: `${operation}Many`, paths: {} }
+  throwIfAborted(signal, context)
+
+  const startedAt = performance.now()
+  const sources = await resolveInputs(globOrPaths)
+  // Внутрішній контролер скасовує решту файлів у режимі `failFast`, не чіпаючи сигнал викликаючого коду
+  const controller = new AbortController()
+  const batchSignal = signal ? AbortSignal.any([signal, controller.signal]) : controller.signal
+  const files = sources.map((source) => ({
+    source,
+    output: null,
+    status: 'skipped',
+    bytesIn: null,
+    bytesOut: null,
+    ratio: null,
+    durationMs: 0,
+    error: null
+  }))
+
+  await runPool(
+    files,
+    concurrency,
+    async (entry) => {
+      const fileStartedAt = performance.now()
+      try {
+        entry.output = await processFile(entry.source, batchSignal, entry)
+        if (entry.output !== null) {
+          const [bytesIn, bytesOut] = await Promise.all([getSize(entry.source), getSize(entry.output)])
+          Object.assign(entry, { status: 'ok', bytesIn, bytesOut })
+          entry.ratio = operation === 'compress' ? getRatio(bytesOut, bytesIn) : getRatio(bytesIn, bytesOut)
+        }
+      } catch (error) {
+        entry.output = null
+        if (error instanceof AbortedError && controller.signal.aborted && !signal?.aborted) {
+          entry.status = 'skipped'
+        } else {
+          entry.status = 'failed'
+          entry.error = { code: error.code ?? 'ERR_COMPRESSION', message: error.message }
+          if (failFast) {
+            controller.abort()
+          }
+        }
+      }
+      entry.durationMs = performance.now() - fileStartedAt
+      onFile?.(entry)
+    },
+    batchSignal
+  )
+  throwIfAborted(signal, context)
+
+  const done = files.filter(({ status }) => status === 'ok')
+  const bytesIn = done.reduce((sum, entry) => sum + entry.bytesIn, 0)
+  const bytesOut = done.reduce((sum, entry) => sum + entry.bytesOut, 0)
+  return {
+    files,
+    totals: {
+      files: files.length,
+      succeeded: done.length,
+      failed: files.filter(({ status }) => status === 'failed').length,
+      skipped: files.filter(({ status }) => status === 'skipped').length,
+      bytesIn,
+      bytesOut,
+      ratio: operation === 'compress' ? getRatio(bytesOut, bytesIn) : getRatio(bytesIn, bytesOut),
+      durationMs: performance.now() - startedAt
+    }
+  }
+}
+
+/**
+ * Компресує багато файлів паралельно. З `incompressible: 'skip'` медіа й архіви в змішаних директоріях
+ * не стискаються, а потрапляють у звіт як `skipped` з результатом аналізу в `compressibility`.
+ *
+ * @param {string | string[]} globOrPaths - Шляхи та/або glob-шаблони, наприклад `./logs/*.log`; існуючий файл
+ *   береться буквально, навіть якщо в імені є `[`, `?`, `*` чи `{`.
+ * @param {object} [options] - Опції `compressFile` (`algorithm`, `level`, `onConflict`, `sidecar`...), а також:
+ * @param {number} [options.concurrency=4] - Скільки файлів обробляти одночасно.
+ * @param {boolean} [options.failFast=false] - Після першої помилки скасувати файли, що ще обробляються,
+ *   і не запускати нові; типово помилка лише потрапляє у звіт.
+ * @param {string} [options.outputDir] - Директорія для результатів замість «поруч з оригіналом»; створюється,
+ *   якщо її немає. Однакові імена з різних директорій розводить `onConflict`.
+ * @param {(entry: BatchEntry) => void} [options.onFile] - Викликається після кожного файлу.
+ * @param {AbortSignal} [options.signal] - Скасовує весь пакет.
+ * @returns {Promise<BatchReport>} Звіт; помилки окремих файлів не відхиляють проміс.
+ * @throws {TypeError} Якщо `concurrency` некоректна.
+ * @throws {AbortedError} Якщо пакет скасовано через `signal`.
+ *
+ * @example
+ * const { totals } = await compressMany('./logs/*.log', { concurrency: 8, algorithm: 'zstd' })
+ * console.log(`${totals.succeeded}/${totals.files}, ${totals.failed} failed`)
+ */
+async function compressMany(globOrPaths, { concurrency, failFast, outputDir, onFile, signal, ...options } = {}) {
+  const suffix = outputDir ? getArchiveSuffix(options.algorithm ?? DEFAULT_ALGORITHM, options) : undefined
+  if (outputDir) {
+    await fsPromises.mkdir(outputDir, { recursive: true })
+  }
+  return runBatch(
+    globOrPaths,
+    (source, batchSignal, entry) => {
+      const { name, ext } = parse(source)
+      return compressFile(source, {
+        ...options,
+        destinationFilePath: outputDir ? join(outputDir, `${name}${ext}${suffix}`) : undefined,
+        onAnalysis: (report) => {
+          entry.compressibility = report
+          options.onAnalysis?.(report)
+        },
+        signal: batchSignal
+      })
+    },
+    { operation: 'compress', concurrency, failFast, onFile, signal }
+  )
+}
+
+/**
+ * Розпаковує багато архівів паралельно. Результат — ім'я оригіналу із заголовка Gzip, а без нього — ім'я архіву
+ * без розширення алгоритму (`app.log.gz` → `app.log`), поруч з архівом або в `outputDir`.
+ *
+ * @param {string | string[]} globOrPaths - Шляхи та/або glob-шаблони архівів.
+ * @param {object} [options] - Опції `decompressFile` (`onConflict`, `maxRatio`, `verify`...), а також
+ *   `concurrency`, `failFast`, `outputDir`, `onFile` і `signal`, як у `compressMany`.
+ * @returns {Promise<BatchReport>}
+ * @throws {TypeError} Якщо `concurrency` некоректна.
+ * @throws {AbortedError} Якщо пакет скасовано через `signal`.
+ */
+async function decompressMany(globOrPaths, { concurrency, failFast, outputDir, onFile, signal, ...options } = {}) {
+  if (outputDir) {
+    await fsPromises.mkdir(outputDir, { recursive: true })
+  }
+  return runBatch(
+    globOrPaths,
+    async (source, batchSignal) => {
+      const metadata = options.preserveMetadata === false ? null : await readGzipMetadata(source).catch(() => null)
+      const name = getOriginalFileName(source, metadata)
+      const destination = outputDir ? join(outputDir, name) : join(parse(source).dir, name)
+      return decompressFile(source, destination, { ...options, signal: batchSignal })
+    },
+    { operation: 'decompress', concurrency, failFast, onFile, signal }
+  )
+}
+
+export { DEFAULT_CONCURRENCY, compressMany, decompressMany }
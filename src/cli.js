@@ -0,0 +1,581 @@
+import { createReadStream, promises as fsPromises } from 'fs'
+import { Transform } from 'stream'
+import { parseArgs } from 'util'
+import { DEFAULT_ALGORITHM, algorithmFromExtension, detectAlgorithm, sniffStream } from './algorithms.js'
+import { step } from './errors.js'
+import { SIDECAR_EXTENSIONS, verifyArchive } from './integrity.js'
+import { createSink, defaultDecompressedPath, pipelineStreams, pipelineToFile } from './io.js'
+import { compressFile, decompressFile } from './main.js'
+import { CONFLICT_STRATEGIES, reserveFilePath } from './naming.js'
+import { createCompressionStreams, createDecompressionStreams } from './streams.js'
+
+/*
+ * Командний рядок над `compressFile` / `decompressFile`.
+ *
+ * `run()` не чіпає `process` напряму: stdin/stdout/stderr і `AbortSignal` передаються ззовні,
+ * тому CLI можна тестувати без запуску окремого процесу. Точка входу — `bin/compressor.js`.
+ */
+
+const PROGRAM = 'compressor'
+
+// `-` замість шляху означає stdin для входу або stdout для виходу
+const STDIO = '-'
+
+// Код виходу для кожного `code` з ієрархії помилок
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  ERR_SOURCE_NOT_FOUND: 3,
+  ERR_ACCESS_DENIED: 4,
+  ERR_SOURCE_READ: 5,
+  ERR_CORRUPT_ARCHIVE: 6,
+  ERR_DECOMPRESSION_LIMIT: 7,
+  ERR_DESTINATION_EXISTS: 8,
+  ERR_DESTINATION_WRITE: 9,
+  ERR_UNSUPPORTED_ALGORITHM: 10,
+  ERR_UNSAFE_PATH: 11,
+  ERR_INTEGRITY: 12,
+  ERR_DECRYPTION: 13,
+  ERR_ABORTED: 130
+}
+
+const USAGE = `Usage: ${PROGRAM} <command> [options] <file...>
+
+Commands:
+  compress <file...>     Compress files (use - for stdin)
+  decompress <file...>   Decompress files, detecting the format from their content
+  test <file...>         Check that archives decompress cleanly (and match their sidecar) without writing anything
+  list <file...>         Show compressed and uncompressed sizes
+
+Options:
+  -o, --output <path>    Output path for a single input (use - for stdout)
+  -k, --keep             Keep the input file (default)
+      --rm               Remove the input file after success
+  -l, --level <n>        Compression level
+  -a, --algorithm <name> gzip, deflate, brotli or zstd (default: gzip, or detected on decompress)
+      --on-conflict <s>  increment, timestamp, content-hash, overwrite or error (default: increment)
+      --sidecar <format> Write a sha256 or json checksum sidecar next to the archive (compress)
+      --incompressible <s>
+                         skip or store files that look incompressible, like media and archives (compress)
+      --verify           Check the result against the archive's checksum sidecar (decompress)
+      --max-output <bytes>
+                         Stop decompressing past this many output bytes (decompress, test, list)
+      --max-ratio <n>    Stop decompressing past this output/input ratio; Infinity disables (default: 1100)
+  -n, --no-name          Do not save or restore the original name, mtime and mode (gzip)
+      --comment <text>   Store a comment in the gzip header (compress)
+  -p, --parallel <n>     Compress gzip blocks on n worker threads, like pigz (compress)
+      --password-file <path>
+                         Encrypt with, or decrypt and test using, the password in this file (first line)
+      --json             Print one JSON object per input
+  -h, --help             Show this help
+`
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  keep: { type: 'boolean', short: 'k' },
+  rm: { type: 'boolean' },
+  level: { type: 'string', short: 'l' },
+  algorithm: { type: 'string', short: 'a' },
+  'on-conflict': { type: 'string' },
+  sidecar: { type: 'string' },
+  incompressible: { type: 'string' },
+  verify: { type: 'boolean' },
+  'max-output': { type: 'string' },
+  'max-ratio': { type: 'string' },
+  'no-name': { type: 'boolean', short: 'n' },
+  comment: { type: 'string' },
+  parallel: { type: 'string', short: 'p' },
+  'password-file': { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+}
+
+class UsageError extends Error {}
+
+/**
+ * Прохідний стрім, що рахує байти.
+ *
+ * @returns {Transform & { bytes: number }}
+ */
+function createCounter() {
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      counter.bytes += chunk.length
+      callback(null, chunk)
+    }
+  })
+  counter.bytes = 0
+  return counter
+}
+
+/**
+ * Відкриває вхід: stdin для `-`, інакше файл (з перевіркою існування, щоб отримати `SourceNotFoundError`).
+ *
+ * @param {string} input
+ * @param {import('stream').Readable} stdin
+ * @param {{ operation: string, paths: object }} context
+ * @returns {Promise<import('stream').Readable>}
+ */
+async function openInput(input, stdin, context) {
+  if (input === STDIO) {
+    return stdin
+  }
+  await step('source', context, () => fsPromises.access(input))
+  return createReadStream(input)
+}
+
+/**
+ * Пише ланцюжок стрімів у stdout для `-`, інакше — у файл так само, як `compressFile`: ім'я резервується
+ * за стратегією `onConflict`, а результат з'являється лише після успіху. Помилка класифікується за стрімом,
+ * який впав першим.
+ *
+ * @param {string} output
+ * @param {() => Array<import('stream').Readable | import('stream').Duplex>} createStreams
+ * @param {object} options
+ * @param {import('stream').Writable} options.stdout
+ * @param {string} [options.onConflict]
+ * @param {{ operation: string, paths: object }} options.context
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<string>} `-` або шлях записаного файлу.
+ */
+async function writeOutput(output, createStreams, { stdout, onConflict, context, signal }) {
+  if (output === STDIO) {
+    await pipelineStreams(createStreams, () => stdout, { context, signal })
+    return output
+  }
+  const resultPath = await step('destination', context, () => reserveFilePath(output, { onConflict }))
+  context.paths.destination = resultPath
+  await pipelineToFile(resultPath, createStreams, { reserved: onConflict !== 'overwrite', context, signal })
+  return resultPath
+}
+
+/**
+ * Визначає алгоритм стріму за його початком і повертає стрім, який віддає дані з самого початку.
+ *
+ * @param {import('stream').Readable} source
+ * @param {string} input
+ * @param {string} [algorithm]
+ * @returns {Promise<{ algorithm: string, stream: import('stream').Readable }>}
+ */
+async function detectStream(source, input, algorithm) {
+  const { sample, isComplete, stream } = await sniffStream(source)
+  return {
+    algorithm: algorithm ?? detectAlgorithm(sample, isComplete) ?? algorithmFromExtension(input) ?? DEFAULT_ALGORITHM,
+    stream
+  }
+}
+
+/**
+ * @param {string} input
+ * @param {string} output
+ * @returns {Promise<{ inputBytes: number, outputBytes: number }>}
+ */
+async function fileSizes(input, output) {
+  const [{ size: inputBytes }, { size: outputBytes }] = await Promise.all([
+    fsPromises.stat(input),
+    fsPromises.stat(output)
+  ])
+  return { inputBytes, outputBytes }
+}
+
+/**
+ * Читає пароль з першого рядка файлу: так він не потрапляє в історію shell і список процесів.
+ *
+ * @param {string} passwordFile
+ * @param {string} operation
+ * @returns {Promise<string>}
+ */
+async function readPassword(passwordFile, operation) {
+  const content = await step('source', { operation, paths: { source: passwordFile } }, () =>
+    fsPromises.readFile(passwordFile, 'utf8')
+  )
+  return content.split(/\r?\n/)[0]
+}
+
+/**
+ * `compress`: файл → файл через `compressFile`, а stdin/stdout — прямим ланцюжком стрімів.
+ */
+async function compressCommand(
+  input,
+  {
+    algorithm = DEFAULT_ALGORITHM,
+    level,
+    onConflict,
+    sidecar,
+    incompressible,
+    preserveMetadata,
+    comment,
+    workers,
+    passwordFile,
+    output,
+    remove,
+    signal
+  },
+  io
+) {
+  const parallelOptions = workers === undefined ? {} : { parallel: true, workers }
+  const encrypt = passwordFile ? { password: await readPassword(passwordFile, 'compress') } : undefined
+  if (input !== STDIO && output !== STDIO) {
+    let analysis
+    const compressedPath = await compressFile(input, {
+      algorithm,
+      level,
+      onConflict,
+      sidecar,
+      incompressible,
+      onAnalysis: (report) => {
+        analysis = report
+      },
+      preserveMetadata,
+      comment,
+      ...parallelOptions,
+      encrypt,
+      destinationFilePath: output,
+      signal
+    })
+    if (compressedPath === null) {
+      const { size } = await fsPromises.stat(input)
+      const reason = analysis.format ?? `estimated ratio ${analysis.estimatedRatio.toFixed(2)}:1`
+      return { input, output: null, algorithm, skipped: reason, uncompressedBytes: size, compressedBytes: null }
+    }
+    const { inputBytes, outputBytes } = await fileSizes(input, compressedPath)
+    if (remove) {
+      await fsPromises.rm(input)
+    }
+    return { input, output: compressedPath, algorithm, uncompressedBytes: inputBytes, compressedBytes: outputBytes }
+  }
+
+  const destinationPath = output ?? STDIO
+  const context = { operation: 'compress', paths: { source: input, destination: destinationPath } }
+  const compressors = await step('codec', context, () =>
+    createCompressionStreams({ algorithm, level, ...parallelOptions })
+  )
+  const source = await openInput(input, io.stdin, context)
+  const counterIn = createCounter()
+  const counterOut = createCounter()
+
+  const resultPath = await writeOutput(destinationPath, () => [source, counterIn, ...compressors, counterOut], {
+    stdout: io.stdout,
+    onConflict,
+    context,
+    signal
+  })
+  if (remove && input !== STDIO) {
+    await fsPromises.rm(input)
+  }
+  return {
+    input,
+    output: resultPath,
+    algorithm,
+    uncompressedBytes: counterIn.bytes,
+    compressedBytes: counterOut.bytes
+  }
+}
+
+/**
+ * `decompress`: файл → файл через `decompressFile`, а stdin/stdout — з визначенням формату за початком стріму.
+ */
+async function decompressCommand(
+  input,
+  { algorithm, onConflict, verify, preserveMetadata, passwordFile, output, remove, maxOutputBytes, maxRatio, signal },
+  io
+) {
+  if (input !== STDIO && output !== STDIO) {
+    const password = passwordFile ? await readPassword(passwordFile, 'decompress') : undefined
+    // Без `-o` ім'я береться із заголовка Gzip, як у `gzip -dN`; з `-n` — ім'я архіву без розширення
+    const resultPath = await decompressFile(
+      input,
+      output ?? (preserveMetadata ? undefined : defaultDecompressedPath(input)),
+      {
+        algorithm,
+        onConflict,
+        verify,
+        preserveMetadata,
+        password,
+        maxOutputBytes,
+        maxRatio,
+        signal
+      }
+    )
+    const { inputBytes, outputBytes } = await fileSizes(input, resultPath)
+    if (remove) {
+      await fsPromises.rm(input)
+    }
+    return { input, output: resultPath, compressedBytes: inputBytes, uncompressedBytes: outputBytes }
+  }
+
+  const destinationPath = output ?? STDIO
+  const context = { operation: 'decompress', paths: { source: input, destination: destinationPath } }
+  const source = await openInput(input, io.stdin, context)
+  const detected = await step('source', context, () => detectStream(source, input, algorithm))
+  const decompressors = await step('codec', context, () =>
+    createDecompressionStreams({ algorithm: detected.algorithm, maxOutputBytes, maxRatio })
+  )
+  const counterIn = createCounter()
+  const counterOut = createCounter()
+
+  const resultPath = await writeOutput(
+    destinationPath,
+    () => [detected.stream, counterIn, ...decompressors, counterOut],
+    { stdout: io.stdout, onConflict, context, signal }
+  )
+  if (remove && input !== STDIO) {
+    await fsPromises.rm(input)
+  }
+  return {
+    input,
+    output: resultPath,
+    algorithm: detected.algorithm,
+    compressedBytes: counterIn.bytes,
+    uncompressedBytes: counterOut.bytes
+  }
+}
+
+/**
+ * Розпаковує вхід «у нікуди», рахуючи байти: нічого не пишеться на диск. Ліміти ті самі, що й у `decompress`.
+ */
+async function inspectArchive(input, { algorithm, maxOutputBytes, maxRatio, signal }, io, operation) {
+  const context = { operation, paths: { source: input } }
+  const source = await openInput(input, io.stdin, context)
+  const detected = await step('source', context, () => detectStream(source, input, algorithm))
+  const decompressors = await step('codec', context, () =>
+    createDecompressionStreams({ algorithm: detected.algorithm, maxOutputBytes, maxRatio })
+  )
+  const counterIn = createCounter()
+  const counterOut = createCounter()
+
+  await pipelineStreams(() => [detected.stream, counterIn, ...decompressors, counterOut], createSink, {
+    context,
+    signal
+  })
+  return {
+    input,
+    algorithm: detected.algorithm,
+    compressedBytes: counterIn.bytes,
+    uncompressedBytes: counterOut.bytes
+  }
+}
+
+// `test`: архів валідний, якщо розпакувався до кінця без помилок і збігся з файлом-супутником, якщо той є
+async function testCommand(input, options, io) {
+  if (input === STDIO) {
+    return { ...(await inspectArchive(input, options, io, 'test')), ok: true }
+  }
+  const password = options.passwordFile ? await readPassword(options.passwordFile, 'verify') : undefined
+  const { algorithm, compressedBytes, uncompressedBytes, sidecar } = await verifyArchive(input, {
+    algorithm: options.algorithm,
+    password,
+    maxOutputBytes: options.maxOutputBytes,
+    maxRatio: options.maxRatio,
+    signal: options.signal
+  })
+  return { input, algorithm, compressedBytes, uncompressedBytes, sidecar, ok: true }
+}
+
+/**
+ * Для Gzip-файлів розмір береться з трейлера ISIZE (як `gzip -l`: за модулем 2^32 і лише для останнього
+ * члена multi-member архіву), для решти форматів — повним розпакуванням у нікуди.
+ */
+async function listCommand(input, options, io) {
+  if (input === STDIO || (options.algorithm && options.algorithm !== 'gzip')) {
+    return inspectArchive(input, options, io, 'list')
+  }
+
+  const context = { operation: 'list', paths: { source: input } }
+  const handle = await step('source', context, () => fsPromises.open(input, 'r'))
+  try {
+    const { size } = await handle.stat()
+    const header = Buffer.alloc(2)
+    await handle.read(header, 0, 2, 0)
+    if (size < 18 || detectAlgorithm(header) !== 'gzip') {
+      return inspectArchive(input, options, io, 'list')
+    }
+    const trailer = Buffer.alloc(4)
+    await handle.read(trailer, 0, 4, size - 4)
+    return { input, algorithm: 'gzip', compressedBytes: size, uncompressedBytes: trailer.readUInt32LE(0) }
+  } finally {
+    await handle.close()
+  }
+}
+
+const COMMANDS = {
+  compress: compressCommand,
+  decompress: decompressCommand,
+  test: testCommand,
+  list: listCommand
+}
+
+/**
+ * @param {{ compressedBytes: number, uncompressedBytes: number }} result
+ * @returns {number | null} Скільки разів розпакований розмір більший за компресований.
+ */
+function getRatio({ compressedBytes, uncompressedBytes }) {
+  return compressedBytes > 0 ? uncompressedBytes / compressedBytes : null
+}
+
+// Рядок людського виводу для однієї обробленої команди
+function formatResult(command, result) {
+  const { input, output, compressedBytes, uncompressedBytes } = result
+  const ratio = result.ratio === null ? '-' : `${result.ratio.toFixed(2)}:1`
+  switch (command) {
+    case 'compress':
+      if (result.skipped) {
+        return `${input}: skipped as incompressible (${result.skipped})`
+      }
+      return `${input} -> ${output} (${uncompressedBytes} -> ${compressedBytes} bytes, ${ratio})`
+    case 'decompress':
+      return `${input} -> ${output} (${compressedBytes} -> ${uncompressedBytes} bytes, ${ratio})`
+    case 'test':
+      return `${input}: OK (${result.algorithm}${result.sidecar ? ', checksum verified' : ''})`
+    default:
+      return [compressedBytes, uncompressedBytes, ratio, result.algorithm, input].join('\t')
+  }
+}
+
+/**
+ * Розбирає та перевіряє аргументи.
+ *
+ * @param {string[]} argv
+ * @throws {UsageError | TypeError}
+ */
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+  const [command, ...inputs] = positionals
+
+  if (values.help) {
+    return { help: true }
+  }
+  if (!Object.hasOwn(COMMANDS, command ?? '')) {
+    throw new UsageError(command ? `Unknown command "${command}"` : 'Missing command')
+  }
+  if (inputs.length === 0) {
+    throw new UsageError('Missing input file')
+  }
+  if (values.output !== undefined && inputs.length > 1) {
+    throw new UsageError('--output can only be used with a single input')
+  }
+  if (values.keep && values.rm) {
+    throw new UsageError('--keep and --rm are mutually exclusive')
+  }
+  if (values['on-conflict'] !== undefined && !CONFLICT_STRATEGIES.includes(values['on-conflict'])) {
+    throw new UsageError(`Invalid --on-conflict strategy "${values['on-conflict']}"`)
+  }
+  if (values.sidecar !== undefined && !Object.hasOwn(SIDECAR_EXTENSIONS, values.sidecar)) {
+    throw new UsageError(`Invalid --sidecar format "${values.sidecar}"`)
+  }
+  if (values.level !== undefined && !/^-?\d+$/.test(values.level)) {
+    throw new UsageError(`Invalid level "${values.level}"`)
+  }
+  if (values['password-file'] !== undefined && (inputs.includes(STDIO) || values.output === STDIO)) {
+    throw new UsageError('--password-file cannot be used with stdin or stdout')
+  }
+  if (values.incompressible !== undefined && !['skip', 'store'].includes(values.incompressible)) {
+    throw new UsageError(`Invalid --incompressible strategy "${values.incompressible}"`)
+  }
+  if (values.incompressible !== undefined && (inputs.includes(STDIO) || values.output === STDIO)) {
+    throw new UsageError('--incompressible cannot be used with stdin or stdout')
+  }
+  // Хеш вмісту для імені потребував би прочитати stdin двічі
+  if (values['on-conflict'] === 'content-hash' && inputs.includes(STDIO)) {
+    throw new UsageError('--on-conflict content-hash cannot be used with stdin')
+  }
+  if (values.parallel !== undefined && !/^[1-9]\d*$/.test(values.parallel)) {
+    throw new UsageError(`Invalid --parallel worker count "${values.parallel}"`)
+  }
+  if (values['max-output'] !== undefined && !/^[1-9]\d*$/.test(values['max-output'])) {
+    throw new UsageError(`Invalid --max-output byte count "${values['max-output']}"`)
+  }
+  if (
+    values['max-ratio'] !== undefined &&
+    !(/^(\d+(\.\d+)?|Infinity)$/.test(values['max-ratio']) && Number(values['max-ratio']) > 0)
+  ) {
+    throw new UsageError(`Invalid --max-ratio "${values['max-ratio']}"`)
+  }
+
+  return {
+    command,
+    inputs,
+    json: Boolean(values.json),
+    options: {
+      output: values.output,
+      remove: Boolean(values.rm),
+      level: values.level === undefined ? undefined : Number(values.level),
+      algorithm: values.algorithm,
+      onConflict: values['on-conflict'],
+      sidecar: values.sidecar,
+      incompressible: values.incompressible,
+      verify: Boolean(values.verify),
+      preserveMetadata: !values['no-name'],
+      comment: values.comment,
+      workers: values.parallel === undefined ? undefined : Number(values.parallel),
+      passwordFile: values['password-file'],
+      maxOutputBytes: values['max-output'] === undefined ? undefined : Number(values['max-output']),
+      maxRatio: values['max-ratio'] === undefined ? undefined : Number(values['max-ratio'])
+    }
+  }
+}
+
+/**
+ * Виконує команду CLI.
+ *
+ * @param {string[]} argv - Аргументи без `node` та шляху до скрипта.
+ * @param {object} [io]
+ * @param {import('stream').Readable} [io.stdin=process.stdin]
+ * @param {import('stream').Writable} [io.stdout=process.stdout]
+ * @param {import('stream').Writable} [io.stderr=process.stderr]
+ * @param {AbortSignal} [io.signal] - Скасування (наприклад, по SIGINT) прибирає частково записані файли.
+ * @returns {Promise<number>} Код виходу: 0 — успіх, 2 — помилка аргументів, інші — див. `EXIT_CODES`.
+ *
+ * @example
+ * // compressor compress -a brotli --rm ./logs/app.log
+ * process.exitCode = await run(process.argv.slice(2))
+ */
+async function run(argv, { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, signal } = {}) {
+  let parsed
+  try {
+    parsed = parseCommandLine(argv)
+  } catch (error) {
+    stderr.write(`${PROGRAM}: ${error.message}\n\n${USAGE}`)
+    return EXIT_CODES.USAGE
+  }
+
+  if (parsed.help) {
+    stdout.write(USAGE)
+    return EXIT_CODES.OK
+  }
+
+  const { command, inputs, json, options } = parsed
+  // Якщо stdout зайнятий даними, звіт іде в stderr
+  const writesData =
+    (command === 'compress' || command === 'decompress') &&
+    (options.output === STDIO || (options.output === undefined && inputs.includes(STDIO)))
+  const report = writesData ? stderr : stdout
+  let exitCode = EXIT_CODES.OK
+
+  if (command === 'list' && !json) {
+    report.write(['compressed', 'uncompressed', 'ratio', 'algorithm', 'name'].join('\t') + '\n')
+  }
+
+  for (const input of inputs) {
+    try {
+      const result = await COMMANDS[command](input, { ...options, signal }, { stdin, stdout })
+      const withRatio = { command, ...result, ratio: getRatio(result) }
+      report.write(`${json ? JSON.stringify(withRatio) : formatResult(command, withRatio)}\n`)
+    } catch (error) {
+      const code = error.code in EXIT_CODES ? error.code : undefined
+      if (json) {
+        report.write(`${JSON.stringify({ command, input, error: { code: error.code, message: error.message } })}\n`)
+      } else {
+        stderr.write(`${PROGRAM}: ${error.message}\n`)
+      }
+      if (exitCode === EXIT_CODES.OK) {
+        exitCode = code ? EXIT_CODES[code] : EXIT_CODES.FAILURE
+      }
+    }
+  }
+
+  return exitCode
+}
+
+export { EXIT_CODES, run }
@@ -0,0 +1,123 @@
+import * as zlib from 'zlib'
+import { localStorage } from './storage.js'
+
+/*
+ * Оцінка того, чи варто стискати файл.
+ *
+ * Спершу перевіряються магічні байти вже стиснутих форматів (JPEG, MP4, ZIP, Gzip...), а для решти —
+ * швидка компресія початку файлу: якщо навіть вона майже нічого не виграє, повна компресія лише витратить CPU
+ * й може дати більший файл. До `zlib` звертаємось лише всередині функцій, як і в реєстрі алгоритмів.
+ */
+
+const INCOMPRESSIBLE_STRATEGIES = ['compress', 'skip', 'store']
+
+// Нижче цього співвідношення (оригінал / стиснутий зразок) файл вважається нестисливим
+const DEFAULT_MIN_RATIO = 1.1
+
+const DEFAULT_SAMPLE_SIZE = 256 * 1024
+
+// Рівні, що лише «загортають» дані у формат: для Gzip і Deflate — stored-блоки без компресії
+const STORE_LEVELS = { gzip: 0, deflate: 0, brotli: 0, zstd: 1 }
+
+// [формат, зсув сигнатури, сигнатура]
+const SIGNATURES = [
+  ['jpeg', 0, [0xff, 0xd8, 0xff]],
+  ['png', 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  ['gif', 0, [0x47, 0x49, 0x46, 0x38]],
+  ['webp', 8, [0x57, 0x45, 0x42, 0x50]],
+  // MP4, MOV, M4A, HEIC, AVIF
+  ['iso-bmff', 4, [0x66, 0x74, 0x79, 0x70]],
+  ['matroska', 0, [0x1a, 0x45, 0xdf, 0xa3]],
+  ['ogg', 0, [0x4f, 0x67, 0x67, 0x53]],
+  ['flac', 0, [0x66, 0x4c, 0x61, 0x43]],
+  ['mp3', 0, [0x49, 0x44, 0x33]],
+  ['woff2', 0, [0x77, 0x4f, 0x46, 0x32]],
+  ['zip', 0, [0x50, 0x4b, 0x03, 0x04]],
+  ['gzip', 0, [0x1f, 0x8b]],
+  ['bzip2', 0, [0x42, 0x5a, 0x68]],
+  ['xz', 0, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]],
+  ['7z', 0, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]],
+  ['zstd', 0, [0x28, 0xb5, 0x2f, 0xfd]],
+  ['rar', 0, [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07]],
+  // Контейнер `encrypt` цієї бібліотеки
+  ['encrypted', 0, [0x89, 0x45, 0x4e, 0x43]]
+]
+
+/**
+ * @typedef {object} CompressibilityReport
+ * @property {string} path - Перевірений файл.
+ * @property {boolean} isCompressible
+ * @property {string | null} format - Розпізнаний за магічними байтами стиснутий формат (`jpeg`, `iso-bmff`, `gzip`...).
+ * @property {number | null} estimatedRatio - Співвідношення для зразка; `null`, якщо формат розпізнано.
+ * @property {'compress' | 'skip' | 'store'} [decision] - Що зробив `compressFile`.
+ */
+
+/**
+ * @param {string} strategy
+ * @throws {TypeError}
+ */
+function assertIncompressibleStrategy(strategy) {
+  if (!INCOMPRESSIBLE_STRATEGIES.includes(strategy)) {
+    throw new TypeError(
+      `Invalid incompressible strategy "${strategy}". Expected one of: ${INCOMPRESSIBLE_STRATEGIES.join(', ')}`
+    )
+  }
+}
+
+/**
+ * @param {Buffer} sample
+ * @returns {string | null}
+ */
+function detectCompressedFormat(sample) {
+  const match = SIGNATURES.find(
+    ([, offset, signature]) =>
+      sample.length >= offset + signature.length && signature.every((byte, index) => sample[offset + index] === byte)
+  )
+  return match ? match[0] : null
+}
+
+/**
+ * Оцінює, чи варто стискати файл, за магічними байтами та швидкою компресією перших `sampleSize` байтів.
+ * Порожній файл вважається стисливим.
+ *
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {number} [options.minRatio=1.1] - Мінімальне співвідношення оригінал / стиснутий зразок.
+ * @param {number} [options.sampleSize=262144] - Скільки байтів з початку файлу стискати для оцінки.
+ * @param {import('./storage.js').StorageAdapter} [options.storage] - Сховище файлу.
+ * @returns {Promise<CompressibilityReport>}
+ * @throws {TypeError} Якщо `minRatio` або `sampleSize` некоректні.
+ *
+ * @example
+ * const { isCompressible, format } = await analyzeCompressibility('./media/clip.mp4')
+ * // false, 'iso-bmff'
+ */
+async function analyzeCompressibility(
+  filePath,
+  { minRatio = DEFAULT_MIN_RATIO, sampleSize = DEFAULT_SAMPLE_SIZE, storage = localStorage } = {}
+) {
+  if (typeof minRatio !== 'number' || !(minRatio > 0)) {
+    throw new TypeError(`Invalid minRatio "${minRatio}"`)
+  }
+  if (!Number.isInteger(sampleSize) || sampleSize < 1) {
+    throw new TypeError(`Invalid sampleSize "${sampleSize}"`)
+  }
+  const sample = await storage.read(filePath, 0, sampleSize)
+  const format = detectCompressedFormat(sample)
+  if (format) {
+    return { path: filePath, isCompressible: false, format, estimatedRatio: null }
+  }
+  if (sample.length === 0) {
+    return { path: filePath, isCompressible: true, format: null, estimatedRatio: null }
+  }
+  const estimatedRatio = sample.length / zlib.deflateRawSync(sample, { level: 1 }).length
+  return { path: filePath, isCompressible: estimatedRatio >= minRatio, format: null, estimatedRatio }
+}
+
+export {
+  DEFAULT_MIN_RATIO,
+  INCOMPRESSIBLE_STRATEGIES,
+  STORE_LEVELS,
+  analyzeCompressibility,
+  assertIncompressibleStrategy
+}
@@ -0,0 +1,321 @@
+import { createCipheriv, createDecipheriv, randomBytes, scrypt, timingSafeEqual } from 'crypto'
+import { Transform } from 'stream'
+import { CorruptArchiveError, DecryptionError } from './errors.js'
+import { localStorage } from './storage.js'
+
+/*
+ * Шифрування компресованих даних паролем: AES-256-GCM з ключем, виведеним через scrypt.
+ *
+ * Формат контейнера (версія 1), усі числа big-endian:
+ *
+ *   магія `\x89ENC` (4) | версія (1) | алгоритм компресії (1) | log2 N (1) | r (1) | p (1) | сіль (16) | перевірка (16)
+ *   далі сегменти: шифротекст до 64 КБ відкритих даних + тег GCM (16)
+ *
+ * Кожен сегмент автентифікується окремо (схема STREAM, як в `age`): nonce — номер сегмента та прапорець
+ * останнього сегмента, а весь заголовок — додаткові автентифіковані дані. Тож декомпресор ніколи не бачить
+ * неперевірених даних, а переставлені, видалені чи дописані сегменти й обрізаний кінець виявляються одразу.
+ * Ключ унікальний для кожного файлу завдяки випадковій солі, тому лічильник у nonce не повторюється.
+ *
+ * «Перевірка» — ще 16 байтів виводу scrypt: хибний пароль відрізняється від зміненого архіву.
+ */
+
+const ENCRYPTION_EXTENSION = '.enc'
+
+const MAGIC = Buffer.from([0x89, 0x45, 0x4e, 0x43])
+
+const VERSION = 1
+
+const SALT_LENGTH = 16
+
+const CHECK_LENGTH = 16
+
+const KEY_LENGTH = 32
+
+const TAG_LENGTH = 16
+
+const HEADER_LENGTH = MAGIC.length + 5 + SALT_LENGTH + CHECK_LENGTH
+
+const SEGMENT_SIZE = 64 * 1024
+
+// Ідентифікатори алгоритмів у заголовку: порядок не можна змінювати, лише дописувати
+const ALGORITHM_IDS = ['gzip', 'deflate', 'brotli', 'zstd']
+
+// Параметри scrypt для нових архівів: близько 32 МБ пам'яті та ~100 мс на сучасному ядрі
+const DEFAULT_SCRYPT = { log2N: 15, r: 8, p: 1 }
+
+// Межі параметрів із заголовка, близькі до типових: пам'ять scrypt — близько 128 · N · r байтів (тут до 128 МБ),
+// а час росте ще й з p, тож чужий архів не змусить нас виділити гігабайти чи рахувати хвилинами
+const MAX_SCRYPT = { log2N: 17, r: 8, p: 2 }
+
+// Стала межа пам'яті для scrypt: не залежить від заголовка, тож її не обійти параметрами архіву
+const SCRYPT_MAXMEM = 160 * 1024 * 1024
+
+/**
+ * @typedef {object} EncryptionHeader
+ * @property {Buffer} bytes - Заголовок як є: додаткові автентифіковані дані кожного сегмента.
+ * @property {string} algorithm - Алгоритм компресії всередині контейнера.
+ * @property {{ log2N: number, r: number, p: number }} scryptParams
+ * @property {Buffer} salt
+ * @property {Buffer} check
+ */
+
+/**
+ * @param {{ password?: unknown } | undefined} encrypt
+ * @throws {TypeError} Якщо пароль не задано або це не рядок.
+ */
+function assertEncryptOptions(encrypt) {
+  if (typeof encrypt?.password !== 'string' || encrypt.password.length === 0) {
+    throw new TypeError('Encryption requires a non-empty string password')
+  }
+}
+
+/**
+ * Чи починаються дані із заголовка контейнера.
+ *
+ * @param {Buffer} sample
+ * @returns {boolean}
+ */
+function isEncrypted(sample) {
+  return sample.length >= MAGIC.length && sample.subarray(0, MAGIC.length).equals(MAGIC)
+}
+
+/**
+ * Виводить ключ і значення перевірки пароля.
+ *
+ * @param {string} password
+ * @param {Buffer} salt
+ * @param {{ log2N: number, r: number, p: number }} params
+ * @returns {Promise<{ key: Buffer, check: Buffer }>}
+ */
+function deriveKey(password, salt, { log2N, r, p }) {
+  const N = 2 ** log2N
+  return new Promise((resolve, reject) => {
+    scrypt(password, salt, KEY_LENGTH + CHECK_LENGTH, { N, r, p, maxmem: SCRYPT_MAXMEM }, (error, output) => {
+      if (error) {
+        reject(error)
+      } else {
+        resolve({ key: output.subarray(0, KEY_LENGTH), check: output.subarray(KEY_LENGTH) })
+      }
+    })
+  })
+}
+
+/**
+ * @param {number} index
+ * @param {boolean} isLast
+ * @returns {Buffer}
+ */
+function segmentNonce(index, isLast) {
+  const nonce = Buffer.alloc(12)
+  nonce.writeUInt32BE(index, 7)
+  nonce[11] = isLast ? 1 : 0
+  return nonce
+}
+
+/**
+ * @param {Buffer} key
+ * @param {Buffer} header
+ * @param {number} index
+ * @param {Buffer} plaintext
+ * @param {boolean} isLast
+ * @returns {Buffer}
+ */
+function sealSegment(key, header, index, plaintext, isLast) {
+  const cipher = createCipheriv('aes-256-gcm', key, segmentNonce(index, isLast))
+  cipher.setAAD(header)
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()])
+}
+
+/**
+ * @param {Buffer} key
+ * @param {Buffer} header
+ * @param {number} index
+ * @param {Buffer} segment - Шифротекст разом з тегом.
+ * @param {boolean} isLast
+ * @returns {Buffer}
+ * @throws {Error} Якщо тег не збігся.
+ */
+function openSegment(key, header, index, segment, isLast) {
+  const decipher = createDecipheriv('aes-256-gcm', key, segmentNonce(index, isLast))
+  decipher.setAAD(header)
+  decipher.setAuthTag(segment.subarray(segment.length - TAG_LENGTH))
+  return Buffer.concat([decipher.update(segment.subarray(0, segment.length - TAG_LENGTH)), decipher.final()])
+}
+
+/**
+ * Створює стрім шифрування для виводу компресора. Ключ виводиться заздалегідь, щоб повільний scrypt
+ * не потрапив у лічильники прогресу й не тримав відкритим частково записаний файл.
+ *
+ * @param {object} options
+ * @param {string} options.password
+ * @param {string} options.algorithm - Алгоритм компресії, що записується в заголовок.
+ * @returns {Promise<Transform>}
+ */
+async function createEncryptor({ password, algorithm }) {
+  const salt = randomBytes(SALT_LENGTH)
+  const { log2N, r, p } = DEFAULT_SCRYPT
+  const { key, check } = await deriveKey(password, salt, DEFAULT_SCRYPT)
+  const header = Buffer.concat([
+    MAGIC,
+    Buffer.from([VERSION, ALGORITHM_IDS.indexOf(algorithm) + 1, log2N, r, p]),
+    salt,
+    check
+  ])
+  let buffered = Buffer.alloc(0)
+  let index = 0
+
+  return new Transform({
+    construct(callback) {
+      this.push(header)
+      callback()
+    },
+    transform(chunk, encoding, callback) {
+      buffered = Buffer.concat([buffered, chunk])
+      // Сегмент шифруємо, лише коли за ним є ще дані: останній сегмент має свій прапорець у nonce
+      while (buffered.length > SEGMENT_SIZE) {
+        this.push(sealSegment(key, header, index++, buffered.subarray(0, SEGMENT_SIZE), false))
+        buffered = buffered.subarray(SEGMENT_SIZE)
+      }
+      callback()
+    },
+    flush(callback) {
+      callback(null, sealSegment(key, header, index, buffered, true))
+    }
+  })
+}
+
+/**
+ * @param {Buffer} sample - Початок файлу, не коротший за заголовок.
+ * @param {string} compressedFilePath
+ * @param {{ operation: string, paths: object }} context
+ * @returns {EncryptionHeader}
+ * @throws {CorruptArchiveError} Якщо версія чи параметри не підтримуються.
+ * @throws {DecryptionError} Якщо параметри scrypt перевищують `MAX_SCRYPT` (`reason: 'unsafe-parameters'`).
+ */
+function parseHeader(sample, compressedFilePath, context) {
+  const bytes = sample.subarray(0, HEADER_LENGTH)
+  const [version, algorithmId, log2N, r, p] = bytes.subarray(MAGIC.length, MAGIC.length + 5)
+  const algorithm = ALGORITHM_IDS[algorithmId - 1]
+  const isSupported =
+    bytes.length === HEADER_LENGTH && version === VERSION && algorithm !== undefined && log2N >= 1 && r >= 1 && p >= 1
+  if (!isSupported) {
+    throw new CorruptArchiveError(`Unsupported encrypted archive "${compressedFilePath}"`, context)
+  }
+  // Перевіряється до запиту пароля й до scrypt: інакше сам заголовок визначав би ціну розшифрування
+  if (log2N > MAX_SCRYPT.log2N || r > MAX_SCRYPT.r || p > MAX_SCRYPT.p) {
+    throw new DecryptionError(
+      `Encrypted archive "${compressedFilePath}" requires scrypt parameters above the allowed limits ` +
+        `(log2 N ${log2N}, r ${r}, p ${p})`,
+      { ...context, reason: 'unsafe-parameters' }
+    )
+  }
+  const saltOffset = MAGIC.length + 5
+  return {
+    bytes,
+    algorithm,
+    scryptParams: { log2N, r, p },
+    salt: bytes.subarray(saltOffset, saltOffset + SALT_LENGTH),
+    check: bytes.subarray(saltOffset + SALT_LENGTH)
+  }
+}
+
+/**
+ * Відкриває зашифрований архів: читає заголовок, отримує пароль, перевіряє його й розшифровує перший сегмент.
+ *
+ * @param {string} compressedFilePath
+ * @param {string | (() => string | Promise<string>) | undefined} password - Пароль або функція, що його запитує
+ *   (викликається, лише якщо архів справді зашифровано).
+ * @param {{ operation: string, paths: object }} context
+ * @param {import('./storage.js').StorageAdapter} [storage]
+ * @returns {Promise<{ algorithm: string, sample: Buffer, createDecryptor: () => Transform } | null>}
+ *   `null`, якщо архів не зашифровано; `sample` — розшифрований початок даних (для заголовка Gzip).
+ * @throws {DecryptionError} Якщо пароля немає або він хибний, перший сегмент змінено чи параметри scrypt
+ *   в заголовку перевищують безпечні межі.
+ * @throws {CorruptArchiveError} Якщо версія контейнера чи параметри не підтримуються.
+ */
+async function openEncryptedArchive(compressedFilePath, password, context, storage = localStorage) {
+  // Заголовок, перший сегмент і ще байт: так видно, чи перший сегмент останній
+  const head = await storage.read(compressedFilePath, 0, HEADER_LENGTH + SEGMENT_SIZE + TAG_LENGTH + 1)
+  if (!isEncrypted(head)) {
+    return null
+  }
+  const header = parseHeader(head, compressedFilePath, context)
+  const resolvedPassword = typeof password === 'function' ? await password() : password
+  if (typeof resolvedPassword !== 'string' || resolvedPassword.length === 0) {
+    throw new DecryptionError(`Archive "${compressedFilePath}" is encrypted: a password is required`, {
+      ...context,
+      reason: 'missing-password'
+    })
+  }
+  const { key, check } = await deriveKey(resolvedPassword, header.salt, header.scryptParams)
+  if (!timingSafeEqual(check, header.check)) {
+    throw new DecryptionError(`Wrong password for "${compressedFilePath}"`, { ...context, reason: 'wrong-password' })
+  }
+
+  const tamperedError = (cause) =>
+    new DecryptionError(`Encrypted archive "${compressedFilePath}" was modified or truncated`, {
+      ...context,
+      reason: 'tampered',
+      cause
+    })
+  const open = (index, segment, isLast) => {
+    if (segment.length < TAG_LENGTH) {
+      throw tamperedError()
+    }
+    try {
+      return openSegment(key, header.bytes, index, segment, isLast)
+    } catch (error) {
+      throw tamperedError(error)
+    }
+  }
+
+  const firstSegment = head.subarray(HEADER_LENGTH, HEADER_LENGTH + SEGMENT_SIZE + TAG_LENGTH)
+  const sample = open(0, firstSegment, head.length <= HEADER_LENGTH + SEGMENT_SIZE + TAG_LENGTH)
+
+  function createDecryptor() {
+    let buffered = Buffer.alloc(0)
+    let isHeaderRead = false
+    let index = 0
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        try {
+          buffered = Buffer.concat([buffered, chunk])
+          if (!isHeaderRead) {
+            if (buffered.length < HEADER_LENGTH) {
+              callback()
+              return
+            }
+            // Заголовок уже перевірено вище; файл не мав змінитися між читаннями
+            if (!buffered.subarray(0, HEADER_LENGTH).equals(header.bytes)) {
+              throw tamperedError()
+            }
+            buffered = buffered.subarray(HEADER_LENGTH)
+            isHeaderRead = true
+          }
+          while (buffered.length > SEGMENT_SIZE + TAG_LENGTH) {
+            this.push(open(index++, buffered.subarray(0, SEGMENT_SIZE + TAG_LENGTH), false))
+            buffered = buffered.subarray(SEGMENT_SIZE + TAG_LENGTH)
+          }
+          callback()
+        } catch (error) {
+          callback(error)
+        }
+      },
+      flush(callback) {
+        try {
+          if (!isHeaderRead) {
+            throw tamperedError()
+          }
+          callback(null, open(index, buffered, true))
+        } catch (error) {
+          callback(error)
+        }
+      }
+    })
+  }
+
+  return { algorithm: header.algorithm, sample, createDecryptor }
+}
+
+export { ENCRYPTION_EXTENSION, assertEncryptOptions, createEncryptor, openEncryptedArchive }
@@ -0,0 +1,228 @@
+/*
+ * Ієрархія помилок компресії/декомпресії.
+ *
+ * Кожна помилка має стабільний `code`, назву операції (`operation`), шляхи, яких вона стосується (`paths`),
+ * та оригінальну помилку в `cause`. Викликаючий код може розгалужуватись за `instanceof` або `code`,
+ * не розбираючи текст повідомлення.
+ */
+
+/**
+ * Базова помилка бібліотеки.
+ *
+ * @property {string} code - Стабільний код помилки, наприклад `ERR_SOURCE_NOT_FOUND`.
+ * @property {string | undefined} operation - `compress`, `decompress` тощо.
+ * @property {{ source?: string, destination?: string }} paths - Шляхи, яких стосується помилка.
+ * @property {unknown} cause - Оригінальна помилка файлової системи, стріму чи zlib.
+ */
+class CompressionError extends Error {
+  static code = 'ERR_COMPRESSION'
+
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {string} [details.operation]
+   * @param {{ source?: string, destination?: string }} [details.paths]
+   * @param {unknown} [details.cause]
+   */
+  constructor(message, { operation, paths = {}, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause })
+    this.name = new.target.name
+    this.code = new.target.code
+    this.operation = operation
+    this.paths = paths
+  }
+}
+
+// Вхідний файл не існує
+class SourceNotFoundError extends CompressionError {
+  static code = 'ERR_SOURCE_NOT_FOUND'
+}
+
+// Немає прав на читання вхідного або запис вихідного файлу
+class AccessDeniedError extends CompressionError {
+  static code = 'ERR_ACCESS_DENIED'
+}
+
+// Будь-яка інша помилка читання вхідного файлу
+class SourceReadError extends CompressionError {
+  static code = 'ERR_SOURCE_READ'
+}
+
+// Вхідні дані не є валідним архівом обраного формату
+class CorruptArchiveError extends CompressionError {
+  static code = 'ERR_CORRUPT_ARCHIVE'
+}
+
+// Результат вже існує, а стратегія `onConflict` — `error`
+class DestinationExistsError extends CompressionError {
+  static code = 'ERR_DESTINATION_EXISTS'
+}
+
+// Помилка запису, перейменування або резервування вихідного файлу
+class DestinationWriteError extends CompressionError {
+  static code = 'ERR_DESTINATION_WRITE'
+}
+
+// Операцію скасовано
+class AbortedError extends CompressionError {
+  static code = 'ERR_ABORTED'
+}
+
+// Розпакований результат перевищив `maxOutputBytes` або `maxRatio`
+class DecompressionLimitError extends CompressionError {
+  static code = 'ERR_DECOMPRESSION_LIMIT'
+
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {'maxOutputBytes' | 'maxRatio'} [details.limit] - Який ліміт перевищено.
+   * @param {number} [details.inputBytes] - Скільки компресованих байтів прочитано на момент зупинки.
+   * @param {number} [details.outputBytes] - Скільки байтів розпаковано на момент зупинки.
+   */
+  constructor(message, { limit, inputBytes, outputBytes, ...details } = {}) {
+    super(message, details)
+    this.limit = limit
+    this.inputBytes = inputBytes
+    this.outputBytes = outputBytes
+  }
+}
+
+// Розпакований вміст не збігається з контрольною сумою з файлу-супутника
+class IntegrityError extends CompressionError {
+  static code = 'ERR_INTEGRITY'
+}
+
+// Зашифрований архів неможливо розшифрувати: немає пароля, пароль хибний, дані змінено або заголовок вимагає
+// надто дорогого scrypt
+class DecryptionError extends CompressionError {
+  static code = 'ERR_DECRYPTION'
+
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {'missing-password' | 'wrong-password' | 'tampered' | 'unsafe-parameters'} [details.reason] - Що саме
+   *   не так.
+   */
+  constructor(message, { reason, ...details } = {}) {
+    super(message, details)
+    this.reason = reason
+  }
+}
+
+// Шлях результату виходить за межі `rootDir` або проходить через симлінк
+class UnsafePathError extends CompressionError {
+  static code = 'ERR_UNSAFE_PATH'
+}
+
+// Алгоритм невідомий або не підтримується рантаймом
+class UnsupportedAlgorithmError extends CompressionError {
+  static code = 'ERR_UNSUPPORTED_ALGORITHM'
+}
+
+// Трансформація з опції `transforms` (зміна кінців рядків, кодування, редагування) не змогла обробити дані
+class TransformError extends CompressionError {
+  static code = 'ERR_TRANSFORM'
+}
+
+const ACCESS_ERROR_CODES = ['EACCES', 'EPERM']
+
+/**
+ * Перетворює будь-яку помилку на помилку з ієрархії з урахуванням етапу, на якому вона виникла.
+ * Помилки, які вже є `CompressionError`, лише доповнюються операцією та шляхами.
+ *
+ * @param {unknown} error
+ * @param {object} context
+ * @param {string} context.operation - `compress`, `decompress`, `test` тощо.
+ * @param {'source' | 'codec' | 'transform' | 'destination'} [context.stage='destination'] - Де виникла помилка.
+ * @param {{ source?: string, destination?: string }} [context.paths]
+ * @returns {CompressionError}
+ */
+function wrapError(error, { operation, stage = 'destination', paths = {} }) {
+  if (error instanceof CompressionError) {
+    error.operation ??= operation
+    error.paths = { ...paths, ...error.paths }
+    return error
+  }
+
+  const details = { operation, paths, cause: error }
+  const { source, destination } = paths
+  const reason = error?.message ?? String(error)
+
+  if (error?.name === 'AbortError') {
+    return new AbortedError(`Operation "${operation}" was aborted`, details)
+  }
+  if (ACCESS_ERROR_CODES.includes(error?.code)) {
+    const target = stage === 'source' ? source : destination
+    return new AccessDeniedError(`Access denied to "${target}": ${reason}`, details)
+  }
+  if (stage === 'source') {
+    return error?.code === 'ENOENT'
+      ? new SourceNotFoundError(`file "${source}" does not exist`, details)
+      : new SourceReadError(`Failed to read "${source}": ${reason}`, details)
+  }
+  if (stage === 'transform') {
+    const subject = source === undefined ? 'stream' : `"${source}"`
+    return new TransformError(`Transform failed for ${subject}: ${reason}`, details)
+  }
+  if (stage === 'codec') {
+    // Кодек падає або на компресії, або на читанні архіву (decompress, test, list...); у стрімів шляху немає
+    const subject = source === undefined ? 'stream' : `"${source}"`
+    return operation === 'compress'
+      ? new CompressionError(`Failed to compress ${subject}: ${reason}`, details)
+      : new CorruptArchiveError(`Corrupt archive ${subject}: ${reason}`, details)
+  }
+  if (error?.code === 'EEXIST') {
+    return new DestinationExistsError(`file "${destination}" already exists`, details)
+  }
+  return new DestinationWriteError(`Failed to write "${destination}": ${reason}`, details)
+}
+
+/**
+ * Виконує крок операції й перетворює його помилки на помилки з ієрархії `CompressionError`.
+ *
+ * @template T
+ * @param {'source' | 'codec' | 'transform' | 'destination'} stage - Етап, якому належать помилки кроку.
+ * @param {{ operation: string, paths: object }} context
+ * @param {() => T | Promise<T>} action
+ * @returns {Promise<T>}
+ */
+async function step(stage, context, action) {
+  try {
+    return await action()
+  } catch (error) {
+    throw wrapError(error, { ...context, stage })
+  }
+}
+
+/**
+ * Кидає `AbortedError`, якщо `signal` вже скасовано.
+ *
+ * @param {AbortSignal | undefined} signal
+ * @param {{ operation: string, paths?: object }} context
+ * @throws {AbortedError}
+ */
+function throwIfAborted(signal, { operation, paths }) {
+  if (signal?.aborted) {
+    throw new AbortedError(`Operation "${operation}" was aborted`, { operation, paths, cause: signal.reason })
+  }
+}
+
+export {
+  AbortedError,
+  AccessDeniedError,
+  CompressionError,
+  CorruptArchiveError,
+  DecompressionLimitError,
+  DecryptionError,
+  DestinationExistsError,
+  DestinationWriteError,
+  IntegrityError,
+  SourceNotFoundError,
+  SourceReadError,
+  TransformError,
+  UnsafePathError,
+  UnsupportedAlgorithmError,
+  step,
+  throwIfAborted,
+  wrapError
+}
@@ -0,0 +1,160 @@
+import { promises as fsPromises } from 'fs'
+import { join } from 'path'
+
+/*
+ * Мінімальні glob-шаблони для фільтрації шляхів усередині архівів та пошуку файлів для пакетної обробки.
+ *
+ * Підтримуються `*`, `**`, `?`, класи `[abc]` / `[!abc]` та альтернативи `{log,txt}`.
+ * Шаблон без `/` порівнюється з іменем файлу на будь-якій глибині (як у .gitignore),
+ * шаблон зі `/` — з повним відносним шляхом.
+ */
+
+const REGEXP_SPECIAL = /[.+^$()|\\]/
+
+const GLOB_SPECIAL = /[*?[{]/
+
+/**
+ * Перекладає glob у тіло регулярного виразу (без якорів).
+ *
+ * @param {string} pattern
+ * @returns {string}
+ */
+function translate(pattern) {
+  let source = ''
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index]
+
+    if (char === '*') {
+      if (pattern[index + 1] !== '*') {
+        source += '[^/]*'
+      } else if (pattern[index + 2] === '/') {
+        // `**/` — нуль або більше директорій
+        source += '(?:.*/)?'
+        index += 2
+      } else {
+        source += '.*'
+        index += 1
+      }
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '[' && pattern.indexOf(']', index + 2) !== -1) {
+      const end = pattern.indexOf(']', index + 2)
+      const body = pattern.slice(index + 1, end).replace(/\\/g, '\\\\')
+      source += body.startsWith('!') ? `[^${body.slice(1)}]` : `[${body}]`
+      index = end
+    } else if (char === '{' && pattern.indexOf('}', index) !== -1) {
+      const end = pattern.indexOf('}', index)
+      const alternatives = pattern
+        .slice(index + 1, end)
+        .split(',')
+        .map(translate)
+      source += `(?:${alternatives.join('|')})`
+      index = end
+    } else {
+      source += REGEXP_SPECIAL.test(char) ? `\\${char}` : char
+    }
+  }
+  return source
+}
+
+/**
+ * Екранує рядок для буквального збігу в регулярному виразі.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  return new RegExp(`^${translate(pattern)}$`)
+}
+
+/**
+ * Перевіряє, чи відповідає шлях шаблону.
+ *
+ * @param {string} relativePath - Шлях з розділювачем `/`.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function matchesGlob(relativePath, pattern) {
+  const target = pattern.includes('/') ? relativePath : relativePath.split('/').pop()
+  return globToRegExp(pattern).test(target)
+}
+
+/**
+ * Створює фільтр шляхів: шлях проходить, якщо відповідає хоч одному `include` (або їх немає),
+ * а ні він сам, ні жодна з його батьківських директорій не відповідає `exclude`.
+ * Тож `exclude: 'node_modules'` відкидає й увесь вміст цієї директорії.
+ *
+ * @param {object} [filters]
+ * @param {string | string[]} [filters.include]
+ * @param {string | string[]} [filters.exclude]
+ * @returns {(relativePath: string) => boolean}
+ */
+function createPathFilter({ include = [], exclude = [] } = {}) {
+  const includes = [include].flat()
+  const excludes = [exclude].flat()
+  return (relativePath) => {
+    const segments = relativePath.replace(/\/$/, '').split('/')
+    const ancestors = segments.map((segment, index) => segments.slice(0, index + 1).join('/'))
+    const path = ancestors.at(-1)
+    return (
+      (includes.length === 0 || includes.some((pattern) => matchesGlob(path, pattern))) &&
+      !ancestors.some((ancestor) => excludes.some((pattern) => matchesGlob(ancestor, pattern)))
+    )
+  }
+}
+
+/**
+ * Знаходить файли за шаблоном. На відміну від `matchesGlob`, шаблон завжди порівнюється з повним шляхом
+ * (як у shell): `logs/*.log` не заходить у піддиректорії, а шаблон з `**` чи `/` після першого спецсимволу — заходить.
+ * Шлях без спецсимволів повертається як є, навіть якщо файлу немає, щоб помилка з'явилась у звіті.
+ *
+ * @param {string} pattern
+ * @returns {Promise<string[]>} Відсортовані шляхи файлів.
+ */
+async function expandGlob(pattern) {
+  if (!GLOB_SPECIAL.test(pattern)) {
+    return [pattern]
+  }
+
+  const segments = pattern.split('/')
+  const firstGlob = segments.findIndex((segment) => GLOB_SPECIAL.test(segment))
+  const baseDir = segments.slice(0, firstGlob).join('/') || (pattern.startsWith('/') ? '/' : '.')
+  const rest = segments.slice(firstGlob)
+  const matcher = globToRegExp(rest.join('/'))
+  const isRecursive = rest.length > 1
+  const matches = []
+
+  async function walk(relativeDir) {
+    let entries
+    try {
+      entries = await fsPromises.readdir(relativeDir ? join(baseDir, relativeDir) : baseDir, { withFileTypes: true })
+    } catch (error) {
+      // Директорія зникла або її немає: шаблон просто нічого не знаходить
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        return
+      }
+      throw error
+    }
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name
+      if (entry.isDirectory() && isRecursive) {
+        await walk(relativePath)
+      } else if (entry.isFile() && matcher.test(relativePath)) {
+        matches.push(join(baseDir, relativePath))
+      }
+    }
+  }
+
+  await walk('')
+  return matches.sort()
+}
+
+export { createPathFilter, escapeRegExp, expandGlob, globToRegExp, matchesGlob }
@@ -0,0 +1,269 @@
+import { createHash } from 'crypto'
+import { Transform } from 'stream'
+import { getAlgorithm } from './algorithms.js'
+import { openEncryptedArchive } from './encryption.js'
+import { IntegrityError, step, throwIfAborted } from './errors.js'
+import { createSink, pipelineStreams, resolveDecompressionAlgorithm, writeFileAtomically } from './io.js'
+import { localStorage } from './storage.js'
+import { createDecompressionStreams } from './streams.js'
+import { explainVolumeError, openVolumeSet } from './volumes.js'
+
+/*
+ * Контроль цілісності архівів.
+ *
+ * CRC32 та ISIZE з трейлера Gzip (і контрольні суми Zlib, Zstandard) перевіряє сам декодер, але вони доводять лише,
+ * що архів не пошкоджено. Що він розпаковується саме в оригінал, доводить файл-супутник поруч з архівом:
+ * `source.txt.gz.sha256` у форматі `sha256sum` або `source.txt.gz.json` з хешем, розміром та mtime джерела.
+ */
+
+const SIDECAR_EXTENSIONS = {
+  sha256: '.sha256',
+  json: '.json'
+}
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/
+
+/**
+ * @typedef {object} Sidecar
+ * @property {string} path - Шлях до файлу-супутника.
+ * @property {string} sha256 - sha256 оригінального файлу у hex.
+ * @property {number} [size] - Розмір оригіналу в байтах (лише JSON).
+ * @property {string} [name] - Ім'я оригіналу.
+ * @property {string} [mtime] - mtime оригіналу в ISO 8601 (лише JSON).
+ */
+
+/**
+ * @param {string} format
+ * @throws {TypeError} Якщо формат невідомий.
+ */
+function assertSidecarFormat(format) {
+  if (!Object.hasOwn(SIDECAR_EXTENSIONS, format)) {
+    throw new TypeError(`Unsupported sidecar format "${format}"`)
+  }
+}
+
+/**
+ * Прохідний стрім, що рахує sha256 та розмір даних. Після завершення стріму вони доступні як `sha256` і `bytes`.
+ *
+ * @returns {Transform & { sha256: string | null, bytes: number }}
+ */
+function createDigest() {
+  const hash = createHash('sha256')
+  const digest = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk)
+      digest.bytes += chunk.length
+      callback(null, chunk)
+    },
+    flush(callback) {
+      digest.sha256 = hash.digest('hex')
+      callback()
+    }
+  })
+  digest.sha256 = null
+  digest.bytes = 0
+  return digest
+}
+
+/**
+ * Записує файл-супутник поруч з архівом (через тимчасовий файл, тож обрізаного супутника не буває).
+ *
+ * @param {string} archivePath
+ * @param {'sha256' | 'json'} format
+ * @param {{ name: string, sha256: string, size: number, mtime: Date, algorithm: string }} source
+ * @param {import('./storage.js').StorageAdapter} [storage] - Сховище архіву.
+ * @returns {Promise<string>} Шлях до файлу-супутника.
+ */
+async function writeSidecar(archivePath, format, { name, sha256, size, mtime, algorithm }, storage = localStorage) {
+  const sidecarPath = `${archivePath}${SIDECAR_EXTENSIONS[format]}`
+  const content =
+    format === 'json'
+      ? `${JSON.stringify({ name, sha256, size, mtime: mtime.toISOString(), algorithm }, null, 2)}\n`
+      : `${sha256}  ${name}\n`
+
+  await writeFileAtomically(sidecarPath, content, storage)
+  return sidecarPath
+}
+
+/**
+ * @param {string} sidecarPath
+ * @param {string} content
+ * @returns {Sidecar}
+ * @throws {IntegrityError} Якщо вміст не схожий на супутник.
+ */
+function parseSidecar(sidecarPath, content) {
+  let sidecar
+  if (sidecarPath.endsWith(SIDECAR_EXTENSIONS.json)) {
+    try {
+      sidecar = JSON.parse(content)
+    } catch {
+      sidecar = null
+    }
+  } else {
+    const [sha256, name] = content.trim().split(/\s+\*?/)
+    sidecar = { sha256, name }
+  }
+  if (!SHA256_PATTERN.test(sidecar?.sha256 ?? '')) {
+    throw new IntegrityError(`Malformed checksum sidecar "${sidecarPath}"`, { paths: { source: sidecarPath } })
+  }
+  return { ...sidecar, path: sidecarPath }
+}
+
+/**
+ * Шукає файл-супутник архіву: спершу `.sha256`, потім `.json`.
+ *
+ * @param {string} archivePath
+ * @param {import('./storage.js').StorageAdapter} [storage]
+ * @returns {Promise<Sidecar | null>}
+ */
+async function readSidecar(archivePath, storage = localStorage) {
+  for (const extension of Object.values(SIDECAR_EXTENSIONS)) {
+    const sidecarPath = `${archivePath}${extension}`
+    try {
+      return parseSidecar(sidecarPath, (await storage.readFile(sidecarPath)).toString('utf8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * @param {Sidecar} sidecar
+ * @param {{ sha256: string, bytes: number }} digest
+ * @param {{ operation: string, paths: object }} context
+ * @throws {IntegrityError}
+ */
+function assertMatchesSidecar(sidecar, { sha256, bytes }, context) {
+  if (sidecar.size !== undefined && sidecar.size !== bytes) {
+    throw new IntegrityError(
+      `Size mismatch for "${context.paths.source}": expected ${sidecar.size} bytes, got ${bytes}`,
+      context
+    )
+  }
+  if (sidecar.sha256 !== sha256) {
+    throw new IntegrityError(
+      `Checksum mismatch for "${context.paths.source}": expected ${sidecar.sha256}, got ${sha256}`,
+      context
+    )
+  }
+}
+
+/**
+ * @param {string} archivePath
+ * @param {{ operation: string, paths: object }} context
+ * @param {import('./storage.js').StorageAdapter} [storage]
+ * @returns {Promise<Sidecar>}
+ * @throws {IntegrityError} Якщо супутника немає.
+ */
+async function requireSidecar(archivePath, context, storage) {
+  const sidecar = await step('source', context, () => readSidecar(archivePath, storage))
+  if (!sidecar) {
+    throw new IntegrityError(`No checksum sidecar found for "${archivePath}"`, context)
+  }
+  return sidecar
+}
+
+/**
+ * Перевіряє архів без запису на диск: розпаковує його потоком, покладаючись на контрольні суми формату
+ * (CRC32 та ISIZE для Gzip), і порівнює sha256 та розмір результату з файлом-супутником, якщо він є.
+ * Томи (маніфест або перший том) і зашифровані архіви відкриваються так само, як у `decompressFile`.
+ *
+ * @param {string} compressedFilePath - Шлях до архіву, маніфесту томів або першого тому.
+ * @param {object} [options]
+ * @param {'gzip' | 'deflate' | 'brotli' | 'zstd'} [options.algorithm] - Примусовий алгоритм замість автовизначення.
+ * @param {number} [options.windowBits] - Розмір вікна декомпресора.
+ * @param {boolean} [options.requireSidecar=false] - Вважати відсутність супутника помилкою.
+ * @param {number} [options.maxOutputBytes] - Ліміти розпакування, як у `decompressFile`.
+ * @param {number} [options.maxRatio]
+ * @param {string | (() => string | Promise<string>)} [options.password] - Пароль зашифрованого архіву або функція,
+ *   що запитує його.
+ * @param {import('./storage.js').StorageAdapter} [options.storage] - Сховище архіву; типово локальний диск.
+ * @param {AbortSignal} [options.signal] - Скасовує перевірку.
+ * @returns {Promise<{ path: string, algorithm: string, compressedBytes: number, uncompressedBytes: number,
+ *   sha256: string, sidecar: string | null }>} `sidecar` — шлях до перевіреного супутника або `null`.
+ * @throws {SourceNotFoundError | AccessDeniedError | SourceReadError} Якщо архів неможливо прочитати.
+ * @throws {CorruptArchiveError} Якщо архів пошкоджений (зокрема не збігається CRC32 чи ISIZE).
+ * @throws {IntegrityError} Якщо результат не збігається із супутником, супутник пошкоджений, а також якщо том
+ *   відсутній, має інший розмір або пошкоджений.
+ * @throws {DecryptionError} Якщо архів зашифровано, а пароля немає, він хибний або архів змінено (`reason`).
+ * @throws {DecompressionLimitError} Якщо перевищено `maxOutputBytes` або `maxRatio`.
+ * @throws {AbortedError} Якщо перевірку скасовано через `signal`.
+ *
+ * @example
+ * await compressFile('./files/source.txt', { sidecar: 'sha256' })
+ * const { sha256 } = await verifyArchive('./files/source.txt.gz')
+ */
+async function verifyArchive(
+  compressedFilePath,
+  {
+    algorithm,
+    windowBits,
+    requireSidecar: isSidecarRequired = false,
+    maxOutputBytes,
+    maxRatio,
+    password,
+    storage = localStorage,
+    signal
+  } = {}
+) {
+  const context = { operation: 'verify', paths: { source: compressedFilePath } }
+  throwIfAborted(signal, context)
+
+  await step('source', context, () => storage.access(compressedFilePath))
+  const volumeSet = await openVolumeSet(compressedFilePath, context, storage)
+  const archivePath = volumeSet?.archivePath ?? compressedFilePath
+  const archiveStorage = volumeSet?.storage ?? storage
+  const { size: compressedBytes } = await step('source', context, () => archiveStorage.stat(archivePath))
+  const encrypted = await step('source', context, () =>
+    openEncryptedArchive(archivePath, password, context, archiveStorage)
+  )
+  const detected = encrypted
+    ? encrypted.algorithm
+    : await step('source', context, () => resolveDecompressionAlgorithm(archivePath, algorithm, archiveStorage))
+  await step('codec', context, () => getAlgorithm(detected))
+  const sidecar = isSidecarRequired
+    ? await requireSidecar(archivePath, context, archiveStorage)
+    : await step('source', context, () => readSidecar(archivePath, archiveStorage))
+
+  const digest = createDigest()
+  try {
+    await pipelineStreams(
+      () => [
+        archiveStorage.createReadStream(archivePath),
+        ...(encrypted ? [encrypted.createDecryptor()] : []),
+        ...createDecompressionStreams({ algorithm: detected, windowBits, maxOutputBytes, maxRatio }),
+        digest
+      ],
+      createSink,
+      { context, signal }
+    )
+  } catch (error) {
+    throw await explainVolumeError(volumeSet, error)
+  }
+  if (sidecar) {
+    assertMatchesSidecar(sidecar, digest, context)
+  }
+
+  return {
+    path: compressedFilePath,
+    algorithm: detected,
+    compressedBytes,
+    uncompressedBytes: digest.bytes,
+    sha256: digest.sha256,
+    sidecar: sidecar?.path ?? null
+  }
+}
+
+export {
+  SIDECAR_EXTENSIONS,
+  assertMatchesSidecar,
+  assertSidecarFormat,
+  createDigest,
+  readSidecar,
+  requireSidecar,
+  verifyArchive,
+  writeSidecar
+}
@@ -0,0 +1,203 @@
+import { parse } from 'path'
+import { Writable } from 'stream'
+import { pipeline } from 'stream/promises'
+import { ALGORITHMS, DEFAULT_ALGORITHM, SNIFF_LENGTH, algorithmFromExtension, detectAlgorithm } from './algorithms.js'
+import { step, wrapError } from './errors.js'
+import { getTempFilePath } from './naming.js'
+import { createProgressMeter } from './progress.js'
+import { localStorage } from './storage.js'
+import { isTransformStream } from './transforms.js'
+
+/*
+ * Спільні файлові кроки для функцій, що працюють зі шляхами: визначення формату за вмістом файлу,
+ * лічильники прогресу та атомарний запис результату через тимчасовий файл.
+ */
+
+/**
+ * Створює лічильники прогресу, якщо викликаючий код передав `onProgress`.
+ *
+ * @param {string} sourcePath - Файл, від розміру якого рахується відсоток.
+ * @param {object} options
+ * @param {Function} [options.onProgress]
+ * @param {number} [options.progressInterval]
+ * @param {import('./storage.js').StorageAdapter} [options.storage] - Сховище `sourcePath`.
+ * @param {{ operation: string, paths: object }} context
+ * @returns {Promise<{ input: import('stream').Transform, output: import('stream').Transform } | undefined>}
+ */
+async function createProgress(sourcePath, { onProgress, progressInterval, storage = localStorage }, context) {
+  if (!onProgress) {
+    return undefined
+  }
+  const { size } = await step('source', context, () => storage.stat(sourcePath))
+  return createProgressMeter({ totalBytes: size, onProgress, interval: progressInterval })
+}
+
+/**
+ * Пропускає дані через ланцюжок стрімів і класифікує помилку за стрімом, який впав першим: джерело, кодек,
+ * трансформація з опції `transforms` чи запис.
+ *
+ * @param {() => Array<import('stream').Readable | import('stream').Duplex>} createStreams - Джерело та трансформації.
+ * @param {() => import('stream').Writable} createDestination - Стрім, у який пишеться результат.
+ * @param {object} options
+ * @param {{ operation: string, paths: object }} options.context - Контекст для помилок.
+ * @param {{ input: import('stream').Transform, output: import('stream').Transform }} [options.progress] -
+ *   Лічильники прогресу: `input` ставиться після джерела, `output` — перед записом.
+ * @param {AbortSignal} [options.signal] - Скасування руйнує весь ланцюжок стрімів.
+ * @returns {Promise<void>}
+ * @throws {CompressionError} Тип залежить від стріму, який впав першим.
+ * @throws {AbortedError} Якщо операцію скасовано через `signal`.
+ */
+async function pipelineStreams(createStreams, createDestination, { context, progress, signal }) {
+  let failedStage = 'source'
+  try {
+    const [source, ...codecs] = createStreams()
+    const transforms = progress ? [progress.input, ...codecs, progress.output] : codecs
+    failedStage = 'destination'
+    const destination = createDestination()
+
+    // Запам'ятовуємо стрім, який впав першим: від цього залежить тип помилки
+    failedStage = undefined
+    const stages = [
+      [source, 'source'],
+      ...transforms.map((transform) => [transform, isTransformStream(transform) ? 'transform' : 'codec']),
+      [destination, 'destination']
+    ]
+    for (const [stream, stage] of stages) {
+      stream.once('error', () => {
+        failedStage ??= stage
+      })
+    }
+
+    await pipeline(source, ...transforms, destination, { signal })
+  } catch (error) {
+    throw wrapError(error, { ...context, stage: failedStage ?? 'destination' })
+  }
+}
+
+/**
+ * Пропускає дані через стріми у тимчасовий файл і перейменовує його в `filePath` лише після успіху.
+ * При будь-якій помилці тимчасовий файл видаляється, тож за шляхом `filePath` ніколи не лишається обрізаний результат.
+ *
+ * @param {string} filePath - Фінальний шлях результату.
+ * @param {() => Array<import('stream').Readable | import('stream').Duplex>} createStreams - Джерело та трансформації.
+ * @param {object} options - Як у `pipelineStreams`, а також:
+ * @param {boolean} [options.reserved=false] - Чи створено за `filePath` файл-заповнювач, який прибирається при помилці.
+ * @param {import('./storage.js').StorageAdapter} [options.storage] - Сховище результату; типово — локальний диск.
+ * @param {(tempFilePath: string) => Promise<void>} [options.beforeCommit] - Останній крок перед перейменуванням
+ *   (перевірка, права, mtime) над тимчасовим файлом: якщо він кидає, результат видаляється, як при помилці стріму.
+ * @returns {Promise<void>}
+ * @throws {CompressionError} Тип залежить від стріму, який впав першим: джерело, кодек чи запис.
+ * @throws {AbortedError} Якщо операцію скасовано через `signal`.
+ */
+async function pipelineToFile(
+  filePath,
+  createStreams,
+  { reserved = false, beforeCommit, storage = localStorage, ...options }
+) {
+  const tempFilePath = getTempFilePath(filePath)
+  try {
+    await pipelineStreams(createStreams, () => storage.createWriteStream(tempFilePath), options)
+    await beforeCommit?.(tempFilePath)
+    await step('destination', options.context, () => storage.rename(tempFilePath, filePath))
+  } catch (error) {
+    await storage.rm(tempFilePath)
+    if (reserved) {
+      await storage.rm(filePath)
+    }
+    throw error
+  }
+}
+
+/**
+ * Записує невеликий файл (супутник, індекс) через тимчасовий файл, тож обрізаного результату не буває.
+ *
+ * @param {string} filePath
+ * @param {string | Buffer} content
+ * @param {import('./storage.js').StorageAdapter} [storage]
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomically(filePath, content, storage = localStorage) {
+  const tempFilePath = getTempFilePath(filePath)
+  try {
+    await storage.writeFile(tempFilePath, content)
+    await storage.rename(tempFilePath, filePath)
+  } catch (error) {
+    await storage.rm(tempFilePath)
+    throw error
+  }
+}
+
+/**
+ * Ім'я файлу без директорії: для супутників і заголовка Gzip.
+ *
+ * @param {string} filePath
+ * @returns {string}
+ */
+function getBaseName(filePath) {
+  const { name, ext } = parse(filePath)
+  return `${name}${ext}`
+}
+
+/**
+ * Стрім, що відкидає дані: для перевірок, яким потрібне лише розпакування.
+ *
+ * @returns {Writable}
+ */
+function createSink() {
+  return new Writable({
+    write(chunk, encoding, callback) {
+      callback()
+    }
+  })
+}
+
+/**
+ * Читає початок файлу для визначення формату.
+ *
+ * @param {string} filePath
+ * @param {import('./storage.js').StorageAdapter} [storage]
+ * @returns {Promise<{ sample: Buffer, isComplete: boolean }>}
+ */
+async function readSample(filePath, storage = localStorage) {
+  const sample = await storage.read(filePath, 0, SNIFF_LENGTH)
+  return { sample, isComplete: sample.length < SNIFF_LENGTH }
+}
+
+/**
+ * Типовий шлях розпакованого файлу: `source.txt.gz` → `source.txt`, невідоме розширення → `archive.out`.
+ *
+ * @param {string} input
+ * @returns {string}
+ */
+function defaultDecompressedPath(input) {
+  const algorithm = algorithmFromExtension(input)
+  return algorithm ? input.slice(0, -ALGORITHMS[algorithm].extension.length) : `${input}.out`
+}
+
+/**
+ * Визначає алгоритм декомпресії: явно вказаний, за магічними байтами, за розширенням, інакше Gzip.
+ *
+ * @param {string} compressedFilePath
+ * @param {string} [algorithm]
+ * @param {import('./storage.js').StorageAdapter} [storage]
+ * @returns {Promise<string>}
+ */
+async function resolveDecompressionAlgorithm(compressedFilePath, algorithm, storage) {
+  if (algorithm) {
+    return algorithm
+  }
+  const { sample, isComplete } = await readSample(compressedFilePath, storage)
+  return detectAlgorithm(sample, isComplete) ?? algorithmFromExtension(compressedFilePath) ?? DEFAULT_ALGORITHM
+}
+
+export {
+  createProgress,
+  createSink,
+  defaultDecompressedPath,
+  getBaseName,
+  pipelineStreams,
+  pipelineToFile,
+  readSample,
+  resolveDecompressionAlgorithm,
+  writeFileAtomically
+}
@@ -0,0 +1,83 @@
+import { Transform } from 'stream'
+import { DecompressionLimitError } from './errors.js'
+
+/*
+ * Захист від «zip-бомб» під час декомпресії.
+ *
+ * Лічильник на вході декомпресора рахує прочитані компресовані байти, лімітер на виході — розпаковані.
+ * Щойно ліміт перевищено, лімітер завершується помилкою, і `pipeline` зупиняє всі стріми.
+ */
+
+// Типове обмеження, якщо не задано жодного ліміту: Deflate фізично не стискає краще ніж ~1032:1, тож межа
+// трохи вища пропускає будь-який Gzip/Deflate (зокрема наш власний), а все вище — ознака Brotli/Zstandard «бомби».
+const DEFAULT_MAX_RATIO = 1100
+
+// Типовий коефіцієнт перевіряємо лише після першого мегабайта: маленькі файли з нулів мають чесно великий коефіцієнт
+const RATIO_MIN_OUTPUT = 1024 * 1024
+
+/**
+ * Застосовує типовий ліміт, якщо викликаючий код не задав жодного. Явний `maxRatio` діє з першого байта,
+ * типовий — лише після `RATIO_MIN_OUTPUT` розпакованих байтів.
+ *
+ * @param {{ maxOutputBytes?: number, maxRatio?: number }} limits
+ * @returns {{ maxOutputBytes: number, maxRatio: number, ratioMinOutput: number }}
+ */
+function resolveDecompressionLimits({ maxOutputBytes, maxRatio }) {
+  if (maxOutputBytes === undefined && maxRatio === undefined) {
+    return { maxOutputBytes: Infinity, maxRatio: DEFAULT_MAX_RATIO, ratioMinOutput: RATIO_MIN_OUTPUT }
+  }
+  return { maxOutputBytes: maxOutputBytes ?? Infinity, maxRatio: maxRatio ?? Infinity, ratioMinOutput: 0 }
+}
+
+/**
+ * Створює пару стрімів-охоронців: `input` ставиться перед декомпресором, `output` — одразу після нього.
+ *
+ * @param {object} [limits]
+ * @param {number} [limits.maxOutputBytes] - Максимальний розмір розпакованих даних у байтах.
+ * @param {number} [limits.maxRatio] - Максимальне співвідношення розпакованих байтів до компресованих; явно заданий
+ *   ліміт перевіряється з першого байта, а типовий — лише після першого мегабайта результату.
+ * @returns {{ input: Transform, output: Transform }}
+ */
+function createDecompressionGuard(limits = {}) {
+  const { maxOutputBytes, maxRatio, ratioMinOutput } = resolveDecompressionLimits(limits)
+  let inputBytes = 0
+  let outputBytes = 0
+
+  const input = new Transform({
+    transform(chunk, encoding, callback) {
+      inputBytes += chunk.length
+      callback(null, chunk)
+    }
+  })
+
+  const output = new Transform({
+    transform(chunk, encoding, callback) {
+      outputBytes += chunk.length
+      const details = { inputBytes, outputBytes }
+
+      if (outputBytes > maxOutputBytes) {
+        callback(
+          new DecompressionLimitError(`Decompressed size exceeds the limit of ${maxOutputBytes} bytes`, {
+            ...details,
+            limit: 'maxOutputBytes'
+          })
+        )
+        return
+      }
+      if (outputBytes > ratioMinOutput && outputBytes / inputBytes > maxRatio) {
+        callback(
+          new DecompressionLimitError(`Compression ratio exceeds the limit of ${maxRatio}:1`, {
+            ...details,
+            limit: 'maxRatio'
+          })
+        )
+        return
+      }
+      callback(null, chunk)
+    }
+  })
+
+  return { input, output }
+}
+
+export { DEFAULT_MAX_RATIO, createDecompressionGuard, resolveDecompressionLimits }
@@ -1,4 +1,25 @@
-console.log('#58. JavaScript homework example file')
+import { join, parse } from 'path'
+import { DEFAULT_ALGORITHM, getAlgorithm } from './algorithms.js'
+import { DEFAULT_CONFLICT_STRATEGY, assertConflictStrategy, getArchiveSuffix, reserveFilePath } from './naming.js'
+import { step, throwIfAborted } from './errors.js'
+import { createProgress, getBaseName, pipelineToFile, resolveDecompressionAlgorithm } from './io.js'
+import { createPathGuard } from './sandbox.js'
+import { STORE_LEVELS, analyzeCompressibility, assertIncompressibleStrategy } from './compressibility.js'
+import { assertMatchesSidecar, assertSidecarFormat, createDigest, requireSidecar, writeSidecar } from './integrity.js'
+import { ENCRYPTION_EXTENSION, assertEncryptOptions, createEncryptor, openEncryptedArchive } from './encryption.js'
+import { getOriginalFileName, parseGzipHeader, readGzipMetadata, restoreMetadata } from './metadata.js'
+import { assertParallelOptions } from './parallel.js'
+import { createSeekIndexRecorder, writeSeekIndex } from './seek.js'
+import { localStorage } from './storage.js'
+import { createCompressionStreams, createDecompressionStreams } from './streams.js'
+import { assertTransforms, createTransformStreams } from './transforms.js'
+import {
+  VOLUME_MANIFEST_EXTENSION,
+  assertVolumeSize,
+  explainVolumeError,
+  openVolumeSet,
+  pipelineToVolumes
+} from './volumes.js'
 
 /*
  *
@@ -38,8 +59,253 @@ console.log('#58. JavaScript homework example file')
  *
  */
 
-async function compressFile(filePath) {
-  // code here
+/**
+ * Компресує файл обраним алгоритмом і зберігає результат поруч з оригіналом.
+ *
+ * Ім'я результату: `source.txt` → `source.txt.gz` (`.zz`, `.br`, `.zst` — залежно від алгоритму).
+ * Якщо такий файл вже існує, діє стратегія `onConflict` (типово — номер: `source_1.txt.gz`, `source_2.txt.gz`...).
+ * Ім'я резервується атомарно, тож паралельні виклики для одного файлу не перетираються.
+ * Результат пишеться у тимчасовий файл і з'являється за фінальним шляхом лише після успішної компресії.
+ * Ланцюжок кодеків той самий, що й у `compressStream` / `compressBuffer`; тут до нього додаються лише файли.
+ *
+ * @param {string} filePath - Шлях до файлу, який потрібно компресувати.
+ * @param {object} [options]
+ * @param {'gzip' | 'deflate' | 'brotli' | 'zstd'} [options.algorithm='gzip'] - Алгоритм компресії.
+ * @param {number} [options.level] - Рівень компресії (для Brotli — quality 0–11).
+ * @param {number} [options.windowBits] - Розмір вікна (для Brotli — lgwin, для Zstandard — windowLog).
+ * @param {string} [options.destinationFilePath] - Шлях результату замість `filePath` + розширення алгоритму.
+ * @param {'increment' | 'timestamp' | 'content-hash' | 'overwrite' | 'error'} [options.onConflict='increment'] -
+ *   Що робити, якщо результат з таким ім'ям вже існує (див. `reserveFilePath`).
+ * @param {boolean} [options.preserveMetadata=true] - Для Gzip записати в заголовок ім'я, mtime та права джерела
+ *   (FNAME, MTIME, FEXTRA), щоб `decompressFile` міг їх відновити; `false` — як `gzip -n`.
+ * @param {string} [options.comment] - Коментар у заголовку Gzip (FCOMMENT).
+ * @param {boolean} [options.parallel=false] - Для Gzip стискати блоки паралельно на пулі `worker_threads`;
+ *   результат — багаточленний Gzip, який читають `gunzip` і `decompressFile`.
+ * @param {number} [options.workers] - Кількість воркерів паралельного режиму; типово — кількість ядер.
+ * @param {number} [options.blockSize=1048576] - Розмір блоку паралельного режиму в байтах (не менше 16 КБ).
+ * @param {boolean} [options.seekIndex=false] - Для Gzip стиснути файл незалежними блоками `blockSize`, як
+ *   у паралельному режимі, і записати поруч `<архів>.idx` з таблицею зсувів для `readRange`. Блоки стискаються
+ *   по одному в самому процесі, а на пулі воркерів — лише разом з `parallel`.
+ * @param {{ password: string }} [options.encrypt] - Зашифрувати результат паролем (AES-256-GCM, ключ через scrypt);
+ *   до імені додається `.enc`, наприклад `source.txt.gz.enc`. Розшифровує `decompressFile` з опцією `password`.
+ * @param {number} [options.volumeSize] - Розбити архів на томи по стільки байтів: `source.txt.gz.001`, `.002`...
+ *   та маніфест `source.txt.gz.manifest` з sha256 кожного тому; тоді повертається шлях маніфесту.
+ *   `decompressFile` приймає маніфест або перший том.
+ * @param {import('./transforms.js').TransformOptions} [options.transforms] - Трансформації в тому ж `pipeline`:
+ *   `before` — над джерелом перед компресією (`normalizeLineEndings`, `redact`...), `after` — над стиснутими даними
+ *   перед шифруванням. Супутник описує дані після `before`, а `incompressible` оцінює джерело до неї.
+ * @param {'sha256' | 'json'} [options.sidecar] - Записати поруч з архівом файл-супутник з sha256 джерела:
+ *   `<архів>.sha256` у форматі `sha256sum` або `<архів>.json` з хешем, розміром та mtime (див. `verifyArchive`).
+ * @param {'compress' | 'skip' | 'store'} [options.incompressible='compress'] - Що робити з файлом, який
+ *   `analyzeCompressibility` визнала нестисливим (медіа, архіви, випадкові дані): `skip` — нічого не писати
+ *   й повернути `null`, `store` — записати архів без компресії (для Gzip і Deflate — stored-блоки).
+ *   Типово аналіз не виконується.
+ * @param {number} [options.minRatio=1.1] - Поріг оцінки для `incompressible`.
+ * @param {(report: import('./compressibility.js').CompressibilityReport) => void} [options.onAnalysis] - Результат
+ *   аналізу разом з ухваленим рішенням (`decision`).
+ * @param {(report: import('./progress.js').ProgressReport) => void} [options.onProgress] - Звіти про прогрес:
+ *   прочитані/записані байти, відсоток від розміру джерела, швидкість та ETA.
+ * @param {import('./storage.js').StorageAdapter} [options.storage] - Сховище джерела й результату: типово локальний
+ *   диск, а також `createMemoryStorage()`, `createS3Storage()` або власний адаптер.
+ * @param {import('./storage.js').StorageAdapter} [options.sourceStorage] - Окреме сховище джерела.
+ * @param {import('./storage.js').StorageAdapter} [options.destinationStorage] - Окреме сховище результату.
+ * @param {number} [options.progressInterval=100] - Мінімальний інтервал між звітами в мс.
+ * @param {AbortSignal} [options.signal] - Скасовує операцію; частковий результат видаляється.
+ * @returns {Promise<string | null>} Шлях до компресованого файлу (з `volumeSize` — до маніфесту) або `null`, якщо
+ *   його пропущено через `incompressible: 'skip'`.
+ * @throws {TypeError} Якщо стратегії `onConflict`, `incompressible` або формат `sidecar` невідомі, опції
+ *   паралельного режиму, `volumeSize` чи `transforms` некоректні (зокрема `parallel` не з Gzip) або в `encrypt`
+ *   немає пароля.
+ * @throws {UnsupportedAlgorithmError} Якщо алгоритм невідомий або недоступний у рантаймі.
+ * @throws {SourceNotFoundError | AccessDeniedError | SourceReadError} Якщо вхідний файл неможливо прочитати.
+ * @throws {DestinationExistsError} Якщо результат вже існує, а `onConflict` — `error`, або ім'я тому зайняте
+ *   чужим файлом.
+ * @throws {DestinationWriteError} Якщо результат неможливо записати.
+ * @throws {CompressionError} Помилка самого компресора.
+ * @throws {TransformError} Якщо впала одна з `transforms`; частковий результат видаляється.
+ * @throws {AbortedError} Якщо операцію скасовано через `signal`.
+ *
+ * @example
+ * const compressedPath = await compressFile('./files/source.txt')
+ * // './files/source.txt.gz'
+ * const brotliPath = await compressFile('./files/source.txt', { algorithm: 'brotli', level: 11 })
+ * // './files/source.txt.br'
+ * await compressFile('exports/report.csv', { destinationStorage: createS3Storage(s3Config) })
+ * // 'exports/report.csv.gz' у бакеті
+ * await compressFile('./files/dump.sql', {
+ *   signal: AbortSignal.timeout(60_000),
+ *   onProgress: ({ percent, etaSeconds }) => console.log(`${percent.toFixed(1)}%, ETA ${etaSeconds}s`)
+ * })
+ */
+async function compressFile(
+  filePath,
+  {
+    algorithm = DEFAULT_ALGORITHM,
+    level,
+    windowBits,
+    destinationFilePath,
+    onConflict = DEFAULT_CONFLICT_STRATEGY,
+    sidecar,
+    incompressible = 'compress',
+    minRatio,
+    onAnalysis,
+    preserveMetadata = true,
+    comment,
+    parallel = false,
+    workers,
+    blockSize,
+    seekIndex = false,
+    encrypt,
+    volumeSize,
+    transforms,
+    storage = localStorage,
+    sourceStorage = storage,
+    destinationStorage = storage,
+    onProgress,
+    progressInterval,
+    signal
+  } = {}
+) {
+  assertConflictStrategy(onConflict)
+  assertIncompressibleStrategy(incompressible)
+  if (sidecar !== undefined) {
+    assertSidecarFormat(sidecar)
+  }
+  const context = { operation: 'compress', paths: { source: filePath } }
+  throwIfAborted(signal, context)
+
+  const archiveSuffix = await step('codec', context, () => getArchiveSuffix(algorithm, { encrypt }))
+  if (seekIndex && algorithm !== 'gzip') {
+    throw new TypeError(`Seek index is only supported for gzip, not "${algorithm}"`)
+  }
+  // Індекс потребує незалежних членів, тож стискаємо блоками, як у паралельному режимі
+  if (parallel || seekIndex) {
+    assertParallelOptions({ algorithm, workers, blockSize })
+  }
+  if (encrypt !== undefined) {
+    assertEncryptOptions(encrypt)
+    // Зсуви індексу описують відкритий Gzip, а не шифротекст
+    if (seekIndex) {
+      throw new TypeError('Seek index cannot be combined with encryption')
+    }
+  }
+  if (volumeSize !== undefined) {
+    assertVolumeSize(volumeSize)
+    if (seekIndex) {
+      throw new TypeError('Seek index cannot be combined with volumes')
+    }
+  }
+  if (transforms !== undefined) {
+    assertTransforms(transforms)
+    if (seekIndex && transforms.after?.length) {
+      throw new TypeError('Seek index cannot be combined with transforms after compression')
+    }
+  }
+  await step('source', context, () => sourceStorage.access(filePath))
+  let compressionLevel = level
+  if (incompressible !== 'compress') {
+    const analysis = await step('source', context, () =>
+      analyzeCompressibility(filePath, { minRatio, storage: sourceStorage })
+    )
+    const decision = analysis.isCompressible ? 'compress' : incompressible
+    onAnalysis?.({ ...analysis, decision })
+    if (decision === 'skip') {
+      return null
+    }
+    if (decision === 'store') {
+      compressionLevel = STORE_LEVELS[algorithm]
+    }
+  }
+  // Метадані в заголовку має лише Gzip
+  const writesMetadata = algorithm === 'gzip' && preserveMetadata
+  const sourceStats =
+    sidecar || writesMetadata ? await step('source', context, () => sourceStorage.stat(filePath)) : undefined
+  const progress = await createProgress(filePath, { onProgress, progressInterval, storage: sourceStorage }, context)
+  // scrypt повільний, тож ключ виводимо до резервування імені результату
+  const encryptor = encrypt
+    ? await step('codec', context, () => createEncryptor({ password: encrypt.password, algorithm }))
+    : undefined
+  const reserveOptions = {
+    onConflict,
+    contentSource: () => sourceStorage.createReadStream(filePath),
+    storage: destinationStorage
+  }
+  // Для томів резервується ім'я маніфесту, а томи називаються за іменем цілого архіву
+  const manifestSuffix = volumeSize ? VOLUME_MANIFEST_EXTENSION : ''
+  const compressedFilePath = await step('destination', context, () =>
+    destinationFilePath
+      ? reserveFilePath(`${destinationFilePath}${manifestSuffix}`, reserveOptions)
+      : reserveFilePath(filePath, {
+          ...reserveOptions,
+          suffix: `${archiveSuffix}${manifestSuffix}`
+        })
+  )
+  const archivePath = compressedFilePath.slice(0, compressedFilePath.length - manifestSuffix.length)
+  context.paths.destination = compressedFilePath
+
+  // Хеш рахується з того ж потоку, що йде в компресор, без повторного читання джерела
+  const digest = sidecar ? createDigest() : undefined
+  const indexRecorder = seekIndex ? createSeekIndexRecorder() : undefined
+  const writeArchive = volumeSize
+    ? (path, createStreams, options) => pipelineToVolumes(path, createStreams, { ...options, volumeSize })
+    : pipelineToFile
+  await writeArchive(
+    compressedFilePath,
+    () => [
+      sourceStorage.createReadStream(filePath),
+      ...createTransformStreams(transforms?.before),
+      ...(digest ? [digest] : []),
+      ...createCompressionStreams({
+        algorithm,
+        level: compressionLevel,
+        windowBits,
+        metadata: writesMetadata
+          ? { name: getBaseName(filePath), mtime: sourceStats.mtime, mode: sourceStats.mode }
+          : undefined,
+        comment,
+        parallel,
+        workers,
+        blockSize,
+        memberwise: seekIndex,
+        onMember: indexRecorder?.recordMember
+      }),
+      ...createTransformStreams(transforms?.after),
+      ...(indexRecorder ? [indexRecorder] : []),
+      ...(encryptor ? [encryptor] : [])
+    ],
+    {
+      reserved: onConflict !== 'overwrite',
+      storage: destinationStorage,
+      context,
+      progress,
+      signal,
+      beforeCommit: async () => {
+        if (digest) {
+          await step('destination', context, () =>
+            writeSidecar(
+              archivePath,
+              sidecar,
+              {
+                name: getBaseName(filePath),
+                sha256: digest.sha256,
+                size: digest.bytes,
+                mtime: sourceStats.mtime,
+                algorithm
+              },
+              destinationStorage
+            )
+          )
+        }
+        if (indexRecorder) {
+          await step('destination', context, () =>
+            writeSeekIndex(compressedFilePath, indexRecorder.index, destinationStorage)
+          )
+        }
+      }
+    }
+  )
+
+  return compressedFilePath
 }
 
 /*
@@ -75,21 +341,224 @@ async function compressFile(filePath) {
  *
  */
 
-async function decompressFile(compressedFilePath, destinationFilePath) {
-  // code here
+/**
+ * Розпаковує компресований файл у вказане місце.
+ *
+ * Формат визначається за вмістом файлу (магічні байти Gzip, Zlib/Deflate, Zstandard, пробне декодування Brotli),
+ * а не за розширенням, тож `archive.gz`, який насправді містить Brotli, теж буде розпаковано.
+ * Якщо `destinationFilePath` вже існує, діє стратегія `onConflict` (типово — номер: `source_decompressed_1.txt`...).
+ * Як і в `compressFile`, при помилці за поверненим шляхом не лишається частково записаний файл.
+ * Для даних у пам'яті чи HTTP-тіл є `decompressBuffer` / `decompressStream` з тими самими опціями та помилками.
+ * Якщо `destinationFilePath` — існуючий симлінк, розпакування відхиляється, а не пише у файл, на який він вказує.
+ *
+ * @param {string} compressedFilePath - Шлях до компресованого файлу; для архіву, розбитого `volumeSize`, —
+ *   маніфест або перший том (`.001`).
+ * @param {string} [destinationFilePath] - Шлях, де буде збережено розпакований файл. Якщо не задано (або другим
+ *   аргументом передано `options`) — поруч з архівом під ім'ям із заголовка Gzip (FNAME), а без нього —
+ *   ім'я архіву без розширення алгоритму.
+ * @param {object} [options]
+ * @param {'gzip' | 'deflate' | 'brotli' | 'zstd'} [options.algorithm] - Примусовий алгоритм замість автовизначення.
+ * @param {number} [options.windowBits] - Розмір вікна декомпресора (для Zstandard — windowLogMax).
+ * @param {'increment' | 'timestamp' | 'content-hash' | 'overwrite' | 'error'} [options.onConflict='increment'] -
+ *   Що робити, якщо `destinationFilePath` вже існує; `content-hash` бере хеш компресованого файлу.
+ * @param {number} [options.maxOutputBytes] - Максимальний розмір розпакованого файлу в байтах.
+ * @param {number} [options.maxRatio] - Максимальне співвідношення розпакованого розміру до компресованого.
+ *   Якщо не задано жодного ліміту, діє `maxRatio: 1100` (перевіряється лише після першого мегабайта результату);
+ *   явно заданий ліміт діє з першого байта. Щоб вимкнути захист, передайте `maxRatio: Infinity`.
+ * @param {string} [options.rootDir] - Пісочниця: `destinationFilePath` має лежати всередині цієї директорії
+ *   і не проходити через симлінки (див. `createPathGuard`).
+ * @param {boolean} [options.followSymlinks=false] - Дозволити запис через симлінки; з `rootDir` — лише через ті,
+ *   що ведуть всередину пісочниці.
+ * @param {boolean} [options.verify=false] - Порівняти sha256 та розмір результату з файлом-супутником архіву
+ *   (`<архів>.sha256` або `<архів>.json`); без супутника чи при розбіжності — `IntegrityError`.
+ * @param {boolean} [options.preserveMetadata=true] - Відновити mtime та права оригіналу, якщо вони є в заголовку Gzip.
+ * @param {boolean} [options.preserveSpecialBits=false] - Відновлювати й setuid, setgid та sticky із заголовка; типово
+ *   права обрізаються до `0o777`, бо заголовок приходить разом з недовіреним архівом.
+ * @param {string | (() => string | Promise<string>)} [options.password] - Пароль зашифрованого архіву або функція,
+ *   що запитує його (викликається, лише якщо архів справді зашифровано).
+ * @param {import('./transforms.js').TransformOptions} [options.transforms] - Трансформації в тому ж `pipeline`:
+ *   `before` — над архівом після розшифрування, `after` — над розпакованими даними (`convertCharset`...).
+ *   `verify` перевіряє результат до `after`.
+ * @param {(report: import('./progress.js').ProgressReport) => void} [options.onProgress] - Звіти про прогрес;
+ *   відсоток рахується від розміру компресованого файлу.
+ * @param {import('./storage.js').StorageAdapter} [options.storage] - Сховище архіву й результату: типово локальний
+ *   диск, а також `createMemoryStorage()`, `createS3Storage()` або власний адаптер.
+ * @param {import('./storage.js').StorageAdapter} [options.sourceStorage] - Окреме сховище архіву.
+ * @param {import('./storage.js').StorageAdapter} [options.destinationStorage] - Окреме сховище результату.
+ * @param {number} [options.progressInterval=100] - Мінімальний інтервал між звітами в мс.
+ * @param {AbortSignal} [options.signal] - Скасовує операцію; частковий результат видаляється.
+ * @returns {Promise<string>} Шлях до розпакованого файлу.
+ * @throws {TypeError} Якщо стратегія `onConflict` невідома або `transforms` некоректні.
+ * @throws {UnsupportedAlgorithmError} Якщо алгоритм невідомий або недоступний у рантаймі.
+ * @throws {SourceNotFoundError | AccessDeniedError | SourceReadError} Якщо архів неможливо прочитати.
+ * @throws {CorruptArchiveError} Якщо дані архіву пошкоджені або мають інший формат.
+ * @throws {DecompressionLimitError} Якщо перевищено `maxOutputBytes` або `maxRatio`; частковий результат видаляється.
+ * @throws {IntegrityError} Якщо в режимі `verify` немає супутника або результат з ним не збігся, а також якщо том
+ *   відсутній, має інший розмір або пошкоджений (повідомлення називає том).
+ * @throws {TransformError} Якщо впала одна з `transforms`; частковий результат видаляється.
+ * @throws {DecryptionError} Якщо архів зашифровано, а пароля немає, він хибний або архів змінено (`reason`).
+ * @throws {UnsafePathError} Якщо `destinationFilePath` виходить за межі `rootDir` або проходить через симлінк.
+ * @throws {DestinationExistsError} Якщо результат вже існує, а `onConflict` — `error`.
+ * @throws {DestinationWriteError} Якщо результат неможливо записати.
+ * @throws {AbortedError} Якщо операцію скасовано через `signal`.
+ *
+ * @example
+ * const resultPath = await decompressFile('./files/source.txt.gz', './files/source_decompressed.txt')
+ * // './files/source_decompressed.txt' або './files/source_decompressed_1.txt'
+ * await decompressFile('./files/source.txt.gz')
+ * // './files/source.txt' (ім'я із заголовка) або './files/source_1.txt'
+ * await decompressFile(upload, `./uploads/${userFileName}`, { rootDir: './uploads' })
+ * // UnsafePathError для userFileName на кшталт '../../etc/cron.d/job'
+ */
+async function decompressFile(compressedFilePath, destinationOrOptions, maybeOptions) {
+  // `decompressFile(archive, options)` — ім'я результату береться із заголовка
+  const [destination, options = {}] =
+    typeof destinationOrOptions === 'object' && destinationOrOptions !== null
+      ? [undefined, destinationOrOptions]
+      : [destinationOrOptions, maybeOptions]
+  const {
+    algorithm,
+    windowBits,
+    onConflict = DEFAULT_CONFLICT_STRATEGY,
+    maxOutputBytes,
+    maxRatio,
+    rootDir,
+    followSymlinks,
+    verify = false,
+    preserveMetadata = true,
+    preserveSpecialBits = false,
+    password,
+    transforms,
+    storage = localStorage,
+    sourceStorage = storage,
+    destinationStorage = storage,
+    onProgress,
+    progressInterval,
+    signal
+  } = options
+  assertConflictStrategy(onConflict)
+  if (transforms !== undefined) {
+    assertTransforms(transforms)
+  }
+  const context = { operation: 'decompress', paths: { source: compressedFilePath } }
+  throwIfAborted(signal, context)
+
+  await step('source', context, () => sourceStorage.access(compressedFilePath))
+  // Набір томів читається як один архів `archivePath` через `archiveStorage`
+  const volumeSet = await openVolumeSet(compressedFilePath, context, sourceStorage)
+  const archivePath = volumeSet?.archivePath ?? compressedFilePath
+  const archiveStorage = volumeSet?.storage ?? sourceStorage
+  // Зашифрований архів несе алгоритм у своєму заголовку, а заголовок Gzip — у першому розшифрованому сегменті
+  const encrypted = await step('source', context, () =>
+    openEncryptedArchive(archivePath, password, context, archiveStorage)
+  )
+  const detected = encrypted
+    ? encrypted.algorithm
+    : await step('source', context, () => resolveDecompressionAlgorithm(archivePath, algorithm, archiveStorage))
+  await step('codec', context, () => getAlgorithm(detected))
+  const sidecar = verify ? await requireSidecar(archivePath, context, archiveStorage) : undefined
+  let metadata = null
+  if (detected === 'gzip' && (preserveMetadata || !destination)) {
+    metadata = encrypted
+      ? parseGzipHeader(encrypted.sample)
+      : await step('source', context, () => readGzipMetadata(archivePath, archiveStorage))
+  }
+  const archiveName = archivePath.endsWith(ENCRYPTION_EXTENSION)
+    ? archivePath.slice(0, -ENCRYPTION_EXTENSION.length)
+    : archivePath
+  const destinationFilePath = destination ?? join(parse(archivePath).dir, getOriginalFileName(archiveName, metadata))
+  const progress = await createProgress(archivePath, { onProgress, progressInterval, storage: archiveStorage }, context)
+  await step('destination', context, () =>
+    createPathGuard({ rootDir, followSymlinks, storage: destinationStorage })(destinationFilePath)
+  )
+  const resultFilePath = await step('destination', context, () =>
+    reserveFilePath(destinationFilePath, {
+      onConflict,
+      contentSource: () => archiveStorage.createReadStream(archivePath),
+      storage: destinationStorage
+    })
+  )
+  context.paths.destination = resultFilePath
+
+  const digest = verify ? createDigest() : undefined
+  try {
+    await pipelineToFile(
+      resultFilePath,
+      () => [
+        archiveStorage.createReadStream(archivePath),
+        ...(encrypted ? [encrypted.createDecryptor()] : []),
+        ...createTransformStreams(transforms?.before),
+        ...createDecompressionStreams({ algorithm: detected, windowBits, maxOutputBytes, maxRatio }),
+        ...(digest ? [digest] : []),
+        ...createTransformStreams(transforms?.after)
+      ],
+      {
+        reserved: onConflict !== 'overwrite',
+        storage: destinationStorage,
+        context,
+        progress,
+        signal,
+        beforeCommit: async (tempFilePath) => {
+          // Результат, що не збігся із супутником, видаляється й не з'являється за фінальним шляхом
+          if (digest) {
+            assertMatchesSidecar(sidecar, digest, context)
+          }
+          if (preserveMetadata) {
+            await step('destination', context, () =>
+              restoreMetadata(tempFilePath, metadata, destinationStorage, { preserveSpecialBits })
+            )
+          }
+        }
+      }
+    )
+  } catch (error) {
+    throw await explainVolumeError(volumeSet, error)
+  }
+
+  return resultFilePath
 }
 
 // ! Перевірка роботи функцій стиснення та розпакування файлів
-// async function performCompressionAndDecompression() {
-//   try {
-//     const compressedResult = await compressFile('./files/source.txt')
-//     console.log(compressedResult)
-//     const decompressedResult = await decompressFile(compressedResult, './files/source_decompressed.txt')
-//     console.log(decompressedResult)
-//   } catch (error) {
-//     console.error('Error during compression or decompression:', error)
-//   }
-// }
+async function performCompressionAndDecompression() {
+  try {
+    const compressedResult = await compressFile('./files/source.txt')
+    console.log(compressedResult)
+    const decompressedResult = await decompressFile(compressedResult, './files/source_decompressed.txt')
+    console.log(decompressedResult)
+  } catch (error) {
+    console.error('Error during compression or decompression:', error)
+  }
+}
 // performCompressionAndDecompression()
 
-export { compressFile, decompressFile }
+export { compressFile, decompressFile, performCompressionAndDecompression }
+export { compressDirectory, extractArchive } from './archive.js'
+export { compressMany, decompressMany } from './batch.js'
+export { analyzeCompressibility } from './compressibility.js'
+export { verifyArchive } from './integrity.js'
+export { createRotator } from './rotator.js'
+export { readLines, searchCompressed } from './search.js'
+export { readRange } from './seek.js'
+export { createStore } from './store.js'
+export { createStaticHandler, createStaticServer, precompressDirectory } from './static.js'
+export { watchAndCompress } from './watch.js'
+export { compressBuffer, compressStream, decompressBuffer, decompressStream } from './streams.js'
+export { convertCharset, normalizeLineEndings, redact } from './transforms.js'
+export { createLocalStorage, createMemoryStorage } from './storage.js'
+export { createS3Storage } from './s3.js'
+export {
+  AbortedError,
+  AccessDeniedError,
+  CompressionError,
+  CorruptArchiveError,
+  DecompressionLimitError,
+  DecryptionError,
+  DestinationExistsError,
+  DestinationWriteError,
+  IntegrityError,
+  SourceNotFoundError,
+  SourceReadError,
+  TransformError,
+  UnsafePathError,
+  UnsupportedAlgorithmError
+} from './errors.js'
@@ -0,0 +1,238 @@
+import { parse } from 'path'
+import { Transform } from 'stream'
+import { defaultDecompressedPath, readSample } from './io.js'
+import { localStorage } from './storage.js'
+
+/*
+ * Метадані джерела в заголовку Gzip (RFC 1952).
+ *
+ * `zlib.createGzip()` завжди пише мінімальний 10-байтовий заголовок без імені та часу, тому після компресора стоїть
+ * стрім, що замінює цей заголовок на повний: MTIME, FNAME, FCOMMENT і права файлу в полі FEXTRA.
+ * CRC32 та ISIZE у трейлері рахуються лише від даних, тож заміна заголовка їх не зачіпає.
+ */
+
+const GZIP_HEADER_LENGTH = 10
+
+const FLAGS = {
+  text: 0x01,
+  headerCrc: 0x02,
+  extra: 0x04,
+  name: 0x08,
+  comment: 0x10
+}
+
+// Підполе FEXTRA з правами файлу: ідентифікатор `UM` (Unix mode), 4 байти little-endian
+const MODE_SUBFIELD_ID = 'UM'
+
+const MAX_UINT32 = 0xffffffff
+
+// Права з архіву без setuid, setgid та sticky: архів міг підготувати хто завгодно
+const PERMISSION_BITS = 0o777
+
+/**
+ * @typedef {object} GzipMetadata
+ * @property {string | null} name - Оригінальне ім'я файлу (FNAME).
+ * @property {Date | null} mtime - Час модифікації оригіналу з точністю до секунди (MTIME).
+ * @property {number | null} mode - Права оригіналу (`mode & 0o7777`) з підполя FEXTRA `UM`.
+ * @property {string | null} comment - Коментар (FCOMMENT).
+ */
+
+/**
+ * RFC 1952 вимагає ISO 8859-1, але більшість утиліт пишуть UTF-8, тож латиницю пишемо як latin1, решту — як UTF-8.
+ *
+ * @param {string} value
+ * @returns {Buffer} Рядок із завершальним нульовим байтом.
+ */
+function encodeZeroTerminated(value) {
+  const isLatin1 = [...value].every((char) => char.codePointAt(0) <= 0xff)
+  return Buffer.concat([Buffer.from(value.replace(/\0/g, ''), isLatin1 ? 'latin1' : 'utf8'), Buffer.alloc(1)])
+}
+
+/**
+ * @param {Buffer} bytes
+ * @returns {string}
+ */
+function decodeString(bytes) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+  } catch {
+    return bytes.toString('latin1')
+  }
+}
+
+/**
+ * @param {Buffer} defaultHeader - Заголовок, записаний zlib (з нього беремо XFL та OS).
+ * @param {Partial<GzipMetadata>} metadata
+ * @returns {Buffer}
+ */
+function createGzipHeader(defaultHeader, { name, mtime, mode, comment }) {
+  const parts = []
+  let flags = 0
+
+  if (mode !== undefined && mode !== null) {
+    const subfield = Buffer.alloc(8)
+    subfield.write(MODE_SUBFIELD_ID, 0, 'latin1')
+    subfield.writeUInt16LE(4, 2)
+    subfield.writeUInt32LE(mode & 0o7777, 4)
+    const length = Buffer.alloc(2)
+    length.writeUInt16LE(subfield.length)
+    parts.push(length, subfield)
+    flags |= FLAGS.extra
+  }
+  if (name) {
+    parts.push(encodeZeroTerminated(name))
+    flags |= FLAGS.name
+  }
+  if (comment) {
+    parts.push(encodeZeroTerminated(comment))
+    flags |= FLAGS.comment
+  }
+
+  const header = Buffer.from(defaultHeader.subarray(0, GZIP_HEADER_LENGTH))
+  header[3] = flags
+  const seconds = mtime ? Math.floor(mtime.getTime() / 1000) : 0
+  header.writeUInt32LE(seconds > 0 && seconds <= MAX_UINT32 ? seconds : 0, 4)
+  return Buffer.concat([header, ...parts])
+}
+
+/**
+ * Створює стрім, що ставиться одразу після `zlib.createGzip()` і дописує метадані в заголовок.
+ * Якщо на вході не мінімальний заголовок Gzip (інший алгоритм чи вже заповнений заголовок), дані проходять без змін.
+ *
+ * @param {Partial<GzipMetadata>} metadata
+ * @returns {Transform}
+ */
+function createGzipHeaderWriter(metadata) {
+  let head = Buffer.alloc(0)
+  let isDone = false
+
+  function release(stream, chunk) {
+    isDone = true
+    const isPlainGzip = chunk[0] === 0x1f && chunk[1] === 0x8b && chunk[2] === 8 && chunk[3] === 0
+    stream.push(
+      isPlainGzip ? Buffer.concat([createGzipHeader(chunk, metadata), chunk.subarray(GZIP_HEADER_LENGTH)]) : chunk
+    )
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (isDone) {
+        callback(null, chunk)
+        return
+      }
+      head = Buffer.concat([head, chunk])
+      if (head.length >= GZIP_HEADER_LENGTH) {
+        release(this, head)
+      }
+      callback()
+    },
+    flush(callback) {
+      if (!isDone && head.length > 0) {
+        this.push(head)
+      }
+      callback()
+    }
+  })
+}
+
+/**
+ * Читає метадані із заголовка Gzip.
+ *
+ * @param {Buffer} sample - Початок файлу.
+ * @returns {GzipMetadata | null} `null`, якщо це не Gzip або заголовок обрізаний.
+ */
+function parseGzipHeader(sample) {
+  if (sample.length < GZIP_HEADER_LENGTH || sample[0] !== 0x1f || sample[1] !== 0x8b || sample[2] !== 8) {
+    return null
+  }
+  const flags = sample[3]
+  const seconds = sample.readUInt32LE(4)
+  const metadata = { name: null, mtime: seconds > 0 ? new Date(seconds * 1000) : null, mode: null, comment: null }
+  let offset = GZIP_HEADER_LENGTH
+
+  if (flags & FLAGS.extra) {
+    if (offset + 2 > sample.length) {
+      return null
+    }
+    const end = offset + 2 + sample.readUInt16LE(offset)
+    for (let position = offset + 2; position + 4 <= end && end <= sample.length;) {
+      const id = sample.toString('latin1', position, position + 2)
+      const length = sample.readUInt16LE(position + 2)
+      if (id === MODE_SUBFIELD_ID && length === 4 && position + 8 <= end) {
+        metadata.mode = sample.readUInt32LE(position + 4) & 0o7777
+      }
+      position += 4 + length
+    }
+    offset = end
+  }
+  for (const [flag, field] of [
+    [FLAGS.name, 'name'],
+    [FLAGS.comment, 'comment']
+  ]) {
+    if (flags & flag) {
+      const end = sample.indexOf(0, offset)
+      if (end === -1) {
+        return null
+      }
+      metadata[field] = decodeString(sample.subarray(offset, end))
+      offset = end + 1
+    }
+  }
+  return offset <= sample.length ? metadata : null
+}
+
+/**
+ * @param {string} compressedFilePath
+ * @param {import('./storage.js').StorageAdapter} [storage]
+ * @returns {Promise<GzipMetadata | null>}
+ */
+async function readGzipMetadata(compressedFilePath, storage) {
+  const { sample } = await readSample(compressedFilePath, storage)
+  return parseGzipHeader(sample)
+}
+
+/**
+ * Ім'я розпакованого файлу: FNAME із заголовка, інакше ім'я архіву без розширення алгоритму.
+ * FNAME записує той, хто створив архів, тому від нього лишається тільки базове ім'я — без директорій та `..`.
+ *
+ * @param {string} compressedFilePath
+ * @param {GzipMetadata | null} metadata
+ * @returns {string}
+ */
+function getOriginalFileName(compressedFilePath, metadata) {
+  const name = metadata?.name?.split(/[\\/]/).pop()
+  if (name && name !== '.' && name !== '..') {
+    return name
+  }
+  const fallback = parse(defaultDecompressedPath(compressedFilePath))
+  return `${fallback.name}${fallback.ext}`
+}
+
+/**
+ * Переносить на розпакований файл права та mtime оригіналу (те, що є в заголовку і що підтримує сховище).
+ * Права беруться з недовіреного заголовка, тож setuid, setgid та sticky відкидаються, якщо їх не дозволено явно.
+ *
+ * @param {string} filePath
+ * @param {GzipMetadata | null} metadata
+ * @param {import('./storage.js').StorageAdapter} [storage]
+ * @param {object} [options]
+ * @param {boolean} [options.preserveSpecialBits=false] - Відновити й setuid, setgid та sticky.
+ * @returns {Promise<void>}
+ */
+async function restoreMetadata(filePath, metadata, storage = localStorage, { preserveSpecialBits = false } = {}) {
+  if (metadata?.mode !== null && metadata?.mode !== undefined) {
+    await storage.chmod?.(filePath, preserveSpecialBits ? metadata.mode : metadata.mode & PERMISSION_BITS)
+  }
+  if (metadata?.mtime) {
+    await storage.utimes?.(filePath, metadata.mtime)
+  }
+}
+
+export {
+  PERMISSION_BITS,
+  createGzipHeaderWriter,
+  getOriginalFileName,
+  parseGzipHeader,
+  readGzipMetadata,
+  restoreMetadata
+}
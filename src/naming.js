@@ -0,0 +1,179 @@
+import { createHash, randomBytes } from 'crypto'
+import { createReadStream } from 'fs'
+import { join, parse } from 'path'
+import { getAlgorithm } from './algorithms.js'
+import { ENCRYPTION_EXTENSION } from './encryption.js'
+import { DestinationExistsError } from './errors.js'
+import { localStorage } from './storage.js'
+
+/*
+ * Вибір імені вихідного файлу.
+ *
+ * Ім'я резервується ексклюзивним створенням порожнього файлу (`wx`), тому два паралельні виклики
+ * ніколи не отримають однаковий шлях. Результат потім перейменовується поверх цього «заповнювача».
+ */
+
+const CONFLICT_STRATEGIES = ['increment', 'timestamp', 'content-hash', 'overwrite', 'error']
+
+const DEFAULT_CONFLICT_STRATEGY = 'increment'
+
+// Довжина скороченого sha256 у імені файлу для стратегії `content-hash`
+const HASH_TAG_LENGTH = 16
+
+/**
+ * @param {string} onConflict
+ * @throws {TypeError} Якщо стратегія невідома.
+ */
+function assertConflictStrategy(onConflict) {
+  if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+    throw new TypeError(`Unsupported conflict strategy "${onConflict}"`)
+  }
+}
+
+/**
+ * Атомарно створює порожній файл, якщо його ще немає.
+ *
+ * @param {string} filePath
+ * @param {import('./storage.js').StorageAdapter} storage
+ * @returns {Promise<boolean>} `false`, якщо файл вже існує.
+ */
+async function createExclusive(filePath, storage) {
+  try {
+    await storage.writeFile(filePath, '', { exclusive: true })
+    return true
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return false
+    }
+    throw error
+  }
+}
+
+/**
+ * @param {string | (() => AsyncIterable<Buffer>)} contentSource - Шлях до файлу або фабрика стріму вмісту
+ *   (наприклад, tar-стрім директорії).
+ * @returns {Promise<string>} sha256 вмісту у hex.
+ */
+async function hashContent(contentSource) {
+  const hash = createHash('sha256')
+  const stream = typeof contentSource === 'function' ? contentSource() : createReadStream(contentSource)
+  for await (const chunk of stream) {
+    hash.update(chunk)
+  }
+  return hash.digest('hex')
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} Наприклад, `20240501T120000123Z`.
+ */
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:.]/g, '')
+}
+
+/**
+ * Мітка, яка додається до імені при конфлікті, або `null` для простої нумерації.
+ *
+ * @param {string} onConflict
+ * @param {string | (() => AsyncIterable<Buffer>)} [contentSource]
+ * @returns {Promise<string | null>}
+ */
+async function getConflictTag(onConflict, contentSource) {
+  if (onConflict === 'timestamp') {
+    return formatTimestamp(new Date())
+  }
+  if (onConflict === 'content-hash') {
+    return (await hashContent(contentSource)).slice(0, HASH_TAG_LENGTH)
+  }
+  return null
+}
+
+/**
+ * Обирає та резервує шлях для результату.
+ *
+ * Бажаний шлях — `filePath + suffix`. Якщо він зайнятий, діє стратегія `onConflict`:
+ * - `increment` — `name_1.ext + suffix`, `name_2.ext + suffix`...
+ * - `timestamp` — `name_20240501T120000123Z.ext + suffix`;
+ * - `content-hash` — `name_<sha256 вмісту contentSource>.ext + suffix`;
+ * - `overwrite` — бажаний шлях без резервування, існуючий файл буде замінено;
+ * - `error` — `DestinationExistsError`.
+ * Якщо ім'я з міткою теж зайняте, до нього додається номер.
+ *
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {string} [options.suffix=''] - Суфікс після розширення, наприклад `.gz`.
+ * @param {'increment' | 'timestamp' | 'content-hash' | 'overwrite' | 'error'} [options.onConflict='increment']
+ * @param {string | (() => AsyncIterable<Buffer>)} [options.contentSource] - Файл (або фабрика стріму вмісту),
+ *   хеш якого використовується стратегією `content-hash`.
+ * @param {import('./storage.js').StorageAdapter} [options.storage] - Сховище, в якому резервується ім'я.
+ * @returns {Promise<string>} Шлях, за яким вже створено порожній файл-заповнювач (крім `overwrite`).
+ * @throws {TypeError} Якщо стратегія невідома.
+ * @throws {DestinationExistsError} Для стратегії `error`, якщо бажаний шлях зайнятий.
+ * @throws {Error} Інші помилки файлової системи.
+ */
+async function reserveFilePath(
+  filePath,
+  { suffix = '', onConflict = DEFAULT_CONFLICT_STRATEGY, contentSource, storage = localStorage } = {}
+) {
+  assertConflictStrategy(onConflict)
+
+  const preferred = `${filePath}${suffix}`
+  if (onConflict === 'overwrite' || (await createExclusive(preferred, storage))) {
+    return preferred
+  }
+  if (onConflict === 'error') {
+    throw new DestinationExistsError(`file "${preferred}" already exists`, { paths: { destination: preferred } })
+  }
+
+  const { dir, name, ext } = parse(filePath)
+  const tag = await getConflictTag(onConflict, contentSource)
+  const base = tag ? `${name}_${tag}` : name
+
+  if (tag) {
+    const tagged = join(dir, `${base}${ext}${suffix}`)
+    if (await createExclusive(tagged, storage)) {
+      return tagged
+    }
+  }
+  for (let index = 1; ; index++) {
+    const numbered = join(dir, `${base}_${index}${ext}${suffix}`)
+    if (await createExclusive(numbered, storage)) {
+      return numbered
+    }
+  }
+}
+
+/**
+ * Суфікс, який `compressFile` додає до імені джерела: розширення алгоритму й `.enc` для зашифрованого архіву.
+ * Для томів до нього ще додається `.manifest`.
+ *
+ * @param {string} algorithm
+ * @param {{ encrypt?: { password: string } }} [options] - Опції `compressFile`.
+ * @returns {string}
+ * @throws {UnsupportedAlgorithmError}
+ */
+function getArchiveSuffix(algorithm, { encrypt } = {}) {
+  return `${getAlgorithm(algorithm).extension}${encrypt ? ENCRYPTION_EXTENSION : ''}`
+}
+
+/**
+ * Повертає ім'я тимчасового файлу в тій самій директорії, що й `filePath`,
+ * щоб фінальне перейменування не виходило за межі файлової системи.
+ *
+ * @param {string} filePath
+ * @returns {string}
+ */
+function getTempFilePath(filePath) {
+  const { dir, name, ext } = parse(filePath)
+  return join(dir, `.${name}${ext}.${randomBytes(6).toString('hex')}.tmp`)
+}
+
+export {
+  CONFLICT_STRATEGIES,
+  DEFAULT_CONFLICT_STRATEGY,
+  assertConflictStrategy,
+  getArchiveSuffix,
+  getTempFilePath,
+  hashContent,
+  reserveFilePath
+}
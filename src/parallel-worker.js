@@ -0,0 +1,16 @@
+import { parentPort } from 'worker_threads'
+import { gzipSync } from 'zlib'
+
+/*
+ * Воркер паралельної компресії: стискає один блок в окремий член Gzip і повертає його в головний потік.
+ */
+
+parentPort.on('message', ({ block, level, windowBits }) => {
+  try {
+    // Результат `gzipSync` може лежати в спільному пулі буферів, тому передаємо копію з власним ArrayBuffer
+    const output = new Uint8Array(gzipSync(block, { level, windowBits }))
+    parentPort.postMessage({ output }, [output.buffer])
+  } catch (error) {
+    parentPort.postMessage({ error: { message: error.message, code: error.code } })
+  }
+})
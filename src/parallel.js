@@ -0,0 +1,294 @@
+import { availableParallelism } from 'os'
+import { Transform } from 'stream'
+import { Worker } from 'worker_threads'
+import * as zlib from 'zlib'
+
+/*
+ * Паралельна компресія Gzip, як у `pigz`: вхід ріжеться на блоки, кожен блок стискається у воркері
+ * в окремий член Gzip, а члени склеюються у вихідному порядку.
+ *
+ * RFC 1952 дозволяє кілька членів в одному файлі, тож результат читають `gunzip`, `zcat` і `decompressFile`.
+ * Блоки стискаються незалежно (без словника попереднього блоку), тому архів трохи більший, ніж у звичайному режимі.
+ * Той самий поділ на члени без воркерів (`createMemberwiseGzip`) потрібен індексу переходів (`seek.js`).
+ */
+
+const DEFAULT_BLOCK_SIZE = 1024 * 1024
+
+// Менші блоки дають забагато членів і накладних витрат на повідомлення між потоками
+const MIN_BLOCK_SIZE = 16 * 1024
+
+const WORKER_URL = new URL('./parallel-worker.js', import.meta.url)
+
+/**
+ * Перевіряє опції паралельного режиму до початку роботи, щоб помилка не проявилась посеред стріму.
+ *
+ * @param {{ algorithm?: string, workers?: number, blockSize?: number }} options
+ * @throws {TypeError} Якщо алгоритм не Gzip або `workers` / `blockSize` некоректні.
+ */
+function assertParallelOptions({ algorithm = 'gzip', workers = 1, blockSize = DEFAULT_BLOCK_SIZE }) {
+  if (algorithm !== 'gzip') {
+    throw new TypeError(`Parallel compression is only supported for gzip, not "${algorithm}"`)
+  }
+  if (!Number.isInteger(workers) || workers < 1) {
+    throw new TypeError(`Invalid worker count "${workers}"`)
+  }
+  if (!Number.isInteger(blockSize) || blockSize < MIN_BLOCK_SIZE) {
+    throw new TypeError(`Invalid block size "${blockSize}": expected an integer of at least ${MIN_BLOCK_SIZE} bytes`)
+  }
+}
+
+/**
+ * @typedef {object} GzipMember
+ * @property {number} size - Розмір блоку оригіналу в байтах.
+ * @property {number} compressedSize - Розмір члена Gzip у байтах.
+ */
+
+/**
+ * Пул воркерів: кожен воркер стискає один блок за раз, решта блоків чекає в черзі.
+ *
+ * Воркер, що впав або завершився посеред роботи (навіть без події 'error'), зупиняє весь пул: його блок і черга
+ * відхиляються, а решта воркерів завершується, тож стрім компресії падає замість того, щоб чекати вічно.
+ *
+ * @param {number} size
+ * @returns {{ compress: (block: Uint8Array, options: object) => Promise<Buffer>, close: () => Promise<void> }}
+ */
+function createWorkerPool(size) {
+  const idle = []
+  const queue = []
+  const workers = []
+  let failure = null
+  let isClosed = false
+
+  function terminate() {
+    isClosed = true
+    return Promise.all(workers.map((worker) => worker.terminate()))
+  }
+
+  function fail(error) {
+    failure ??= error
+    for (const { reject } of queue.splice(0)) {
+      reject(failure)
+    }
+    terminate().catch(() => {})
+  }
+
+  function spawn() {
+    const worker = new Worker(WORKER_URL)
+    worker.task = null
+    worker.on('message', ({ output, error }) => {
+      const { resolve, reject } = worker.task
+      worker.task = null
+      if (error) {
+        reject(Object.assign(new Error(error.message), { code: error.code }))
+      } else {
+        resolve(Buffer.from(output.buffer, output.byteOffset, output.length))
+      }
+      dispatch(worker)
+    })
+    worker.on('error', (error) => {
+      worker.task?.reject(error)
+      worker.task = null
+      fail(error)
+    })
+    worker.on('exit', (exitCode) => {
+      if (isClosed) {
+        return
+      }
+      const error = new Error(`Compression worker exited unexpectedly with code ${exitCode}`)
+      worker.task?.reject(error)
+      worker.task = null
+      fail(error)
+    })
+    workers.push(worker)
+    return worker
+  }
+
+  function dispatch(worker) {
+    const task = queue.shift()
+    if (!task) {
+      idle.push(worker)
+      return
+    }
+    worker.task = task
+    worker.postMessage({ block: task.block, ...task.options }, [task.block.buffer])
+  }
+
+  return {
+    compress(block, options) {
+      if (failure) {
+        return Promise.reject(failure)
+      }
+      return new Promise((resolve, reject) => {
+        queue.push({ block, options, resolve, reject })
+        const worker = idle.pop() ?? (workers.length < size ? spawn() : undefined)
+        if (worker) {
+          dispatch(worker)
+        }
+      })
+    },
+    async close() {
+      await terminate()
+    }
+  }
+}
+
+/**
+ * «Пул» без воркерів: блоки стискаються асинхронним `zlib.gzip` у самому процесі.
+ *
+ * @returns {{ compress: (block: Uint8Array, options: object) => Promise<Buffer>, close: () => Promise<void> }}
+ */
+function createInlinePool() {
+  return {
+    compress(block, options) {
+      return new Promise((resolve, reject) => {
+        zlib.gzip(block, options, (error, output) => (error ? reject(error) : resolve(output)))
+      })
+    },
+    async close() {}
+  }
+}
+
+/**
+ * Transform, що ріже вхід на блоки, стискає їх через `pool` і віддає члени у вихідному порядку.
+ *
+ * @param {{ compress: (block: Uint8Array, options: object) => Promise<Buffer>, close: () => Promise<void> }} pool
+ * @param {object} options
+ * @param {number} options.blockSize
+ * @param {number} options.maxInFlight - Скільки блоків може стискатися одночасно.
+ * @param {number} [options.level]
+ * @param {number} [options.windowBits]
+ * @param {(member: GzipMember) => void} [options.onMember]
+ * @returns {Transform}
+ */
+function createMemberStream(pool, { blockSize, maxInFlight, level, windowBits, onMember }) {
+  const inFlight = []
+  let pending = []
+  let pendingLength = 0
+  let blockCount = 0
+
+  // Копіюємо блок у власний ArrayBuffer: його буде передано воркеру без ще одного копіювання
+  function takeBlock(size) {
+    const block = new Uint8Array(size)
+    for (let offset = 0; offset < size;) {
+      const chunk = pending[0]
+      const length = Math.min(chunk.length, size - offset)
+      block.set(chunk.subarray(0, length), offset)
+      offset += length
+      if (length === chunk.length) {
+        pending.shift()
+      } else {
+        pending[0] = chunk.subarray(length)
+      }
+    }
+    pendingLength -= size
+    return block
+  }
+
+  function submit(block) {
+    // Розмір запам'ятовуємо до передачі: після неї буфер блоку в цьому потоці порожній
+    const size = block.length
+    const output = pool.compress(block, { level, windowBits })
+    // Помилку буде оброблено, коли до блоку дійде черга; до того вона не має ставати unhandled rejection
+    output.catch(() => {})
+    inFlight.push({ size, output })
+    blockCount++
+  }
+
+  async function emitUntil(stream, limit) {
+    while (inFlight.length > limit) {
+      const { size, output } = inFlight.shift()
+      const member = await output
+      onMember?.({ size, compressedSize: member.length })
+      stream.push(member)
+    }
+  }
+
+  return new Transform({
+    async transform(chunk, encoding, callback) {
+      try {
+        pending.push(chunk)
+        pendingLength += chunk.length
+        while (pendingLength >= blockSize) {
+          submit(takeBlock(blockSize))
+        }
+        await emitUntil(this, maxInFlight - 1)
+        callback()
+      } catch (error) {
+        callback(error)
+      }
+    },
+    async flush(callback) {
+      try {
+        // Порожній вхід теж має дати валідний Gzip з одним порожнім членом
+        if (pendingLength > 0 || blockCount === 0) {
+          submit(takeBlock(pendingLength))
+        }
+        await emitUntil(this, 0)
+        await pool.close()
+        callback()
+      } catch (error) {
+        callback(error)
+      }
+    },
+    destroy(error, callback) {
+      pending = []
+      pool.close().then(
+        () => callback(error),
+        () => callback(error)
+      )
+    }
+  })
+}
+
+/**
+ * Створює стрім паралельної компресії Gzip.
+ *
+ * Одночасно в роботі не більше `2 × workers` блоків, тож пам'ять обмежена приблизно `(2 × workers + 1) × blockSize`
+ * незалежно від розміру файлу.
+ *
+ * @param {object} [options]
+ * @param {number} [options.workers] - Кількість воркерів; типово — `os.availableParallelism()`.
+ * @param {number} [options.blockSize=1048576] - Розмір блоку вхідних даних у байтах (не менше 16 КБ).
+ * @param {number} [options.level] - Рівень компресії.
+ * @param {number} [options.windowBits] - Розмір вікна.
+ * @param {(member: GzipMember) => void} [options.onMember] - Викликається для кожного члена перед тим, як
+ *   його віддано далі.
+ * @returns {Transform}
+ * @throws {TypeError} Якщо `workers` або `blockSize` некоректні.
+ */
+function createParallelGzip({
+  workers = availableParallelism(),
+  blockSize = DEFAULT_BLOCK_SIZE,
+  level,
+  windowBits,
+  onMember
+} = {}) {
+  assertParallelOptions({ workers, blockSize })
+  return createMemberStream(createWorkerPool(workers), {
+    blockSize,
+    maxInFlight: workers * 2,
+    level,
+    windowBits,
+    onMember
+  })
+}
+
+/**
+ * Створює стрім компресії Gzip незалежними членами по `blockSize`, як `createParallelGzip`, але без воркерів:
+ * блоки стискаються по одному, а пам'ять обмежена приблизно `2 × blockSize`.
+ *
+ * @param {object} [options]
+ * @param {number} [options.blockSize=1048576] - Розмір блоку вхідних даних у байтах (не менше 16 КБ).
+ * @param {number} [options.level] - Рівень компресії.
+ * @param {number} [options.windowBits] - Розмір вікна.
+ * @param {(member: GzipMember) => void} [options.onMember] - Викликається для кожного члена перед тим, як
+ *   його віддано далі.
+ * @returns {Transform}
+ * @throws {TypeError} Якщо `blockSize` некоректний.
+ */
+function createMemberwiseGzip({ blockSize = DEFAULT_BLOCK_SIZE, level, windowBits, onMember } = {}) {
+  assertParallelOptions({ blockSize })
+  return createMemberStream(createInlinePool(), { blockSize, maxInFlight: 1, level, windowBits, onMember })
+}
+
+export { DEFAULT_BLOCK_SIZE, assertParallelOptions, createMemberwiseGzip, createParallelGzip }
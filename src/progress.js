@@ -0,0 +1,88 @@
+import { Transform } from 'stream'
+
+/*
+ * Звіти про прогрес для довгих операцій.
+ *
+ * Лічильник `input` ставиться одразу після джерела, `output` — перед записом результату.
+ * Звіти надсилаються не частіше ніж раз на `interval` мс, а останній — після завершення потоку.
+ */
+
+const DEFAULT_PROGRESS_INTERVAL = 100
+
+/**
+ * @typedef {object} ProgressReport
+ * @property {number} bytesRead - Скільки байтів прочитано з джерела.
+ * @property {number} bytesWritten - Скільки байтів віддано на запис.
+ * @property {number} totalBytes - Розмір джерела.
+ * @property {number} percent - Відсоток прочитаного джерела (0–100).
+ * @property {number} bytesPerSecond - Середня швидкість читання.
+ * @property {number | null} etaSeconds - Орієнтовний час до завершення або `null`, якщо ще невідомий.
+ * @property {number} elapsedMs - Час від початку операції.
+ */
+
+/**
+ * Створює пару стрімів-лічильників, які викликають `onProgress`.
+ *
+ * @param {object} options
+ * @param {number} options.totalBytes - Розмір джерела в байтах.
+ * @param {(report: ProgressReport) => void} options.onProgress
+ * @param {number} [options.interval=100] - Мінімальний інтервал між звітами в мс.
+ * @returns {{ input: Transform, output: Transform }}
+ */
+function createProgressMeter({ totalBytes, onProgress, interval = DEFAULT_PROGRESS_INTERVAL }) {
+  const startedAt = Date.now()
+  let bytesRead = 0
+  let bytesWritten = 0
+  let reportedAt = -Infinity
+
+  const report = () => {
+    const now = Date.now()
+    const elapsedMs = now - startedAt
+    const bytesPerSecond = elapsedMs > 0 ? (bytesRead / elapsedMs) * 1000 : 0
+    const remainingBytes = Math.max(0, totalBytes - bytesRead)
+    reportedAt = now
+
+    onProgress({
+      bytesRead,
+      bytesWritten,
+      totalBytes,
+      percent: totalBytes > 0 ? Math.min(100, (bytesRead / totalBytes) * 100) : 100,
+      bytesPerSecond,
+      etaSeconds: remainingBytes === 0 ? 0 : bytesPerSecond > 0 ? remainingBytes / bytesPerSecond : null,
+      elapsedMs
+    })
+  }
+
+  const input = new Transform({
+    transform(chunk, encoding, callback) {
+      bytesRead += chunk.length
+      callback(null, chunk)
+    }
+  })
+
+  const output = new Transform({
+    transform(chunk, encoding, callback) {
+      bytesWritten += chunk.length
+      try {
+        if (Date.now() - reportedAt >= interval) {
+          report()
+        }
+        callback(null, chunk)
+      } catch (error) {
+        callback(error)
+      }
+    },
+    flush(callback) {
+      try {
+        report()
+        callback()
+      } catch (error) {
+        callback(error)
+      }
+    }
+  })
+
+  return { input, output }
+}
+
+export { DEFAULT_PROGRESS_INTERVAL, createProgressMeter }
@@ -0,0 +1,317 @@
+import { createWriteStream, promises as fsPromises } from 'fs'
+import { once } from 'events'
+import { join, parse } from 'path'
+import { DEFAULT_ALGORITHM, getAlgorithm } from './algorithms.js'
+import { writeFileAtomically } from './io.js'
+import { compressFile } from './main.js'
+
+/*
+ * Ротація логів за розміром поверх `compressFile`: `app.log` → `app_1.log` → `app_1.log.gz`, як у `logrotate`.
+ *
+ * Усі записи проходять через ротатор і виконуються по черзі з ротаціями, тож рядок ніколи не розривається між
+ * файлами й не губиться: поки активний файл перейменовується, нові записи чекають у черзі й потрапляють у свіжий файл.
+ * Компресія та видалення старих архівів ідуть у фоні, не затримуючи записів.
+ *
+ * Ротації, які створив сам ротатор, записуються в прихований файл стану `.app.log.rotations.json` поруч з логом:
+ * відновлення після збою та видалення старих архівів торкаються лише їх, а не будь-яких файлів на кшталт
+ * `app_2024.log`, що випадково лежать поруч.
+ */
+
+const STATE_EXTENSION = '.rotations.json'
+
+const STATE_VERSION = 1
+
+/**
+ * @typedef {object} Rotation
+ * @property {number} index - Номер ротації, від 1.
+ * @property {string} rotated - Ім'я ротованого файлу в директорії логу.
+ * @property {string | null} archive - Ім'я архіву або `null`, поки файл не стиснуто.
+ */
+
+/**
+ * @typedef {object} Rotator
+ * @property {(data: string | Buffer) => Promise<void>} write - Дописує дані в активний файл (рядок — UTF-8);
+ *   якщо з ними файл перевищить `maxSize`, спершу ротує його.
+ * @property {() => Promise<string | null>} rotate - Ротує активний файл зараз; повертає шлях архіву після компресії
+ *   або `null`, якщо файл порожній.
+ * @property {() => Promise<void>} close - Дописує чергу, закриває файл і чекає на фонові компресії.
+ */
+
+/**
+ * @param {string} name
+ * @param {unknown} value
+ * @param {number} min
+ * @throws {TypeError}
+ */
+function assertLimit(name, value, min) {
+  if (value !== undefined && (!Number.isInteger(value) || value < min)) {
+    throw new TypeError(`Invalid ${name} "${value}"`)
+  }
+}
+
+/**
+ * Створює ротатор для файлу логу. Файл відкривається на дозапис при першому записі.
+ *
+ * Ротовані файли нумеруються за зростанням (`app_1.log.gz` — найстаріший), а після збою недостиснуті
+ * `app_<n>.log` з файлу стану стискаються при першому записі. Номер, чиє ім'я вже зайняте чужим файлом, пропускається.
+ * Інші процеси не мають писати у файл напряму — лише через `write`.
+ *
+ * @param {object} options
+ * @param {string} options.file - Активний файл логу.
+ * @param {number} [options.maxSize] - Розмір у байтах, після якого файл ротується; без нього — лише через `rotate`.
+ * @param {number} [options.maxFiles] - Скільки архівів зберігати; старші видаляються.
+ * @param {number} [options.maxAge] - Максимальний вік архіву в мс (за mtime); старші видаляються.
+ * @param {'gzip' | 'deflate' | 'brotli' | 'zstd'} [options.algorithm='gzip'] - Алгоритм компресії архівів.
+ * @param {number} [options.level] - Рівень компресії.
+ * @param {(rotation: { rotatedPath: string, archivePath: string }) => void} [options.onRotate] - Після компресії.
+ * @param {(error: Error) => void} [options.onError] - Помилки фонової компресії та очищення;
+ *   без нього перша така помилка кидається з `close`.
+ * @returns {Rotator}
+ * @throws {TypeError} Якщо ліміти некоректні.
+ * @throws {UnsupportedAlgorithmError} Якщо алгоритм невідомий або недоступний у рантаймі.
+ *
+ * @example
+ * const log = createRotator({ file: './logs/app.log', maxSize: 10 * 1024 * 1024, maxFiles: 7 })
+ * await log.write(`${new Date().toISOString()} started\n`)
+ * await log.close()
+ */
+function createRotator({ file, maxSize, maxFiles, maxAge, algorithm = DEFAULT_ALGORITHM, level, onRotate, onError }) {
+  assertLimit('maxSize', maxSize, 1)
+  assertLimit('maxFiles', maxFiles, 0)
+  assertLimit('maxAge', maxAge, 0)
+  getAlgorithm(algorithm)
+
+  const { dir, name, ext } = parse(file)
+  const statePath = join(dir, `.${name}${ext}${STATE_EXTENSION}`)
+
+  let stream = null
+  let size = 0
+  let isClosed = false
+  let isRecovered = false
+  let backgroundError = null
+  /** @type {{ version: number, rotations: Rotation[] } | null} */
+  let state = null
+  // Черга записів і ротацій, окремий ланцюжок фонових компресій та послідовні записи стану
+  let queue = Promise.resolve()
+  let archiving = Promise.resolve()
+  let saving = Promise.resolve()
+
+  function enqueue(action) {
+    const result = queue.then(action)
+    queue = result.catch(() => {})
+    return result
+  }
+
+  function report(error) {
+    if (onError) {
+      onError(error)
+    } else {
+      backgroundError ??= error
+    }
+  }
+
+  /**
+   * @returns {Promise<{ version: number, rotations: Rotation[] }>}
+   * @throws {Error} Якщо файл стану пошкоджений.
+   */
+  async function loadState() {
+    if (state) {
+      return state
+    }
+    let content
+    try {
+      content = await fsPromises.readFile(statePath, 'utf8')
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error
+      }
+      state = { version: STATE_VERSION, rotations: [] }
+      return state
+    }
+    let parsed
+    try {
+      parsed = JSON.parse(content)
+    } catch {
+      parsed = null
+    }
+    if (parsed?.version !== STATE_VERSION || !Array.isArray(parsed.rotations)) {
+      throw new Error(`Malformed rotation state "${statePath}"`)
+    }
+    state = parsed
+    return state
+  }
+
+  /**
+   * Записує поточний стан; знімок береться одразу, а записи йдуть по черзі, тож останній завжди найсвіжіший.
+   *
+   * @returns {Promise<void>}
+   */
+  function saveState() {
+    const content = `${JSON.stringify(state, null, 2)}\n`
+    const result = saving.then(() => writeFileAtomically(statePath, content))
+    saving = result.catch(() => {})
+    return result
+  }
+
+  async function prune() {
+    const archives = state.rotations.filter((rotation) => rotation.archive !== null)
+    const expired = maxFiles === undefined ? [] : archives.slice(0, Math.max(archives.length - maxFiles, 0))
+    const kept = archives.slice(expired.length)
+    if (maxAge !== undefined) {
+      const deadline = Date.now() - maxAge
+      for (const rotation of kept) {
+        const { mtimeMs } = await fsPromises.stat(join(dir, rotation.archive))
+        if (mtimeMs < deadline) {
+          expired.push(rotation)
+        }
+      }
+    }
+    if (expired.length === 0) {
+      return
+    }
+    await Promise.all(expired.map((rotation) => fsPromises.rm(join(dir, rotation.archive), { force: true })))
+    state.rotations = state.rotations.filter((rotation) => !expired.includes(rotation))
+    await saveState()
+  }
+
+  /**
+   * Стискає ротований файл після попередніх і прибирає старі архіви.
+   *
+   * @param {Rotation} rotation
+   * @returns {Promise<string>}
+   */
+  function archive(rotation) {
+    const task = archiving.then(async () => {
+      const rotatedPath = join(dir, rotation.rotated)
+      // Ім'я архіву вільне з моменту ротації, тож наявний архів лишився від перерваної компресії
+      const archivePath = await compressFile(rotatedPath, { algorithm, level, onConflict: 'overwrite' })
+      rotation.archive = parse(archivePath).base
+      await saveState()
+      await fsPromises.rm(rotatedPath)
+      await prune()
+      onRotate?.({ rotatedPath, archivePath })
+      return archivePath
+    })
+    archiving = task.catch(() => {})
+    return task
+  }
+
+  /**
+   * @param {string} path
+   * @returns {Promise<boolean>}
+   */
+  async function exists(path) {
+    return fsPromises.access(path).then(
+      () => true,
+      () => false
+    )
+  }
+
+  async function open() {
+    if (stream) {
+      return
+    }
+    if (!isRecovered) {
+      await loadState()
+      isRecovered = true
+      // Файли, ротовані перед збоєм, але не стиснуті; запис без файлу лишився від незавершеного перейменування
+      const pending = state.rotations.filter((rotation) => rotation.archive === null)
+      for (const rotation of pending) {
+        if (await exists(join(dir, rotation.rotated))) {
+          archive(rotation).catch(report)
+        } else {
+          state.rotations = state.rotations.filter((item) => item !== rotation)
+          await saveState()
+        }
+      }
+    }
+    try {
+      size = (await fsPromises.stat(file)).size
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error
+      }
+      size = 0
+    }
+    stream = createWriteStream(file, { flags: 'a' })
+    await once(stream, 'open')
+  }
+
+  async function closeStream() {
+    if (stream) {
+      stream.end()
+      await once(stream, 'close')
+      stream = null
+    }
+  }
+
+  /**
+   * @returns {Promise<{ archived: Promise<string> } | null>} Обгортка, щоб очікування ротації не чекало компресії.
+   */
+  async function rotateNow() {
+    await open()
+    if (size === 0) {
+      return null
+    }
+    await closeStream()
+    const { extension } = getAlgorithm(algorithm)
+    let index = Math.max(0, ...state.rotations.map((rotation) => rotation.index)) + 1
+    // Чужі файли з тими самими іменами не перезаписуються: такий номер пропускаємо
+    while (
+      (await exists(join(dir, `${name}_${index}${ext}`))) ||
+      (await exists(join(dir, `${name}_${index}${ext}${extension}`)))
+    ) {
+      index++
+    }
+    // Спершу стан, потім перейменування: після збою між ними запис без файлу просто відкидається
+    const rotation = { index, rotated: `${name}_${index}${ext}`, archive: null }
+    state.rotations.push(rotation)
+    await saveState()
+    await fsPromises.rename(file, join(dir, rotation.rotated))
+    await open()
+    return { archived: archive(rotation) }
+  }
+
+  function assertOpen() {
+    if (isClosed) {
+      throw new Error(`Rotator for "${file}" is closed`)
+    }
+  }
+
+  return {
+    async write(data) {
+      assertOpen()
+      const chunk = Buffer.from(data)
+      await enqueue(async () => {
+        await open()
+        if (maxSize !== undefined && size > 0 && size + chunk.length > maxSize) {
+          const rotation = await rotateNow()
+          rotation?.archived.catch(report)
+        }
+        await new Promise((resolve, reject) => {
+          stream.write(chunk, (error) => (error ? reject(error) : resolve()))
+        })
+        size += chunk.length
+      })
+    },
+    async rotate() {
+      assertOpen()
+      const rotation = await enqueue(rotateNow)
+      return rotation ? rotation.archived : null
+    },
+    async close() {
+      if (isClosed) {
+        return
+      }
+      isClosed = true
+      await enqueue(closeStream)
+      await archiving
+      await saving
+      if (backgroundError) {
+        throw backgroundError
+      }
+    }
+  }
+}
+
+export { createRotator }
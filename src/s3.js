@@ -0,0 +1,302 @@
+import { createHash, createHmac } from 'crypto'
+import * as http from 'http'
+import * as https from 'https'
+import { PassThrough, Writable, pipeline } from 'stream'
+import { createFsError } from './storage.js'
+
+/*
+ * Адаптер сховища для S3-сумісних сервісів (AWS S3, MinIO, Ceph, R2...) без SDK: кілька REST-запитів,
+ * підписаних AWS Signature Version 4.
+ *
+ * Об'єкти адресуються у path-style (`<endpoint>/<bucket>/<key>`), який підтримують і локальні емулятори.
+ * Ім'я результату резервується умовним `PUT` з `If-None-Match: *`, а «перейменування» — це `CopyObject` + `DELETE`.
+ */
+
+const EMPTY_PAYLOAD_HASH = createHash('sha256').digest('hex')
+
+/**
+ * @param {string | Buffer} data
+ * @returns {string}
+ */
+function sha256Hex(data) {
+  return createHash('sha256').update(data).digest('hex')
+}
+
+/**
+ * @param {string | Buffer} key
+ * @param {string} data
+ * @returns {Buffer}
+ */
+function hmac(key, data) {
+  return createHmac('sha256', key).update(data).digest()
+}
+
+/**
+ * URI-кодування за правилами SigV4: усе, крім `A-Z a-z 0-9 - _ . ~`.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+}
+
+/**
+ * Підписує запит AWS Signature Version 4 і повертає заголовки разом з `Authorization`.
+ *
+ * @param {object} request
+ * @param {string} request.method
+ * @param {string} request.host - Разом з портом, якщо він не типовий.
+ * @param {string} request.path - Вже закодований шлях, наприклад `/bucket/logs/app.log.gz`.
+ * @param {Record<string, string>} [request.query]
+ * @param {Record<string, string>} [request.headers]
+ * @param {string} [request.payloadHash] - sha256 тіла в hex.
+ * @param {object} credentials
+ * @param {string} credentials.accessKeyId
+ * @param {string} credentials.secretAccessKey
+ * @param {string} [credentials.sessionToken]
+ * @param {string} credentials.region
+ * @param {Date} [date]
+ * @returns {Record<string, string>}
+ */
+function signRequest(
+  { method, host, path, query = {}, headers = {}, payloadHash = EMPTY_PAYLOAD_HASH },
+  { accessKeyId, secretAccessKey, sessionToken, region },
+  date = new Date()
+) {
+  const amzDate = date.toISOString().replace(/[-:]|\.\d{3}/g, '')
+  const dateStamp = amzDate.slice(0, 8)
+  const signedHeaders = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)])),
+    host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    ...(sessionToken && { 'x-amz-security-token': sessionToken })
+  }
+  const headerNames = Object.keys(signedHeaders).sort()
+  const canonicalRequest = [
+    method,
+    path,
+    Object.keys(query)
+      .sort()
+      .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&'),
+    ...headerNames.map((name) => `${name}:${signedHeaders[name].trim().replace(/\s+/g, ' ')}`),
+    '',
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n')
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n')
+  const signingKey = ['aws4_request', 's3', region, dateStamp]
+    .reverse()
+    .reduce((key, part) => hmac(key, part), `AWS4${secretAccessKey}`)
+  const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+  const authorization = [
+    `Credential=${accessKeyId}/${scope}`,
+    `SignedHeaders=${headerNames.join(';')}`,
+    `Signature=${signature}`
+  ].join(', ')
+
+  return { ...signedHeaders, authorization: `AWS4-HMAC-SHA256 ${authorization}` }
+}
+
+/**
+ * Перетворює відповідь S3 з помилкою на помилку у стилі `fs`.
+ *
+ * @param {number} statusCode
+ * @param {Buffer} body
+ * @param {string} syscall
+ * @param {string} path
+ * @returns {Error}
+ */
+function createS3Error(statusCode, body, syscall, path) {
+  if (statusCode === 404) {
+    return createFsError('ENOENT', syscall, path)
+  }
+  if (statusCode === 412) {
+    return createFsError('EEXIST', syscall, path)
+  }
+  if (statusCode === 403) {
+    return createFsError('EACCES', syscall, path)
+  }
+  const code = /<Code>([^<]+)<\/Code>/.exec(body.toString())?.[1] ?? 'UnknownError'
+  return Object.assign(new Error(`S3 request for "${path}" failed with ${statusCode} ${code}`), {
+    code: 'ERR_S3_REQUEST',
+    statusCode,
+    s3Code: code
+  })
+}
+
+/**
+ * Створює адаптер S3-сумісного сховища. Шлях файлу — це ключ об'єкта в бакеті (початкові `./` та `/` відкидаються).
+ *
+ * `createWriteStream` накопичує дані в пам'яті й відправляє їх одним `PUT` у кінці, тож адаптер розрахований
+ * на архіви, що вміщаються в пам'ять (і не більші за 5 ГБ — межа одного `PUT` в AWS).
+ * Прав і mtime в S3 немає, тому `decompressFile` їх не відновлює.
+ *
+ * @param {object} options
+ * @param {string} options.bucket
+ * @param {string} [options.region='us-east-1']
+ * @param {string} [options.endpoint] - Наприклад, `http://127.0.0.1:9000` для MinIO; типово — AWS у `region`.
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @param {string} [options.sessionToken] - Для тимчасових облікових даних.
+ * @returns {import('./storage.js').StorageAdapter}
+ *
+ * @example
+ * const s3 = createS3Storage({ bucket: 'backups', endpoint: 'http://127.0.0.1:9000', accessKeyId, secretAccessKey })
+ * await compressFile('./dump.sql', { destinationStorage: s3, destinationFilePath: 'db/dump.sql.gz' })
+ */
+function createS3Storage({ bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey, sessionToken }) {
+  const baseUrl = new URL(endpoint ?? `https://s3.${region}.amazonaws.com`)
+  const transport = baseUrl.protocol === 'http:' ? http : https
+  const credentials = { accessKeyId, secretAccessKey, sessionToken, region }
+
+  /**
+   * @param {string} path
+   * @returns {string} Закодований шлях об'єкта від кореня сервера.
+   */
+  function objectPath(path) {
+    const key = path.replace(/^(\.?\/)+/, '')
+    const basePath = baseUrl.pathname.replace(/\/$/, '')
+    return `${basePath}/${encodeRfc3986(bucket)}/${key.split('/').map(encodeRfc3986).join('/')}`
+  }
+
+  /**
+   * Надсилає підписаний запит і віддає відповідь стрімом.
+   *
+   * @param {string} method
+   * @param {string} path
+   * @param {{ headers?: Record<string, string>, body?: Buffer }} [options]
+   * @returns {Promise<import('http').IncomingMessage>}
+   */
+  function send(method, path, { headers = {}, body } = {}) {
+    const requestPath = objectPath(path)
+    const signedHeaders = signRequest(
+      {
+        method,
+        host: baseUrl.host,
+        path: requestPath,
+        headers: { ...headers, ...(body && { 'content-length': String(body.length) }) },
+        payloadHash: body ? sha256Hex(body) : EMPTY_PAYLOAD_HASH
+      },
+      credentials
+    )
+    return new Promise((resolve, reject) => {
+      const request = transport.request(baseUrl, { method, path: requestPath, headers: signedHeaders }, resolve)
+      request.once('error', reject)
+      request.end(body)
+    })
+  }
+
+  /**
+   * Надсилає запит і читає тіло відповіді; статуси поза 2xx стають помилками.
+   *
+   * @param {string} method
+   * @param {string} path
+   * @param {string} syscall - Для повідомлення помилки, як у `fs`.
+   * @param {{ headers?: Record<string, string>, body?: Buffer }} [options]
+   * @returns {Promise<{ statusCode: number, headers: import('http').IncomingHttpHeaders, body: Buffer }>}
+   */
+  async function request(method, path, syscall, options) {
+    const response = await send(method, path, options)
+    const chunks = []
+    for await (const chunk of response) {
+      chunks.push(chunk)
+    }
+    const body = Buffer.concat(chunks)
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw createS3Error(response.statusCode, body, syscall, path)
+    }
+    return { statusCode: response.statusCode, headers: response.headers, body }
+  }
+
+  async function writeFile(path, data, { exclusive = false } = {}) {
+    await request('PUT', path, 'open', {
+      headers: exclusive ? { 'if-none-match': '*' } : {},
+      body: Buffer.from(data)
+    })
+  }
+
+  return {
+    async access(path) {
+      await request('HEAD', path, 'access')
+    },
+    async stat(path) {
+      const { headers } = await request('HEAD', path, 'stat')
+      return { size: Number(headers['content-length']), mtime: new Date(headers['last-modified']) }
+    },
+    async read(path, position, length) {
+      try {
+        const { statusCode, body } = await request('GET', path, 'read', {
+          headers: { range: `bytes=${position}-${position + length - 1}` }
+        })
+        // Сервер без підтримки Range віддає весь об'єкт
+        return statusCode === 206 ? body : body.subarray(position, position + length)
+      } catch (error) {
+        // 416: позиція за кінцем об'єкта (зокрема порожнього)
+        if (error.statusCode === 416) {
+          return Buffer.alloc(0)
+        }
+        throw error
+      }
+    },
+    async readFile(path) {
+      return (await request('GET', path, 'open')).body
+    },
+    writeFile,
+    createReadStream(path) {
+      const output = new PassThrough()
+      send('GET', path).then(
+        async (response) => {
+          if (response.statusCode === 200) {
+            pipeline(response, output, () => {})
+            return
+          }
+          const chunks = []
+          for await (const chunk of response) {
+            chunks.push(chunk)
+          }
+          output.destroy(createS3Error(response.statusCode, Buffer.concat(chunks), 'open', path))
+        },
+        (error) => output.destroy(error)
+      )
+      return output
+    },
+    createWriteStream(path) {
+      const chunks = []
+      return new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(chunk)
+          callback()
+        },
+        final(callback) {
+          writeFile(path, Buffer.concat(chunks)).then(() => callback(), callback)
+        }
+      })
+    },
+    async rename(from, to) {
+      const { body } = await request('PUT', to, 'rename', {
+        headers: { 'x-amz-copy-source': objectPath(from).slice(baseUrl.pathname.replace(/\/$/, '').length) }
+      })
+      // CopyObject може відповісти 200 з помилкою в тілі
+      if (body.includes('<Error>')) {
+        throw createS3Error(500, body, 'rename', from)
+      }
+      await request('DELETE', from, 'rename')
+    },
+    async rm(path) {
+      try {
+        await request('DELETE', path, 'rm')
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error
+        }
+      }
+    }
+  }
+}
+
+export { createS3Storage, signRequest }
@@ -0,0 +1,100 @@
+import { isAbsolute, join, relative, resolve, sep } from 'path'
+import { UnsafePathError } from './errors.js'
+import { localStorage } from './storage.js'
+
+/*
+ * Пісочниця для шляхів запису.
+ *
+ * Усі функції, що пишуть за шляхом, отриманим ззовні (аргумент виклику чи запис в архіві), перевіряють його тут:
+ * шлях не має виходити за межі `rootDir` ні через `..`, ні через абсолютний шлях, ні через симлінк
+ * на батьківській директорії. Перевірка не захищає від гонки, якщо хтось підмінює директорії одночасно із записом.
+ */
+
+/**
+ * @param {string} rootPath - Абсолютний шлях кореня.
+ * @param {string} targetPath - Абсолютний шлях, що перевіряється.
+ * @returns {boolean}
+ */
+function isInside(rootPath, targetPath) {
+  const relativePath = relative(rootPath, targetPath)
+  return relativePath !== '..' && !relativePath.startsWith(`..${sep}`) && !isAbsolute(relativePath)
+}
+
+/**
+ * @param {string} filePath
+ * @param {import('./storage.js').StorageAdapter} storage
+ * @returns {Promise<import('fs').Stats | null>} `null`, якщо шляху ще не існує або сховище не має симлінків.
+ */
+async function lstatIfExists(filePath, storage) {
+  if (!storage.lstat) {
+    return null
+  }
+  try {
+    return await storage.lstat(filePath)
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * Створює перевірку шляхів запису.
+ *
+ * Без `rootDir` перевіряється лише те, що сам шлях не є існуючим симлінком.
+ * З `rootDir` шлях має лежати всередині кореня, а кожен його існуючий компонент нижче кореня не має бути симлінком.
+ * Якщо `followSymlinks` увімкнено, симлінки дозволені, але їхня ціль теж має лежати всередині кореня.
+ *
+ * @param {object} [options]
+ * @param {string} [options.rootDir] - Директорія, за межі якої запис не може вийти.
+ * @param {boolean} [options.followSymlinks=false] - Дозволити запис через симлінки, що ведуть всередину `rootDir`.
+ * @param {import('./storage.js').StorageAdapter} [options.storage] - Сховище без `lstat` перевіряється лише
+ *   лексично: симлінків у ньому немає.
+ * @returns {(targetPath: string) => Promise<void>} Кидає `UnsafePathError`, якщо шлях небезпечний.
+ */
+function createPathGuard({ rootDir, followSymlinks = false, storage = localStorage } = {}) {
+  let realRoot
+
+  return async function assertSafePath(targetPath) {
+    const details = { paths: { destination: targetPath } }
+
+    if (rootDir === undefined) {
+      const stats = await lstatIfExists(targetPath, storage)
+      if (stats?.isSymbolicLink() && !followSymlinks) {
+        throw new UnsafePathError(`Refusing to write through symlink "${targetPath}"`, details)
+      }
+      return
+    }
+
+    const rootPath = resolve(rootDir)
+    const absolutePath = resolve(targetPath)
+    if (!isInside(rootPath, absolutePath)) {
+      throw new UnsafePathError(`Path "${targetPath}" is outside of "${rootDir}"`, details)
+    }
+
+    // Сам корінь може бути симлінком (наприклад, /tmp у macOS), тому цілі симлінків порівнюємо з його realpath
+    realRoot ??= storage.realpath ? await storage.realpath(rootPath) : rootPath
+    let currentPath = rootPath
+    for (const segment of relative(rootPath, absolutePath).split(sep).filter(Boolean)) {
+      currentPath = join(currentPath, segment)
+      const stats = await lstatIfExists(currentPath, storage)
+      if (!stats) {
+        // Решту шляху буде створено заново, симлінків там бути не може
+        return
+      }
+      if (!stats.isSymbolicLink()) {
+        continue
+      }
+      if (!followSymlinks) {
+        throw new UnsafePathError(`Path "${targetPath}" goes through symlink "${currentPath}"`, details)
+      }
+      const linkTarget = await storage.realpath(currentPath).catch(() => null)
+      if (!linkTarget || !isInside(realRoot, linkTarget)) {
+        throw new UnsafePathError(`Symlink "${currentPath}" points outside of "${rootDir}"`, details)
+      }
+    }
+  }
+}
+
+export { createPathGuard }
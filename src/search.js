@@ -0,0 +1,188 @@
+import { createInterface } from 'readline'
+import { PassThrough } from 'stream'
+import { getAlgorithm } from './algorithms.js'
+import { openEncryptedArchive } from './encryption.js'
+import { step, throwIfAborted } from './errors.js'
+import { pipelineStreams, resolveDecompressionAlgorithm } from './io.js'
+import { localStorage } from './storage.js'
+import { createDecompressionStreams } from './streams.js'
+import { explainVolumeError, openVolumeSet } from './volumes.js'
+
+/*
+ * Читання та пошук у компресованих файлах без розпакування на диск, як `zcat` і `zgrep`.
+ *
+ * Дані йдуть тим самим ланцюжком, що й у `decompressFile` (визначення формату, ліміти, класифікація помилок),
+ * лише замість тимчасового файлу — рядки в пам'яті. Багаточленні Gzip-архіви декодер читає до кінця, а набори
+ * томів і зашифровані архіви відкриваються так само, як у `verifyArchive`.
+ */
+
+/**
+ * @typedef {object} ReadLinesOptions
+ * @property {'gzip' | 'deflate' | 'brotli' | 'zstd'} [algorithm] - Примусовий алгоритм замість автовизначення.
+ * @property {number} [windowBits] - Розмір вікна декомпресора.
+ * @property {number} [maxOutputBytes] - Ліміти розпакування, як у `decompressFile`.
+ * @property {number} [maxRatio]
+ * @property {string} [password] - Пароль зашифрованого архіву (`.enc`).
+ * @property {import('./storage.js').StorageAdapter} [storage] - Сховище архіву.
+ * @property {AbortSignal} [signal] - Скасовує читання.
+ */
+
+/**
+ * @typedef {object} SearchMatch
+ * @property {string} path - Архів, у якому знайдено рядок.
+ * @property {number} lineNumber - Номер рядка, від 1.
+ * @property {string} line - Сам рядок без символу кінця рядка.
+ * @property {string[]} before - До `context` рядків перед збігом.
+ * @property {string[]} after - До `context` рядків після збігу.
+ */
+
+/**
+ * Читає рядки розпакованого вмісту архіву (UTF-8; `\n` та `\r\n`).
+ * Якщо перервати ітерацію (`break`), читання архіву зупиняється.
+ *
+ * @param {string} compressedFilePath - Шлях до архіву, маніфесту томів або першого тому.
+ * @param {ReadLinesOptions} [options]
+ * @returns {AsyncGenerator<string>}
+ * @throws {UnsupportedAlgorithmError} Якщо алгоритм невідомий або недоступний у рантаймі.
+ * @throws {SourceNotFoundError | AccessDeniedError | SourceReadError} Якщо архів неможливо прочитати.
+ * @throws {CorruptArchiveError} Якщо архів пошкоджений або має інший формат.
+ * @throws {IntegrityError} Якщо маніфест томів пошкоджений або том відсутній чи змінений.
+ * @throws {DecryptionError} Якщо архів зашифрований, а пароль не вказано або він неправильний.
+ * @throws {DecompressionLimitError} Якщо перевищено `maxOutputBytes` або `maxRatio`.
+ * @throws {AbortedError} Якщо читання скасовано через `signal`.
+ *
+ * @example
+ * for await (const line of readLines('./logs/app.log.gz')) {
+ *   console.log(line)
+ * }
+ */
+async function* readLines(
+  compressedFilePath,
+  { algorithm, windowBits, maxOutputBytes, maxRatio, password, storage = localStorage, signal } = {}
+) {
+  const context = { operation: 'decompress', paths: { source: compressedFilePath } }
+  throwIfAborted(signal, context)
+
+  await step('source', context, () => storage.access(compressedFilePath))
+  const volumeSet = await openVolumeSet(compressedFilePath, context, storage)
+  const archivePath = volumeSet?.archivePath ?? compressedFilePath
+  const archiveStorage = volumeSet?.storage ?? storage
+  const encrypted = await step('source', context, () =>
+    openEncryptedArchive(archivePath, password, context, archiveStorage)
+  )
+  const detected = encrypted
+    ? encrypted.algorithm
+    : await step('source', context, () => resolveDecompressionAlgorithm(archivePath, algorithm, archiveStorage))
+  await step('codec', context, () => getAlgorithm(detected))
+
+  const output = new PassThrough()
+  const finished = pipelineStreams(
+    () => [
+      archiveStorage.createReadStream(archivePath),
+      ...(encrypted ? [encrypted.createDecryptor()] : []),
+      ...createDecompressionStreams({ algorithm: detected, windowBits, maxOutputBytes, maxRatio })
+    ],
+    () => output,
+    { context, signal }
+  ).catch(async (error) => {
+    throw await explainVolumeError(volumeSet, error)
+  })
+  // Помилку ланцюжка кидаємо нижче вже класифікованою; після `break` вона очікувана і не має бути unhandled
+  finished.catch(() => {})
+
+  try {
+    for await (const line of createInterface({ input: output, crlfDelay: Infinity })) {
+      yield line
+    }
+  } catch (error) {
+    await finished
+    throw error
+  } finally {
+    output.destroy()
+  }
+  await finished
+}
+
+/**
+ * @param {string | RegExp} pattern
+ * @returns {(line: string) => boolean}
+ * @throws {TypeError}
+ */
+function createMatcher(pattern) {
+  if (typeof pattern === 'string') {
+    return (line) => line.includes(pattern)
+  }
+  if (pattern instanceof RegExp) {
+    // Без `g` та `y`: інакше `test` зберігає `lastIndex` між рядками
+    const regExp = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''))
+    return (line) => regExp.test(line)
+  }
+  throw new TypeError(`Invalid search pattern "${pattern}": expected a string or a RegExp`)
+}
+
+/**
+ * @param {string} name
+ * @param {number | undefined} value
+ * @throws {TypeError}
+ */
+function assertCount(name, value) {
+  if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+    throw new TypeError(`Invalid ${name} "${value}"`)
+  }
+}
+
+/**
+ * Шукає рядки в компресованих файлах, як `zgrep`: файли читаються по черзі, збіги віддаються одразу.
+ * Рядковий `pattern` шукається як підрядок, `RegExp` — як є.
+ *
+ * @param {string | string[]} compressedFilePaths - Архів або список архівів будь-якого з підтримуваних форматів.
+ * @param {string | RegExp} pattern
+ * @param {ReadLinesOptions & { context?: number, maxMatches?: number }} [options] - Як у `readLines`, а також:
+ *   `context` — кількість рядків до й після збігу (як `grep -C`, типово 0); `maxMatches` — максимум збігів
+ *   у кожному файлі (як `grep -m`), після якого читання файлу зупиняється.
+ * @returns {AsyncGenerator<SearchMatch>}
+ * @throws {TypeError} Якщо `pattern`, `context` або `maxMatches` некоректні.
+ * @throws {CompressionError} Як у `readLines`: пошук зупиняється на першому файлі, який неможливо прочитати.
+ *
+ * @example
+ * for await (const { path, lineNumber, line } of searchCompressed(['./logs/a.log.gz', './logs/b.log.br'], /ERROR/)) {
+ *   console.log(`${path}:${lineNumber}: ${line}`)
+ * }
+ */
+async function* searchCompressed(compressedFilePaths, pattern, { context = 0, maxMatches, ...readOptions } = {}) {
+  const matches = createMatcher(pattern)
+  assertCount('context', context)
+  assertCount('maxMatches', maxMatches)
+
+  for (const path of [compressedFilePaths].flat()) {
+    const before = []
+    // Збіги, що ще чекають на рядки контексту після себе
+    const pending = []
+    let matchCount = 0
+    let lineNumber = 0
+
+    for await (const line of readLines(path, readOptions)) {
+      lineNumber++
+      for (const match of pending) {
+        match.after.push(line)
+      }
+      if (matchCount !== maxMatches && matches(line)) {
+        matchCount++
+        pending.push({ path, lineNumber, line, before: [...before], after: [] })
+      }
+      while (pending.length > 0 && pending[0].after.length === context) {
+        yield pending.shift()
+      }
+      if (matchCount === maxMatches && pending.length === 0) {
+        break
+      }
+      before.push(line)
+      if (before.length > context) {
+        before.shift()
+      }
+    }
+    yield* pending
+  }
+}
+
+export { readLines, searchCompressed }
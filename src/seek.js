@@ -0,0 +1,227 @@
+import { Readable, Transform, Writable } from 'stream'
+import { IntegrityError, step, throwIfAborted } from './errors.js'
+import { pipelineStreams, writeFileAtomically } from './io.js'
+import { localStorage } from './storage.js'
+import { createDecompressionStreams } from './streams.js'
+
+/*
+ * Довільний доступ до вмісту Gzip-архівів через індекс переходів.
+ *
+ * Архів з індексом складається з незалежних членів Gzip (як у паралельному режимі), а поруч лежить
+ * `<архів>.idx` — JSON з таблицею зсувів: де в архіві починається кожен член і з якого байта оригіналу.
+ * `readRange` читає й розпаковує лише члени, що перекривають потрібний діапазон.
+ */
+
+const SEEK_INDEX_EXTENSION = '.idx'
+
+const SEEK_INDEX_VERSION = 1
+
+/**
+ * @typedef {object} SeekIndex
+ * @property {number} version - Версія формату індексу.
+ * @property {number} size - Розмір оригіналу в байтах.
+ * @property {number} compressedSize - Розмір архіву в байтах.
+ * @property {Array<[number, number]>} members - Для кожного члена: зсув в архіві та зсув в оригіналі.
+ */
+
+/**
+ * Прохідний стрім, що будує індекс за членами Gzip. Ставиться останнім у ланцюжку компресії, а межі членів
+ * отримує від компресора через `recordMember` (див. `createMemberwiseGzip`).
+ *
+ * Переписувач заголовка подовжує лише перший член, тож зсуви решти членів виправляються на різницю між
+ * байтами, що пройшли через стрім, і сумою розмірів членів.
+ *
+ * @returns {Transform & { index: SeekIndex, recordMember: (member: import('./parallel.js').GzipMember) => void }}
+ */
+function createSeekIndexRecorder() {
+  const index = { version: SEEK_INDEX_VERSION, size: 0, compressedSize: 0, members: [] }
+  let membersSize = 0
+  const recorder = new Transform({
+    transform(chunk, encoding, callback) {
+      index.compressedSize += chunk.length
+      callback(null, chunk)
+    },
+    flush(callback) {
+      const headerGrowth = index.compressedSize - membersSize
+      for (const member of index.members.slice(1)) {
+        member[0] += headerGrowth
+      }
+      callback()
+    }
+  })
+  recorder.index = index
+  recorder.recordMember = ({ size, compressedSize }) => {
+    index.members.push([membersSize, index.size])
+    membersSize += compressedSize
+    index.size += size
+  }
+  return recorder
+}
+
+/**
+ * Записує індекс поруч з архівом.
+ *
+ * @param {string} archivePath
+ * @param {SeekIndex} index
+ * @param {import('./storage.js').StorageAdapter} [storage] - Сховище архіву.
+ * @returns {Promise<string>} Шлях до індексу.
+ */
+async function writeSeekIndex(archivePath, index, storage = localStorage) {
+  const indexPath = `${archivePath}${SEEK_INDEX_EXTENSION}`
+  await writeFileAtomically(indexPath, `${JSON.stringify(index)}\n`, storage)
+  return indexPath
+}
+
+/**
+ * @param {string} content
+ * @returns {SeekIndex | null} `null`, якщо вміст не схожий на індекс.
+ */
+function parseSeekIndex(content) {
+  let index
+  try {
+    index = JSON.parse(content)
+  } catch {
+    return null
+  }
+  const isValid =
+    index?.version === SEEK_INDEX_VERSION &&
+    Number.isSafeInteger(index.size) &&
+    Number.isSafeInteger(index.compressedSize) &&
+    Array.isArray(index.members) &&
+    index.members.length > 0 &&
+    index.members.every(
+      (member, position) =>
+        Array.isArray(member) &&
+        member.every(Number.isSafeInteger) &&
+        (position === 0 ? member[0] === 0 && member[1] === 0 : member[0] > index.members[position - 1][0])
+    )
+  return isValid ? index : null
+}
+
+/**
+ * Читає індекс архіву й перевіряє, що він описує саме цей архів.
+ *
+ * @param {string} archivePath
+ * @param {{ operation: string, paths: object }} context
+ * @param {import('./storage.js').StorageAdapter} storage
+ * @returns {Promise<SeekIndex>}
+ * @throws {IntegrityError} Якщо індексу немає, він пошкоджений або застарів.
+ */
+async function requireSeekIndex(archivePath, context, storage) {
+  const indexPath = `${archivePath}${SEEK_INDEX_EXTENSION}`
+  const content = await step('source', context, async () => {
+    try {
+      return (await storage.readFile(indexPath)).toString('utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null
+      }
+      throw error
+    }
+  })
+  if (content === null) {
+    throw new IntegrityError(`No seek index found for "${archivePath}"`, context)
+  }
+  const index = parseSeekIndex(content)
+  if (!index) {
+    throw new IntegrityError(`Malformed seek index "${indexPath}"`, context)
+  }
+  const { size } = await step('source', context, () => storage.stat(archivePath))
+  if (size !== index.compressedSize) {
+    throw new IntegrityError(`Seek index "${indexPath}" does not match "${archivePath}"`, context)
+  }
+  return index
+}
+
+/**
+ * Номер останнього члена, що починається не пізніше `position` в оригіналі.
+ *
+ * @param {Array<[number, number]>} members
+ * @param {number} position
+ * @returns {number}
+ */
+function findMember(members, position) {
+  let low = 0
+  let high = members.length - 1
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2)
+    if (members[middle][1] <= position) {
+      low = middle
+    } else {
+      high = middle - 1
+    }
+  }
+  return low
+}
+
+/**
+ * @param {number} start
+ * @param {number} length
+ * @throws {TypeError}
+ */
+function assertRange(start, length) {
+  if (!Number.isSafeInteger(start) || start < 0) {
+    throw new TypeError(`Invalid range start "${start}"`)
+  }
+  if (!Number.isSafeInteger(length) || length < 0) {
+    throw new TypeError(`Invalid range length "${length}"`)
+  }
+}
+
+/**
+ * Читає діапазон байтів оригіналу з архіву, стиснутого з `seekIndex: true`, розпаковуючи лише члени,
+ * що його перекривають (у гіршому разі — по одному блоку зайвих даних з кожного боку).
+ *
+ * @param {string} compressedFilePath - Шлях до архіву.
+ * @param {number} start - Зсув в оригіналі.
+ * @param {number} length - Кількість байтів; за кінцем оригіналу діапазон обрізається, як у `fs.read`.
+ * @param {object} [options]
+ * @param {import('./storage.js').StorageAdapter} [options.storage] - Сховище архіву та індексу.
+ * @param {AbortSignal} [options.signal] - Скасовує читання.
+ * @returns {Promise<Buffer>}
+ * @throws {TypeError} Якщо `start` або `length` не є невід'ємними цілими.
+ * @throws {IntegrityError} Якщо індексу немає, він пошкоджений або не відповідає архіву.
+ * @throws {SourceNotFoundError | AccessDeniedError | SourceReadError} Якщо архів неможливо прочитати.
+ * @throws {CorruptArchiveError} Якщо члени архіву пошкоджені.
+ * @throws {AbortedError} Якщо читання скасовано через `signal`.
+ *
+ * @example
+ * await compressFile('./logs/app.log', { seekIndex: true })
+ * const slice = await readRange('./logs/app.log.gz', 5 * 1024 * 1024 * 1024, 64 * 1024)
+ */
+async function readRange(compressedFilePath, start, length, { storage = localStorage, signal } = {}) {
+  assertRange(start, length)
+  const context = { operation: 'decompress', paths: { source: compressedFilePath } }
+  throwIfAborted(signal, context)
+
+  const { members, size, compressedSize } = await requireSeekIndex(compressedFilePath, context, storage)
+  const end = Math.min(start + length, size)
+  if (start >= end) {
+    return Buffer.alloc(0)
+  }
+  const first = findMember(members, start)
+  const last = findMember(members, end - 1)
+  const [from, firstStart] = members[first]
+  const [to, lastEnd] = members[last + 1] ?? [compressedSize, size]
+
+  const compressed = await step('source', context, () => storage.read(compressedFilePath, from, to - from))
+  const chunks = []
+  await pipelineStreams(
+    () => [
+      Readable.from([compressed], { objectMode: false }),
+      // Розмір розпакованих членів відомий з індексу, тож він і є лімітом
+      ...createDecompressionStreams({ algorithm: 'gzip', maxOutputBytes: lastEnd - firstStart })
+    ],
+    () =>
+      new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(chunk)
+          callback()
+        }
+      }),
+    { context, signal }
+  )
+  return Buffer.concat(chunks).subarray(start - firstStart, end - firstStart)
+}
+
+export { SEEK_INDEX_EXTENSION, createSeekIndexRecorder, readRange, writeSeekIndex }
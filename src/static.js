@@ -0,0 +1,507 @@
+import { createReadStream, promises as fsPromises } from 'fs'
+import { createServer } from 'http'
+import { extname, isAbsolute, join, relative, resolve, sep } from 'path'
+import { pipeline } from 'stream/promises'
+import { algorithmFromExtension, getAlgorithm } from './algorithms.js'
+import { compressMany } from './batch.js'
+import { createPathFilter } from './glob.js'
+import { compressStream } from './streams.js'
+
+/*
+ * Роздача статики з попередньо стиснутими копіями, як `gzip_static` / `brotli_static` у nginx.
+ *
+ * `precompressDirectory` кладе поруч з файлами `app.js.gz` та `app.js.br`, а обробник запитів обирає представлення
+ * за `Accept-Encoding`: свіжу стиснуту копію, компресію на льоту через `compressStream` або сам файл.
+ * Кожне представлення має власний `ETag`, а `Vary: Accept-Encoding` не дає кешам їх переплутати.
+ * Діапазони (`Range`) віддаються лише з нестиснутого файлу.
+ */
+
+// Назви алгоритмів у `Content-Encoding`, у порядку переваги сервера
+const CONTENT_CODINGS = { brotli: 'br', zstd: 'zstd', gzip: 'gzip', deflate: 'deflate' }
+
+const DEFAULT_PRECOMPRESSED = ['brotli', 'gzip']
+
+// Офлайн можна стискати максимально, а на льоту — так, щоб не гальмувати відповідь
+const PRECOMPRESS_LEVELS = { brotli: 11, zstd: 19, gzip: 9, deflate: 9 }
+
+const ON_THE_FLY_LEVELS = { brotli: 4, zstd: 3, gzip: 6, deflate: 6 }
+
+// Менші файли не варто стискати: заголовки й кадри кодека з'їдають виграш
+const DEFAULT_MIN_SIZE = 1024
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.wasm': 'application/wasm',
+  '.ico': 'image/x-icon',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.pdf': 'application/pdf'
+}
+
+const COMPRESSIBLE_TYPE = /^text\/|^application\/(json|xml|wasm)|^image\/svg\+xml|^image\/x-icon/
+
+/**
+ * @typedef {object} StaticOptions
+ * @property {string} [index='index.html'] - Файл, що віддається для директорії.
+ * @property {Array<'gzip' | 'deflate' | 'brotli' | 'zstd'>} [precompressed=['brotli', 'gzip']] - Які стиснуті копії
+ *   шукати поруч з файлом. Копія, старша за файл, ігнорується.
+ * @property {boolean} [compress=true] - Стискати на льоту стисливі типи, якщо свіжої копії немає.
+ * @property {number} [minSize=1024] - Менші файли на льоту не стискаються.
+ * @property {number} [maxAge=0] - `Cache-Control: max-age` у секундах.
+ */
+
+/**
+ * @param {string} filePath
+ * @returns {string}
+ */
+function getContentType(filePath) {
+  return MIME_TYPES[extname(filePath).toLowerCase()] ?? 'application/octet-stream'
+}
+
+/**
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isCompressible(filePath) {
+  return COMPRESSIBLE_TYPE.test(getContentType(filePath))
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isAvailable(name) {
+  try {
+    getAlgorithm(name)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Обирає кодування за `Accept-Encoding`: найбільша вага, а за рівних — перше в `codings`.
+ * `identity` прийнятне, доки його явно не заборонено (`identity;q=0` або `*;q=0`).
+ *
+ * @param {string | undefined} header
+ * @param {string[]} codings - Доступні кодування в порядку переваги, без `identity`.
+ * @returns {string | null} Кодування, `identity` або `null`, якщо прийнятного немає.
+ */
+function negotiateEncoding(header, codings) {
+  const weights = new Map()
+  for (const part of (header ?? '').split(',')) {
+    const [token, ...params] = part.trim().toLowerCase().split(';')
+    if (token) {
+      const quality = params.map((param) => param.trim()).find((param) => param.startsWith('q='))
+      weights.set(token, quality ? Number(quality.slice(2)) || 0 : 1)
+    }
+  }
+  const weightOf = (coding) =>
+    weights.get(coding) ?? (coding === 'identity' ? (weights.get('*') ?? 1) : (weights.get('*') ?? 0))
+
+  let best = null
+  let bestWeight = 0
+  for (const coding of [...codings, 'identity']) {
+    if (weightOf(coding) > bestWeight) {
+      best = coding
+      bestWeight = weightOf(coding)
+    }
+  }
+  return best
+}
+
+/**
+ * Розбирає `Range` з одним діапазоном байтів. Кілька діапазонів не підтримуються — тоді віддається весь файл.
+ *
+ * @param {string} header
+ * @param {number} size
+ * @returns {{ start: number, end: number } | 'unsatisfiable' | null}
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim())
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null
+  }
+  const [start, end] =
+    match[1] === ''
+      ? [Math.max(size - Number(match[2]), 0), size - 1]
+      : [Number(match[1]), Math.min(match[2] === '' ? size - 1 : Number(match[2]), size - 1)]
+  return start <= end && start < size ? { start, end } : 'unsatisfiable'
+}
+
+/**
+ * @param {import('fs').Stats} stats
+ * @param {string} [coding]
+ * @returns {string}
+ */
+function createEtag({ size, mtimeMs }, coding = 'identity') {
+  const tag = `${size.toString(16)}-${Math.floor(mtimeMs).toString(16)}`
+  return coding === 'identity' ? `"${tag}"` : `"${tag}-${coding}"`
+}
+
+/**
+ * @param {import('http').IncomingMessage} request
+ * @param {string} etag
+ * @param {import('fs').Stats} stats
+ * @returns {boolean}
+ */
+function isNotModified(request, etag, stats) {
+  const ifNoneMatch = request.headers['if-none-match']
+  if (ifNoneMatch) {
+    return ifNoneMatch === '*' || ifNoneMatch.split(',').some((tag) => tag.trim().replace(/^W\//, '') === etag)
+  }
+  const ifModifiedSince = Date.parse(request.headers['if-modified-since'] ?? '')
+  return !Number.isNaN(ifModifiedSince) && Math.floor(stats.mtimeMs / 1000) * 1000 <= ifModifiedSince
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<import('fs').Stats | null>}
+ */
+async function statIfExists(filePath) {
+  try {
+    return await fsPromises.stat(filePath)
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * Чи лежить файл усередині `rootDir` після розкриття симлінків.
+ *
+ * @param {string} rootDir - Канонічний шлях кореня.
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function isInsideRoot(rootDir, filePath) {
+  const relativePath = relative(rootDir, await fsPromises.realpath(filePath))
+  return relativePath !== '..' && !relativePath.startsWith(`..${sep}`) && !isAbsolute(relativePath)
+}
+
+/**
+ * Перетворює URL запиту на файл усередині `rootDir`. Приховані сегменти (`.git`, тимчасові файли),
+ * вихід за корінь через `..`, закодований `/` чи симлінк дають `null`.
+ *
+ * @param {string} rootDir - Канонічний шлях кореня.
+ * @param {string} url
+ * @param {string} index
+ * @returns {Promise<{ filePath: string, stats: import('fs').Stats } | null>}
+ */
+async function resolveFile(rootDir, url, index) {
+  let pathname
+  try {
+    pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname)
+  } catch {
+    return null
+  }
+  const segments = pathname.split('/').filter(Boolean)
+  if (pathname.includes('\0') || segments.some((segment) => segment.startsWith('.') || segment.includes(sep))) {
+    return null
+  }
+
+  let filePath = join(rootDir, ...segments)
+  let stats = await statIfExists(filePath)
+  if (stats?.isDirectory()) {
+    filePath = join(filePath, index)
+    stats = await statIfExists(filePath)
+  }
+  if (!stats?.isFile()) {
+    return null
+  }
+  return (await isInsideRoot(rootDir, filePath)) ? { filePath, stats } : null
+}
+
+/**
+ * Створює обробник HTTP-запитів, що роздає файли з `rootDir` (лише `GET` і `HEAD`).
+ * Сумісний з `http.createServer` та з middleware Express/Connect: якщо передано `next`, відсутній файл
+ * і помилки передаються далі замість відповіді 404/500.
+ *
+ * @param {string} rootDir
+ * @param {StaticOptions} [options]
+ * @returns {(request: import('http').IncomingMessage, response: import('http').ServerResponse,
+ *   next?: (error?: Error) => void) => Promise<void>}
+ * @throws {UnsupportedAlgorithmError} Якщо в `precompressed` невідомий алгоритм.
+ *
+ * @example
+ * app.use('/assets', createStaticHandler('./public', { maxAge: 31536000 }))
+ */
+function createStaticHandler(
+  rootDir,
+  {
+    index = 'index.html',
+    precompressed = DEFAULT_PRECOMPRESSED,
+    compress = true,
+    minSize = DEFAULT_MIN_SIZE,
+    maxAge = 0
+  } = {}
+) {
+  const sidecars = precompressed.map((algorithm) => ({ algorithm, extension: getAlgorithm(algorithm).extension }))
+  const onTheFly = compress ? Object.keys(CONTENT_CODINGS).filter(isAvailable) : []
+  const canonicalRoot = fsPromises.realpath(resolve(rootDir))
+  // Не даємо невдалому `realpath` стати unhandled rejection до першого запиту
+  canonicalRoot.catch(() => {})
+
+  /**
+   * Свіжі стиснуті копії та кодування на льоту, у порядку переваги. Копія, що через симлінк веде за межі кореня,
+   * ігнорується так само, як і сам файл.
+   *
+   * @returns {Promise<Map<string, { algorithm: string, filePath?: string, stats?: import('fs').Stats }>>}
+   */
+  async function getRepresentations(root, filePath, stats) {
+    const representations = new Map()
+    for (const { algorithm, extension } of sidecars) {
+      const sidecarStats = await statIfExists(`${filePath}${extension}`)
+      if (
+        sidecarStats?.isFile() &&
+        sidecarStats.mtimeMs >= stats.mtimeMs &&
+        (await isInsideRoot(root, `${filePath}${extension}`))
+      ) {
+        representations.set(CONTENT_CODINGS[algorithm], {
+          algorithm,
+          filePath: `${filePath}${extension}`,
+          stats: sidecarStats
+        })
+      }
+    }
+    if (stats.size >= minSize && isCompressible(filePath)) {
+      for (const algorithm of onTheFly) {
+        if (!representations.has(CONTENT_CODINGS[algorithm])) {
+          representations.set(CONTENT_CODINGS[algorithm], { algorithm })
+        }
+      }
+    }
+    return representations
+  }
+
+  async function serve(request, response, next) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      response.writeHead(405, { Allow: 'GET, HEAD' }).end()
+      return
+    }
+    const root = await canonicalRoot
+    const file = await resolveFile(root, request.url, index)
+    if (!file) {
+      if (next) {
+        next()
+      } else {
+        response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not Found')
+      }
+      return
+    }
+    const { filePath, stats } = file
+
+    response.setHeader('Content-Type', getContentType(filePath))
+    response.setHeader('Last-Modified', stats.mtime.toUTCString())
+    response.setHeader('Accept-Ranges', 'bytes')
+    response.setHeader('Vary', 'Accept-Encoding')
+    response.setHeader('Cache-Control', `public, max-age=${maxAge}`)
+
+    const range = request.headers.range
+    const ifRange = request.headers['if-range']
+    if (range && (!ifRange || ifRange === createEtag(stats))) {
+      // Умовний запит перевіряється до діапазону: частини віддаються з нестиснутого файлу, тож і тег — його
+      if (isNotModified(request, createEtag(stats), stats)) {
+        response.setHeader('ETag', createEtag(stats))
+        response.writeHead(304).end()
+        return
+      }
+      const parsed = parseRange(range, stats.size)
+      if (parsed === 'unsatisfiable') {
+        response.writeHead(416, { 'Content-Range': `bytes */${stats.size}` }).end()
+        return
+      }
+      if (parsed) {
+        response.setHeader('ETag', createEtag(stats))
+        response.writeHead(206, {
+          'Content-Range': `bytes ${parsed.start}-${parsed.end}/${stats.size}`,
+          'Content-Length': parsed.end - parsed.start + 1
+        })
+        await send(request, response, () => [createReadStream(filePath, parsed)])
+        return
+      }
+    }
+
+    const representations = await getRepresentations(root, filePath, stats)
+    const coding = negotiateEncoding(request.headers['accept-encoding'], [...representations.keys()])
+    if (!coding) {
+      response.writeHead(406, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not Acceptable')
+      return
+    }
+    const representation = representations.get(coding)
+    const etag = createEtag(representation?.stats ?? stats, coding)
+    response.setHeader('ETag', etag)
+    if (isNotModified(request, etag, stats)) {
+      response.writeHead(304).end()
+      return
+    }
+
+    if (coding === 'identity') {
+      response.writeHead(200, { 'Content-Length': stats.size })
+      await send(request, response, () => [createReadStream(filePath)])
+    } else if (representation.filePath) {
+      response.writeHead(200, { 'Content-Encoding': coding, 'Content-Length': representation.stats.size })
+      await send(request, response, () => [createReadStream(representation.filePath)])
+    } else {
+      // Розмір заздалегідь невідомий, тож відповідь іде частинами
+      response.writeHead(200, { 'Content-Encoding': coding })
+      await send(request, response, () => [
+        createReadStream(filePath),
+        compressStream({ algorithm: representation.algorithm, level: ON_THE_FLY_LEVELS[representation.algorithm] })
+      ])
+    }
+  }
+
+  /**
+   * @param {import('http').IncomingMessage} request
+   * @param {import('http').ServerResponse} response
+   * @param {() => import('stream').Stream[]} createStreams - Стріми створюються лише для `GET`.
+   */
+  async function send(request, response, createStreams) {
+    if (request.method === 'HEAD') {
+      response.end()
+      return
+    }
+    try {
+      await pipeline(...createStreams(), response)
+    } catch {
+      // Заголовки вже надіслано: клієнт пішов або файл став недоступним, лишається обірвати відповідь
+      response.destroy()
+    }
+  }
+
+  return async (request, response, next) => {
+    try {
+      await serve(request, response, next)
+    } catch (error) {
+      if (next) {
+        next(error)
+      } else if (response.headersSent) {
+        response.destroy()
+      } else {
+        response.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Internal Server Error')
+      }
+    }
+  }
+}
+
+/**
+ * Створює HTTP-сервер над `createStaticHandler`. Сервер ще не слухає порт.
+ *
+ * @param {string} rootDir
+ * @param {StaticOptions} [options]
+ * @returns {import('http').Server}
+ *
+ * @example
+ * await precompressDirectory('./public')
+ * createStaticServer('./public', { maxAge: 3600 }).listen(8080)
+ */
+function createStaticServer(rootDir, options) {
+  return createServer(createStaticHandler(rootDir, options))
+}
+
+/**
+ * Знаходить файли для попередньої компресії: стисливі за типом (або всі, що відповідають `include`),
+ * не менші за `minSize`, без прихованих файлів і самих архівів.
+ *
+ * @param {string} rootDir
+ * @param {{ include?: string | string[], exclude?: string | string[], minSize: number }} options
+ * @returns {Promise<Array<{ filePath: string, stats: import('fs').Stats }>>}
+ */
+async function findAssets(rootDir, { include, exclude, minSize }) {
+  const filter = createPathFilter({ include, exclude })
+  const assets = []
+
+  async function walk(relativeDir) {
+    for (const entry of await fsPromises.readdir(join(rootDir, relativeDir), { withFileTypes: true })) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name
+      if (entry.name.startsWith('.') || !filter(relativePath)) {
+        continue
+      }
+      if (entry.isDirectory()) {
+        await walk(relativePath)
+      } else if (entry.isFile() && !algorithmFromExtension(entry.name) && (include || isCompressible(entry.name))) {
+        const filePath = join(rootDir, relativePath)
+        const stats = await fsPromises.stat(filePath)
+        if (stats.size >= minSize) {
+          assets.push({ filePath, stats })
+        }
+      }
+    }
+  }
+
+  await walk('')
+  return assets
+}
+
+/**
+ * Створює поруч з файлами директорії стиснуті копії (`app.js.br`, `app.js.gz`) для `createStaticHandler`.
+ * Копії, новіші за свій файл, не перестискаються, тож крок можна запускати при кожній збірці.
+ *
+ * @param {string} rootDir
+ * @param {object} [options]
+ * @param {Array<'gzip' | 'deflate' | 'brotli' | 'zstd'>} [options.algorithms=['brotli', 'gzip']]
+ * @param {string | string[]} [options.include] - Glob-шаблони файлів; типово — усі стисливі за типом
+ *   (HTML, CSS, JS, JSON, SVG...).
+ * @param {string | string[]} [options.exclude] - Glob-шаблони файлів і директорій, які треба пропустити.
+ * @param {number} [options.minSize=1024] - Менші файли не стискаються.
+ * @param {{ [algorithm: string]: number }} [options.levels] - Рівні компресії; типово максимальні.
+ * @param {number} [options.concurrency] - Скільки файлів стискати одночасно, як у `compressMany`.
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ [algorithm: string]: import('./batch.js').BatchReport }>} Звіт `compressMany` для кожного
+ *   алгоритму; у ньому лише файли, які довелося стиснути.
+ * @throws {UnsupportedAlgorithmError} Якщо алгоритм невідомий або недоступний у рантаймі.
+ *
+ * @example
+ * const { gzip, brotli } = await precompressDirectory('./public', { exclude: 'vendor' })
+ * console.log(`${gzip.totals.succeeded} gzip, ${brotli.totals.succeeded} brotli`)
+ */
+async function precompressDirectory(
+  rootDir,
+  { algorithms = DEFAULT_PRECOMPRESSED, include, exclude, minSize = DEFAULT_MIN_SIZE, levels, concurrency, signal } = {}
+) {
+  algorithms.forEach((algorithm) => getAlgorithm(algorithm))
+  const assets = await findAssets(rootDir, { include, exclude, minSize })
+  const reports = {}
+
+  for (const algorithm of algorithms) {
+    const { extension } = getAlgorithm(algorithm)
+    const stale = []
+    for (const { filePath, stats } of assets) {
+      const sidecarStats = await statIfExists(`${filePath}${extension}`)
+      if (!sidecarStats || sidecarStats.mtimeMs < stats.mtimeMs) {
+        stale.push(filePath)
+      }
+    }
+    reports[algorithm] = await compressMany(stale, {
+      algorithm,
+      level: levels?.[algorithm] ?? PRECOMPRESS_LEVELS[algorithm],
+      onConflict: 'overwrite',
+      preserveMetadata: false,
+      concurrency,
+      signal
+    })
+  }
+  return reports
+}
+
+export { createStaticHandler, createStaticServer, precompressDirectory }
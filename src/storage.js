@@ -0,0 +1,187 @@
+import { createReadStream, createWriteStream, promises as fsPromises } from 'fs'
+import { Readable, Writable } from 'stream'
+
+/*
+ * Адаптери сховища для файлових функцій.
+ *
+ * `compressFile` / `decompressFile` звертаються до файлів лише через адаптер, тож джерело й результат можуть жити
+ * на локальному диску, у пам'яті, в S3 (див. `s3.js`) або у власному сховищі — і навіть у різних.
+ * Помилки адаптер кидає у стилі `fs`, з `code` (`ENOENT`, `EACCES`, `EEXIST`...): з них будуються помилки
+ * з ієрархії `CompressionError`.
+ */
+
+/**
+ * Інтерфейс сховища. Шляхи — рядки у форматі самого сховища; ім'я тимчасового файлу будується поруч із результатом,
+ * тому `rename` у межах однієї «директорії» має бути дешевим або хоча б коректним.
+ *
+ * @typedef {object} StorageAdapter
+ * @property {(path: string) => Promise<void>} access - Відхиляється з `ENOENT`, якщо файлу немає.
+ * @property {(path: string) => Promise<{ size: number, mtime: Date, mode?: number }>} stat
+ * @property {(path: string, position: number, length: number) => Promise<Buffer>} read - Фрагмент файлу;
+ *   коротший за `length`, якщо файл закінчився.
+ * @property {(path: string) => Promise<Buffer>} readFile
+ * @property {(path: string, data: Buffer | string, options?: { exclusive?: boolean }) => Promise<void>} writeFile -
+ *   З `exclusive` відхиляється з `EEXIST`, якщо файл вже існує (так резервуються імена результатів).
+ * @property {(path: string) => import('stream').Readable} createReadStream - Помилки — подією `error`.
+ * @property {(path: string) => import('stream').Writable} createWriteStream - Створює або перезаписує файл.
+ * @property {(from: string, to: string) => Promise<void>} rename - Замінює `to`, якщо він існує.
+ * @property {(path: string) => Promise<void>} rm - Не відхиляється, якщо файлу немає.
+ * @property {(path: string, mode: number) => Promise<void>} [chmod] - Без нього права не відновлюються.
+ * @property {(path: string, mtime: Date) => Promise<void>} [utimes] - Без нього mtime не відновлюється.
+ * @property {(path: string) => Promise<import('fs').Stats>} [lstat] - Для перевірки симлінків у пісочниці;
+ *   сховища без симлінків його не мають.
+ * @property {(path: string) => Promise<string>} [realpath]
+ */
+
+/**
+ * Локальний диск через модуль `fs`.
+ *
+ * @returns {StorageAdapter}
+ */
+function createLocalStorage() {
+  return {
+    access: (path) => fsPromises.access(path),
+    stat: (path) => fsPromises.stat(path),
+    async read(path, position, length) {
+      const handle = await fsPromises.open(path, 'r')
+      try {
+        const buffer = Buffer.alloc(length)
+        const { bytesRead } = await handle.read(buffer, 0, length, position)
+        return buffer.subarray(0, bytesRead)
+      } finally {
+        await handle.close()
+      }
+    },
+    readFile: (path) => fsPromises.readFile(path),
+    async writeFile(path, data, { exclusive = false } = {}) {
+      if (!exclusive) {
+        await fsPromises.writeFile(path, data)
+        return
+      }
+      const handle = await fsPromises.open(path, 'wx')
+      try {
+        await handle.writeFile(data)
+      } finally {
+        await handle.close()
+      }
+    },
+    createReadStream: (path) => createReadStream(path),
+    createWriteStream: (path) => createWriteStream(path),
+    rename: (from, to) => fsPromises.rename(from, to),
+    rm: (path) => fsPromises.rm(path, { force: true }),
+    chmod: (path, mode) => fsPromises.chmod(path, mode),
+    utimes: (path, mtime) => fsPromises.utimes(path, mtime, mtime),
+    lstat: (path) => fsPromises.lstat(path),
+    realpath: (path) => fsPromises.realpath(path)
+  }
+}
+
+// Типове сховище файлових функцій
+const localStorage = createLocalStorage()
+
+/**
+ * Помилка у форматі `fs`, щоб `wrapError` класифікував її так само, як помилки диска.
+ *
+ * @param {'ENOENT' | 'EEXIST' | 'EACCES'} code
+ * @param {string} syscall
+ * @param {string} path
+ * @returns {Error & { code: string, syscall: string, path: string }}
+ */
+function createFsError(code, syscall, path) {
+  const descriptions = {
+    ENOENT: 'no such file or directory',
+    EEXIST: 'file already exists',
+    EACCES: 'permission denied'
+  }
+  return Object.assign(new Error(`${code}: ${descriptions[code]}, ${syscall} '${path}'`), { code, syscall, path })
+}
+
+/**
+ * Сховище в пам'яті: для тестів і коротких конвеєрів без диска. Директорій немає — шлях є просто ключем.
+ *
+ * @param {Record<string, Buffer | string>} [initialFiles] - Початковий вміст.
+ * @returns {StorageAdapter & { files: Map<string, { data: Buffer, mtime: Date, mode: number }> }}
+ *
+ * @example
+ * const storage = createMemoryStorage({ 'report.txt': 'hello' })
+ * const archivePath = await compressFile('report.txt', { storage })
+ * const archive = await storage.readFile(archivePath)
+ */
+function createMemoryStorage(initialFiles = {}) {
+  const files = new Map()
+
+  function put(path, data) {
+    files.set(path, { data: Buffer.from(data), mtime: new Date(), mode: files.get(path)?.mode ?? 0o644 })
+  }
+
+  function get(path, syscall) {
+    const file = files.get(path)
+    if (!file) {
+      throw createFsError('ENOENT', syscall, path)
+    }
+    return file
+  }
+
+  for (const [path, data] of Object.entries(initialFiles)) {
+    put(path, data)
+  }
+
+  return {
+    files,
+    async access(path) {
+      get(path, 'access')
+    },
+    async stat(path) {
+      const { data, mtime, mode } = get(path, 'stat')
+      return { size: data.length, mtime, mode }
+    },
+    async read(path, position, length) {
+      return Buffer.from(get(path, 'read').data.subarray(position, position + length))
+    },
+    async readFile(path) {
+      return Buffer.from(get(path, 'open').data)
+    },
+    async writeFile(path, data, { exclusive = false } = {}) {
+      if (exclusive && files.has(path)) {
+        throw createFsError('EEXIST', 'open', path)
+      }
+      put(path, data)
+    },
+    createReadStream(path) {
+      return Readable.from(
+        (function* () {
+          yield get(path, 'open').data
+        })(),
+        { objectMode: false }
+      )
+    },
+    createWriteStream(path) {
+      const chunks = []
+      return new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(chunk)
+          callback()
+        },
+        final(callback) {
+          put(path, Buffer.concat(chunks))
+          callback()
+        }
+      })
+    },
+    async rename(from, to) {
+      files.set(to, get(from, 'rename'))
+      files.delete(from)
+    },
+    async rm(path) {
+      files.delete(path)
+    },
+    async chmod(path, mode) {
+      get(path, 'chmod').mode = mode & 0o7777
+    },
+    async utimes(path, mtime) {
+      get(path, 'utime').mtime = mtime
+    }
+  }
+}
+
+export { createFsError, createLocalStorage, createMemoryStorage, localStorage }
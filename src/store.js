@@ -0,0 +1,312 @@
+import { promises as fsPromises } from 'fs'
+import { join, parse, relative, resolve } from 'path'
+import { ALGORITHMS, DEFAULT_ALGORITHM, getAlgorithm } from './algorithms.js'
+import { IntegrityError, SourceNotFoundError, step } from './errors.js'
+import { readSidecar } from './integrity.js'
+import { writeFileAtomically } from './io.js'
+import { hashContent } from './naming.js'
+import { compressFile, decompressFile } from './main.js'
+
+/*
+ * Сховище з адресацією за вмістом поверх `compressFile`: кожен унікальний вміст стискається один раз
+ * у `blobs/<перші два символи sha256>/<sha256>.gz` з супутником `.sha256`, а каталог `catalog.json` зберігає для
+ * кожного імені історію версій (хеш, розмір, час збереження). Повторне збереження незміненого файлу нічого не пише,
+ * а однаковий вміст різних файлів займає місце один раз.
+ *
+ * Каталог — джерело істини: блоби, на які він не посилається, прибирає `gc`. Операції одного сховища виконуються
+ * по черзі; кілька процесів не повинні змінювати одну директорію одночасно.
+ */
+
+const CATALOG_FILE = 'catalog.json'
+
+const CATALOG_VERSION = 1
+
+const BLOBS_DIR = 'blobs'
+
+// `<sha256><розширення алгоритму>` або його супутник
+const BLOB_PATTERN = /^([0-9a-f]{64})\.[a-z0-9]+(\.sha256)?$/
+
+/**
+ * @typedef {object} StoredVersion
+ * @property {number} version - Номер версії імені, від 1.
+ * @property {string} sha256 - sha256 вмісту.
+ * @property {number} size - Розмір оригіналу в байтах.
+ * @property {string} storedAt - Час збереження в ISO 8601.
+ * @property {string} blob - Шлях блобу відносно директорії сховища.
+ */
+
+/**
+ * @typedef {object} Store
+ * @property {(filePath: string, options?: { name?: string, signal?: AbortSignal }) =>
+ *   Promise<StoredVersion & { name: string, deduplicated: boolean }>} put - Зберігає файл як нову версію імені
+ *   (типово — шлях відносно поточної директорії). Якщо вміст не змінився з останньої версії, версія не додається;
+ *   `deduplicated` — чи знайшовся такий вміст у сховищі без компресії.
+ * @property {(name: string, options?: { version?: number, destination?: string,
+ *   onConflict?: string, signal?: AbortSignal }) => Promise<string>} get - Розпаковує версію (типово останню)
+ *   у `destination` (типово — за самим ім'ям), перевіряючи sha256; повертає шлях результату.
+ * @property {() => Promise<Array<{ name: string, versions: StoredVersion[] }>>} list - Імена та їхні версії.
+ * @property {(options?: { keepVersions?: number }) => Promise<{ removed: string[], freedBytes: number }>} gc -
+ *   Лишає в історії кожного імені не більше `keepVersions` останніх версій і видаляє блоби без посилань;
+ *   `removed` — їхні sha256.
+ */
+
+/**
+ * @param {string} path
+ * @returns {Promise<boolean>}
+ */
+async function exists(path) {
+  return fsPromises.access(path).then(
+    () => true,
+    () => false
+  )
+}
+
+/**
+ * @param {string} name
+ * @param {unknown} value
+ * @throws {TypeError}
+ */
+function assertPositiveInteger(name, value) {
+  if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+    throw new TypeError(`Invalid ${name} "${value}"`)
+  }
+}
+
+/**
+ * Створює сховище версій у директорії `dir`; директорія й каталог з'являються при першому `put`.
+ *
+ * @param {string} dir
+ * @param {object} [options]
+ * @param {'gzip' | 'deflate' | 'brotli' | 'zstd'} [options.algorithm='gzip'] - Алгоритм нових блобів; уже збережені
+ *   блоби читаються незалежно від нього.
+ * @param {number} [options.level] - Рівень компресії.
+ * @returns {Store}
+ * @throws {UnsupportedAlgorithmError} Якщо алгоритм невідомий або недоступний у рантаймі.
+ *
+ * @example
+ * const store = createStore('./archive')
+ * await store.put('./config/app.yml')
+ * // { name: 'config/app.yml', version: 1, sha256: '…', deduplicated: false, … }
+ * await store.get('config/app.yml', { version: 1, destination: './restored/app.yml' })
+ * await store.gc({ keepVersions: 10 })
+ */
+function createStore(dir, { algorithm = DEFAULT_ALGORITHM, level } = {}) {
+  getAlgorithm(algorithm)
+  const catalogPath = join(dir, CATALOG_FILE)
+
+  let catalog = null
+  let queue = Promise.resolve()
+
+  function enqueue(action) {
+    const result = queue.then(action)
+    queue = result.catch(() => {})
+    return result
+  }
+
+  /**
+   * @returns {Promise<{ version: number, files: Object<string, StoredVersion[]> }>}
+   * @throws {IntegrityError} Якщо каталог пошкоджений.
+   */
+  async function loadCatalog() {
+    if (catalog) {
+      return catalog
+    }
+    let content
+    try {
+      content = await fsPromises.readFile(catalogPath, 'utf8')
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error
+      }
+      catalog = { version: CATALOG_VERSION, files: {} }
+      return catalog
+    }
+    let parsed
+    try {
+      parsed = JSON.parse(content)
+    } catch {
+      parsed = null
+    }
+    if (parsed?.version !== CATALOG_VERSION || typeof parsed.files !== 'object' || parsed.files === null) {
+      throw new IntegrityError(`Malformed store catalog "${catalogPath}"`, { paths: { source: catalogPath } })
+    }
+    catalog = parsed
+    return catalog
+  }
+
+  async function saveCatalog() {
+    try {
+      await writeFileAtomically(catalogPath, `${JSON.stringify(catalog, null, 2)}\n`)
+    } catch (error) {
+      // Каталог у пам'яті вже змінено: наступна операція перечитає його з диска
+      catalog = null
+      throw error
+    }
+  }
+
+  /**
+   * Шукає блоб з цим вмістом: серед версій каталогу, а також блоб, що лишився без запису в каталозі після збою.
+   *
+   * @param {string} sha256
+   * @returns {Promise<string | null>} Шлях блобу відносно `dir`.
+   */
+  async function findBlob(sha256) {
+    const candidates = new Set([
+      ...Object.values(catalog.files)
+        .flat()
+        .filter((record) => record.sha256 === sha256)
+        .map(({ blob }) => blob),
+      getBlobPath(sha256)
+    ])
+    for (const blob of candidates) {
+      const blobPath = join(dir, blob)
+      if ((await exists(blobPath)) && (await readSidecar(blobPath))?.sha256 === sha256) {
+        return blob
+      }
+    }
+    return null
+  }
+
+  /**
+   * @param {string} sha256
+   * @returns {string}
+   */
+  function getBlobPath(sha256) {
+    return join(BLOBS_DIR, sha256.slice(0, 2), `${sha256}${ALGORITHMS[algorithm].extension}`)
+  }
+
+  /**
+   * @param {string} filePath
+   * @param {string} sha256
+   * @param {{ operation: string, paths: object }} context
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<string>} Шлях блобу відносно `dir`.
+   * @throws {IntegrityError} Якщо файл змінився між хешуванням і компресією.
+   */
+  async function writeBlob(filePath, sha256, context, signal) {
+    const blob = getBlobPath(sha256)
+    const blobPath = join(dir, blob)
+    await step('destination', context, () => fsPromises.mkdir(parse(blobPath).dir, { recursive: true }))
+    await compressFile(filePath, {
+      algorithm,
+      level,
+      destinationFilePath: blobPath,
+      onConflict: 'overwrite',
+      preserveMetadata: false,
+      sidecar: 'sha256',
+      signal
+    })
+    // Супутник містить хеш саме стиснутого вмісту
+    const sidecar = await readSidecar(blobPath)
+    if (sidecar.sha256 !== sha256) {
+      await Promise.all([fsPromises.rm(blobPath, { force: true }), fsPromises.rm(sidecar.path, { force: true })])
+      throw new IntegrityError(`"${filePath}" changed while it was being stored`, context)
+    }
+    return blob
+  }
+
+  return {
+    async put(filePath, { name = relative(process.cwd(), resolve(filePath)), signal } = {}) {
+      return enqueue(async () => {
+        const context = { operation: 'compress', paths: { source: filePath } }
+        const { size } = await step('source', context, () => fsPromises.stat(filePath))
+        const sha256 = await step('source', context, () => hashContent(filePath))
+        const { files } = await loadCatalog()
+        const versions = files[name] ?? []
+        const latest = versions.at(-1)
+        if (latest?.sha256 === sha256) {
+          return { name, ...latest, deduplicated: true }
+        }
+
+        const existing = await findBlob(sha256)
+        const blob = existing ?? (await writeBlob(filePath, sha256, context, signal))
+        const record = {
+          version: (latest?.version ?? 0) + 1,
+          sha256,
+          size,
+          storedAt: new Date().toISOString(),
+          blob
+        }
+        files[name] = [...versions, record]
+        await step('destination', { ...context, paths: { ...context.paths, destination: catalogPath } }, saveCatalog)
+        return { name, ...record, deduplicated: existing !== null }
+      })
+    },
+    async get(name, { version, destination = name, onConflict, signal } = {}) {
+      assertPositiveInteger('version', version)
+      return enqueue(async () => {
+        const { files } = await loadCatalog()
+        const versions = files[name] ?? []
+        const record = version === undefined ? versions.at(-1) : versions.find((item) => item.version === version)
+        if (!record) {
+          const target = version === undefined ? `"${name}"` : `version ${version} of "${name}"`
+          throw new SourceNotFoundError(`No ${target} in store "${dir}"`, {
+            operation: 'decompress',
+            paths: { source: name }
+          })
+        }
+        // Блоби пише саме сховище, а вміст звіряється із супутником, тож ліміт `maxRatio` лише заважав би логам
+        return decompressFile(join(dir, record.blob), destination, {
+          onConflict,
+          verify: true,
+          maxRatio: Infinity,
+          preserveMetadata: false,
+          signal
+        })
+      })
+    },
+    async list() {
+      return enqueue(async () => {
+        const { files } = await loadCatalog()
+        return Object.keys(files)
+          .sort()
+          .map((name) => ({ name, versions: files[name].map((record) => ({ ...record })) }))
+      })
+    },
+    async gc({ keepVersions } = {}) {
+      assertPositiveInteger('keepVersions', keepVersions)
+      return enqueue(async () => {
+        const { files } = await loadCatalog()
+        if (keepVersions !== undefined && Object.values(files).some((versions) => versions.length > keepVersions)) {
+          for (const [name, versions] of Object.entries(files)) {
+            files[name] = versions.slice(-keepVersions)
+          }
+          await saveCatalog()
+        }
+
+        const referenced = new Set(
+          Object.values(files)
+            .flat()
+            .map(({ blob }) => blob)
+        )
+        const removed = []
+        let freedBytes = 0
+        const blobsDir = join(dir, BLOBS_DIR)
+        const prefixes = await fsPromises.readdir(blobsDir).catch((error) => {
+          if (error.code === 'ENOENT') {
+            return []
+          }
+          throw error
+        })
+        for (const prefix of prefixes) {
+          for (const entry of await fsPromises.readdir(join(blobsDir, prefix))) {
+            const match = BLOB_PATTERN.exec(entry)
+            const blob = join(BLOBS_DIR, prefix, match?.[2] ? entry.slice(0, -match[2].length) : entry)
+            if (!match || referenced.has(blob)) {
+              continue
+            }
+            const entryPath = join(blobsDir, prefix, entry)
+            freedBytes += (await fsPromises.stat(entryPath)).size
+            await fsPromises.rm(entryPath, { force: true })
+            if (!match[2]) {
+              removed.push(match[1])
+            }
+          }
+        }
+        return { removed, freedBytes }
+      })
+    }
+  }
+}
+
+export { createStore }
@@ -0,0 +1,219 @@
+import { Readable, addAbortSignal, compose } from 'stream'
+import { pipeline } from 'stream/promises'
+import { DEFAULT_ALGORITHM, detectAlgorithm, getAlgorithm, sniffStream } from './algorithms.js'
+import { throwIfAborted, wrapError } from './errors.js'
+import { createDecompressionGuard } from './limits.js'
+import { createGzipHeaderWriter } from './metadata.js'
+import { assertParallelOptions, createMemberwiseGzip, createParallelGzip } from './parallel.js'
+
+/*
+ * Компресія без файлів: стріми для HTTP-тіл, сокетів тощо і функції над буферами для BLOB-ів з бази.
+ *
+ * Ланцюжки кодеків тут ті самі, що й у `compressFile` / `decompressFile`: файлові функції лише додають до них
+ * читання джерела, атомарний запис результату та роботу зі шляхами. Помилки — з тієї ж ієрархії `CompressionError`,
+ * лише без `paths`.
+ */
+
+/**
+ * @typedef {object} CompressOptions
+ * @property {'gzip' | 'deflate' | 'brotli' | 'zstd'} [algorithm='gzip'] - Алгоритм компресії.
+ * @property {number} [level] - Рівень компресії (для Brotli — quality 0–11).
+ * @property {number} [windowBits] - Розмір вікна (для Brotli — lgwin, для Zstandard — windowLog).
+ * @property {{ name?: string, mtime?: Date, mode?: number }} [metadata] - Для Gzip: ім'я, mtime та права оригіналу
+ *   в заголовку (див. `decompressFile`).
+ * @property {string} [comment] - Коментар у заголовку Gzip (FCOMMENT).
+ * @property {boolean} [parallel=false] - Стискати блоки на пулі `worker_threads` (лише Gzip; див. `parallel.js`).
+ * @property {number} [workers] - Кількість воркерів паралельного режиму; типово — кількість ядер.
+ * @property {number} [blockSize=1048576] - Розмір блоку паралельного режиму в байтах.
+ * @property {boolean} [memberwise=false] - Стискати Gzip незалежними членами по `blockSize`, як у паралельному
+ *   режимі, але без воркерів.
+ * @property {(member: import('./parallel.js').GzipMember) => void} [onMember] - Для `parallel` та `memberwise`:
+ *   розміри кожного члена.
+ */
+
+/**
+ * @typedef {object} DecompressOptions
+ * @property {'gzip' | 'deflate' | 'brotli' | 'zstd'} [algorithm] - Примусовий алгоритм; інакше визначається
+ *   за початком даних.
+ * @property {number} [windowBits] - Розмір вікна декомпресора (для Zstandard — windowLogMax).
+ * @property {number} [maxOutputBytes] - Максимальний розмір розпакованих даних у байтах.
+ * @property {number} [maxRatio] - Максимальне співвідношення розпакованого розміру до компресованого;
+ *   без жодного ліміту діє `maxRatio: 1100`.
+ */
+
+/**
+ * Ланцюжок компресії: компресор (паралельний або почленний) і, для Gzip з метаданими, переписувач заголовка.
+ * Метадані потрапляють у заголовок першого члена, як у `pigz`.
+ *
+ * @param {CompressOptions} [options]
+ * @returns {import('stream').Transform[]}
+ * @throws {UnsupportedAlgorithmError}
+ * @throws {TypeError} Якщо опції паралельного режиму некоректні.
+ */
+function createCompressionStreams({
+  algorithm = DEFAULT_ALGORITHM,
+  level,
+  windowBits,
+  metadata,
+  comment,
+  parallel = false,
+  workers,
+  blockSize,
+  memberwise = false,
+  onMember
+} = {}) {
+  const { createCompressor } = getAlgorithm(algorithm)
+  if (parallel || memberwise) {
+    assertParallelOptions({ algorithm, workers, blockSize })
+  }
+  const writesHeader = algorithm === 'gzip' && (metadata !== undefined || comment !== undefined)
+  let compressor
+  if (parallel) {
+    compressor = createParallelGzip({ workers, blockSize, level, windowBits, onMember })
+  } else if (memberwise) {
+    compressor = createMemberwiseGzip({ blockSize, level, windowBits, onMember })
+  } else {
+    compressor = createCompressor({ level, windowBits })
+  }
+  return [compressor, ...(writesHeader ? [createGzipHeaderWriter({ ...metadata, comment })] : [])]
+}
+
+/**
+ * Ланцюжок декомпресії з відомим алгоритмом: декомпресор між охоронцями лімітів.
+ *
+ * @param {DecompressOptions & { algorithm: string }} options
+ * @returns {import('stream').Transform[]}
+ * @throws {UnsupportedAlgorithmError}
+ */
+function createDecompressionStreams({ algorithm, windowBits, maxOutputBytes, maxRatio }) {
+  const { createDecompressor } = getAlgorithm(algorithm)
+  const guard = createDecompressionGuard({ maxOutputBytes, maxRatio })
+  return [guard.input, createDecompressor({ windowBits }), guard.output]
+}
+
+/**
+ * Підміняє помилки стріму на помилки з ієрархії `CompressionError`: усі шляхи руйнування стріму,
+ * від помилки кодека до `addAbortSignal`, проходять через `destroy`.
+ *
+ * @template {import('stream').Duplex} T
+ * @param {T} stream
+ * @param {string} operation
+ * @param {AbortSignal} [signal]
+ * @returns {T}
+ */
+function withCompressionErrors(stream, operation, signal) {
+  const destroy = stream.destroy
+  stream.destroy = function (error, callback) {
+    return destroy.call(this, error && wrapError(error, { operation, stage: 'codec' }), callback)
+  }
+  return signal ? addAbortSignal(signal, stream) : stream
+}
+
+/**
+ * Створює Duplex-стрім компресії: пишемо оригінал, читаємо компресовані дані.
+ *
+ * @param {CompressOptions & { signal?: AbortSignal }} [options] - Як у `compressFile`, а також `metadata`.
+ * @returns {import('stream').Duplex}
+ * @throws {UnsupportedAlgorithmError} Одразу, якщо алгоритм невідомий.
+ *
+ * @example
+ * res.setHeader('Content-Encoding', 'br')
+ * await pipeline(createReadStream('./report.csv'), compressStream({ algorithm: 'brotli' }), res)
+ */
+function compressStream({ signal, ...options } = {}) {
+  return withCompressionErrors(compose(...createCompressionStreams(options)), 'compress', signal)
+}
+
+/**
+ * Створює Duplex-стрім декомпресії. Без `algorithm` формат визначається за першими байтами
+ * (до `SNIFF_LENGTH`), тож вивід з'являється, коли їх накопичиться або вхід закінчиться.
+ *
+ * @param {DecompressOptions & { signal?: AbortSignal }} [options]
+ * @returns {import('stream').Duplex} Помилки стріму: `CorruptArchiveError`, `DecompressionLimitError`, `AbortedError`.
+ * @throws {UnsupportedAlgorithmError} Одразу, якщо алгоритм задано, але він невідомий.
+ *
+ * @example
+ * await pipeline(req, decompressStream({ maxOutputBytes: 10 * 1024 * 1024 }), createWriteStream('./upload.bin'))
+ */
+function decompressStream({ signal, ...options } = {}) {
+  if (options.algorithm) {
+    return withCompressionErrors(compose(...createDecompressionStreams(options)), 'decompress', signal)
+  }
+  return withCompressionErrors(
+    compose(async function* (source) {
+      const { sample, isComplete, stream } = await sniffStream(source)
+      const algorithm = detectAlgorithm(sample, isComplete) ?? DEFAULT_ALGORITHM
+      yield* compose(stream, ...createDecompressionStreams({ ...options, algorithm }))
+    }),
+    'decompress',
+    signal
+  )
+}
+
+/**
+ * Пропускає буфер через стрім і збирає результат.
+ *
+ * @param {Buffer | Uint8Array | string} input
+ * @param {import('stream').Duplex} transform
+ * @param {string} operation
+ * @returns {Promise<Buffer>}
+ */
+async function transformBuffer(input, transform, operation) {
+  const chunks = []
+  try {
+    await pipeline(Readable.from([input], { objectMode: false }), transform, async (output) => {
+      for await (const chunk of output) {
+        chunks.push(chunk)
+      }
+    })
+  } catch (error) {
+    throw wrapError(error, { operation, stage: 'codec' })
+  }
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Компресує дані в пам'яті.
+ *
+ * @param {Buffer | Uint8Array | string} input - Рядок кодується як UTF-8.
+ * @param {CompressOptions & { signal?: AbortSignal }} [options] - Як у `compressStream`.
+ * @returns {Promise<Buffer>}
+ * @throws {UnsupportedAlgorithmError} Якщо алгоритм невідомий або недоступний у рантаймі.
+ * @throws {CompressionError} Якщо компресор завершився помилкою.
+ * @throws {AbortedError} Якщо операцію скасовано через `signal`.
+ *
+ * @example
+ * const blob = await compressBuffer(JSON.stringify(document), { algorithm: 'brotli' })
+ */
+async function compressBuffer(input, options = {}) {
+  throwIfAborted(options.signal, { operation: 'compress', paths: {} })
+  return transformBuffer(input, compressStream(options), 'compress')
+}
+
+/**
+ * Розпаковує дані в пам'яті; формат визначається за вмістом, якщо не задано `algorithm`.
+ *
+ * @param {Buffer | Uint8Array} input
+ * @param {DecompressOptions & { signal?: AbortSignal }} [options] - Як у `decompressStream`.
+ * @returns {Promise<Buffer>}
+ * @throws {UnsupportedAlgorithmError} Якщо алгоритм невідомий або недоступний у рантаймі.
+ * @throws {CorruptArchiveError} Якщо дані пошкоджені або мають інший формат.
+ * @throws {DecompressionLimitError} Якщо перевищено `maxOutputBytes` або `maxRatio`.
+ * @throws {AbortedError} Якщо операцію скасовано через `signal`.
+ *
+ * @example
+ * const document = JSON.parse(await decompressBuffer(row.payload))
+ */
+async function decompressBuffer(input, options = {}) {
+  throwIfAborted(options.signal, { operation: 'decompress', paths: {} })
+  return transformBuffer(input, decompressStream(options), 'decompress')
+}
+
+export {
+  compressBuffer,
+  compressStream,
+  createCompressionStreams,
+  createDecompressionStreams,
+  decompressBuffer,
+  decompressStream
+}
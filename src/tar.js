@@ -0,0 +1,506 @@
+import { createReadStream, promises as fsPromises } from 'fs'
+import { join, parse } from 'path'
+import { Readable, Writable } from 'stream'
+import { CorruptArchiveError } from './errors.js'
+import { PERMISSION_BITS } from './metadata.js'
+import { getTempFilePath } from './naming.js'
+import { createPathGuard } from './sandbox.js'
+
+/*
+ * Потокове пакування та розпакування tar (ustar + розширені заголовки PAX).
+ *
+ * Архів складається з 512-байтових блоків: заголовок запису, дані, вирівняні до блоку, і два нульові блоки в кінці.
+ * Шляхи довші за 100 байтів, файли більші за 8 ГіБ, а також uid, gid чи mtime, що не вміщуються у вісімкові поля,
+ * описуються PAX-заголовком (`x`) перед записом, тож результат читають GNU tar, bsdtar та 7-Zip. При читанні
+ * підтримуються також GNU-заголовки `L`/`K`.
+ */
+
+const BLOCK_SIZE = 512
+
+const END_OF_ARCHIVE = Buffer.alloc(BLOCK_SIZE * 2)
+
+// Верхня межа для PAX- та GNU-заголовків, які буферизуються в пам'ять
+const MAX_META_SIZE = 1024 * 1024
+
+const TYPES = {
+  file: '0',
+  symlink: '2',
+  directory: '5',
+  paxHeader: 'x',
+  paxGlobalHeader: 'g',
+  gnuLongName: 'L',
+  gnuLongLink: 'K'
+}
+
+// Типи записів, які розпаковуються; `7` — «безперервний» файл, для нас звичайний
+const ENTRY_KINDS = { 0: 'file', 7: 'file', 2: 'symlink', 5: 'directory' }
+
+// Поля заголовка ustar: [зсув, довжина]
+const FIELDS = {
+  name: [0, 100],
+  mode: [100, 8],
+  uid: [108, 8],
+  gid: [116, 8],
+  size: [124, 12],
+  mtime: [136, 12],
+  checksum: [148, 8],
+  type: [156, 1],
+  linkname: [157, 100],
+  magic: [257, 6],
+  version: [263, 2],
+  prefix: [345, 155]
+}
+
+/**
+ * @param {number} value
+ * @param {number} length - Довжина поля разом із завершальним NUL.
+ * @returns {boolean}
+ */
+function fitsOctal(value, length) {
+  return Number.isSafeInteger(value) && value >= 0 && value < 8 ** (length - 1)
+}
+
+/**
+ * @param {Buffer} block
+ * @param {keyof FIELDS} field
+ * @param {number} value - Значення, що не вміщується в поле, записується як 0 і передається PAX-заголовком
+ *   (див. `createHeaderBlocks`).
+ */
+function writeOctal(block, field, value) {
+  const [offset, length] = FIELDS[field]
+  const octal = fitsOctal(value, length) ? value.toString(8) : '0'
+  block.write(`${octal.padStart(length - 1, '0')}\0`, offset, length, 'ascii')
+}
+
+/**
+ * @param {Buffer} block
+ * @param {keyof FIELDS} field
+ * @returns {string}
+ */
+function readString(block, field) {
+  const [offset, length] = FIELDS[field]
+  const value = block.subarray(offset, offset + length)
+  const end = value.indexOf(0)
+  return value.subarray(0, end === -1 ? length : end).toString('utf8')
+}
+
+/**
+ * Читає числове поле: вісімкове або, якщо старший біт встановлено, base-256 (розширення GNU для великих значень).
+ *
+ * @param {Buffer} block
+ * @param {keyof FIELDS} field
+ * @returns {number}
+ */
+function readNumber(block, field) {
+  const [offset, length] = FIELDS[field]
+  if (block[offset] & 0x80) {
+    let value = block[offset] & 0x7f
+    for (let index = offset + 1; index < offset + length; index++) {
+      value = value * 256 + block[index]
+    }
+    return value
+  }
+  const octal = block
+    .toString('ascii', offset, offset + length)
+    .replace(/[\0 ]+$/, '')
+    .trim()
+  return octal ? parseInt(octal, 8) : 0
+}
+
+/**
+ * Контрольна сума: сума всіх байтів заголовка, де поле самої суми заповнене пробілами.
+ *
+ * @param {Buffer} block
+ * @returns {number}
+ */
+function computeChecksum(block) {
+  const [offset, length] = FIELDS.checksum
+  let sum = 8 * 0x20
+  for (let index = 0; index < BLOCK_SIZE; index++) {
+    if (index < offset || index >= offset + length) {
+      sum += block[index]
+    }
+  }
+  return sum
+}
+
+/**
+ * @param {number} size
+ * @returns {number} Кількість нульових байтів, що доповнюють дані до кінця блоку.
+ */
+function paddingFor(size) {
+  return (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE
+}
+
+/**
+ * @param {{ name: string, type: string, mode?: number, uid?: number, gid?: number, size?: number,
+ *   mtime?: number, linkname?: string }} entry
+ * @returns {Buffer}
+ */
+function createHeaderBlock({ name, type, mode = 0o644, uid = 0, gid = 0, size = 0, mtime = 0, linkname = '' }) {
+  const block = Buffer.alloc(BLOCK_SIZE)
+  block.write(name, FIELDS.name[0], FIELDS.name[1], 'utf8')
+  writeOctal(block, 'mode', mode)
+  writeOctal(block, 'uid', uid)
+  writeOctal(block, 'gid', gid)
+  writeOctal(block, 'size', size)
+  writeOctal(block, 'mtime', mtime)
+  block.write(type, FIELDS.type[0], 1, 'ascii')
+  block.write(linkname, FIELDS.linkname[0], FIELDS.linkname[1], 'utf8')
+  block.write('ustar\0', FIELDS.magic[0], FIELDS.magic[1], 'ascii')
+  block.write('00', FIELDS.version[0], FIELDS.version[1], 'ascii')
+  block.write(`${computeChecksum(block).toString(8).padStart(6, '0')}\0 `, FIELDS.checksum[0], 8, 'ascii')
+  return block
+}
+
+/**
+ * Запис PAX має вигляд `<довжина> <ключ>=<значення>\n`, де довжина враховує й власні цифри.
+ *
+ * @param {string} key
+ * @param {string | number} value
+ * @returns {string}
+ */
+function formatPaxRecord(key, value) {
+  const bodyLength = Buffer.byteLength(` ${key}=${value}\n`)
+  let length = bodyLength
+  while (length !== bodyLength + String(length).length) {
+    length = bodyLength + String(length).length
+  }
+  return `${length} ${key}=${value}\n`
+}
+
+/**
+ * @param {Buffer} data
+ * @returns {Record<string, string>}
+ */
+function parsePaxRecords(data) {
+  const records = {}
+  let offset = 0
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset)
+    const length = parseInt(data.toString('ascii', offset, space), 10)
+    if (space === -1 || !(length > 0) || offset + length > data.length) {
+      throw new CorruptArchiveError('Invalid PAX header in tar archive')
+    }
+    const record = data.toString('utf8', space + 1, offset + length - 1)
+    const separator = record.indexOf('=')
+    records[record.slice(0, separator)] = record.slice(separator + 1)
+    offset += length
+  }
+  return records
+}
+
+/**
+ * Заголовок запису, за потреби з PAX-заголовком перед ним.
+ *
+ * @param {Parameters<typeof createHeaderBlock>[0]} entry
+ * @returns {Buffer[]}
+ */
+function createHeaderBlocks(entry) {
+  const records = []
+  if (Buffer.byteLength(entry.name) > FIELDS.name[1]) {
+    records.push(formatPaxRecord('path', entry.name))
+  }
+  if (entry.linkname && Buffer.byteLength(entry.linkname) > FIELDS.linkname[1]) {
+    records.push(formatPaxRecord('linkpath', entry.linkname))
+  }
+  // Значення, що не вміщуються у вісімкові поля ustar (зокрема mtime до 1970 року), передаються десятковими
+  for (const key of ['size', 'uid', 'gid', 'mtime']) {
+    if (!fitsOctal(entry[key] ?? 0, FIELDS[key][1])) {
+      records.push(formatPaxRecord(key, entry[key]))
+    }
+  }
+  if (records.length === 0) {
+    return [createHeaderBlock(entry)]
+  }
+
+  const pax = Buffer.from(records.join(''))
+  return [
+    createHeaderBlock({
+      name: `PaxHeader/${entry.name}`.slice(0, FIELDS.name[1]),
+      type: TYPES.paxHeader,
+      size: pax.length
+    }),
+    Buffer.concat([pax, Buffer.alloc(paddingFor(pax.length))]),
+    createHeaderBlock(entry)
+  ]
+}
+
+/**
+ * Обходить директорію в детермінованому (відсортованому) порядку й віддає блоки архіву.
+ *
+ * @param {string} dirPath
+ * @param {string} [relativeDir=''] - Поточна піддиректорія відносно `dirPath`, з розділювачем `/`.
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* packDirectory(dirPath, relativeDir = '') {
+  const names = (await fsPromises.readdir(relativeDir ? join(dirPath, relativeDir) : dirPath)).sort()
+
+  for (const name of names) {
+    const relativePath = relativeDir ? `${relativeDir}/${name}` : name
+    const fullPath = join(dirPath, relativePath)
+    const stats = await fsPromises.lstat(fullPath)
+    const entry = {
+      name: relativePath,
+      mode: stats.mode & 0o7777,
+      uid: stats.uid,
+      gid: stats.gid,
+      mtime: Math.floor(stats.mtimeMs / 1000)
+    }
+
+    if (stats.isDirectory()) {
+      yield* createHeaderBlocks({ ...entry, name: `${relativePath}/`, type: TYPES.directory })
+      yield* packDirectory(dirPath, relativePath)
+    } else if (stats.isSymbolicLink()) {
+      yield* createHeaderBlocks({ ...entry, type: TYPES.symlink, linkname: await fsPromises.readlink(fullPath) })
+    } else if (stats.isFile()) {
+      yield* createHeaderBlocks({ ...entry, type: TYPES.file, size: stats.size })
+      yield* packFileData(fullPath, stats.size)
+    }
+    // Сокети, FIFO та пристрої в архів не потрапляють
+  }
+}
+
+/**
+ * @param {string} filePath
+ * @param {number} size - Розмір, уже записаний у заголовок.
+ * @returns {AsyncGenerator<Buffer>}
+ * @throws {Error} Якщо файл змінив розмір під час пакування: заголовок вже не відповідав би даним.
+ */
+async function* packFileData(filePath, size) {
+  let bytesRead = 0
+  if (size > 0) {
+    for await (const chunk of createReadStream(filePath)) {
+      bytesRead += chunk.length
+      if (bytesRead > size) {
+        break
+      }
+      yield chunk
+    }
+  }
+  if (bytesRead !== size) {
+    throw new Error(`file "${filePath}" changed while archiving`)
+  }
+  if (paddingFor(size) > 0) {
+    yield Buffer.alloc(paddingFor(size))
+  }
+}
+
+/**
+ * Створює стрім tar-архіву з вмісту директорії.
+ * Шляхи записуються відносно `dirPath` (без самої директорії), разом з правами, власником, mtime та симлінками.
+ *
+ * @param {string} dirPath
+ * @returns {import('stream').Readable}
+ */
+function createTarPacker(dirPath) {
+  async function* pack() {
+    yield* packDirectory(dirPath)
+    yield END_OF_ARCHIVE
+  }
+  return Readable.from(pack(), { objectMode: false })
+}
+
+/**
+ * Приводить шлях запису до відносного вигляду: без початкового `/` (як GNU tar) та сегментів `.`.
+ * Сегменти `..` лишаються — запис, що виходить за межі директорії, відхиляє пісочниця.
+ *
+ * @param {string} name
+ * @returns {string} Порожній рядок для кореня архіву (`./`).
+ */
+function normalizeEntryName(name) {
+  return name
+    .split('/')
+    .filter((segment) => segment !== '' && segment !== '.')
+    .join('/')
+}
+
+/**
+ * Створює стрім, що розпаковує tar-архів у `destDir`.
+ *
+ * Кожен запис проходить пісочницю `createPathGuard` з коренем `destDir`: запис на кшталт `../../etc/passwd`
+ * або файл усередині щойно розпакованого симлінка на `/etc` зупиняє розпакування з `UnsafePathError`.
+ * Файли пишуться через тимчасовий файл і перейменування, тож обірваний запис не лишає обрізаного файлу.
+ * Права та mtime директорій встановлюються в кінці, щоб read-only директорія не заважала записати її вміст.
+ * Біти setuid, setgid та sticky із заголовків типово відкидаються.
+ * Жорсткі посилання, пристрої та FIFO пропускаються.
+ *
+ * @param {string} destDir
+ * @param {object} [options]
+ * @param {(relativePath: string) => boolean} [options.filter] - Повертає `false` для записів, які треба пропустити;
+ *   батьківські директорії пропущених записів все одно створюються за потреби.
+ * @param {(filePath: string) => void} [options.onEntry] - Викликається для кожного розпакованого запису.
+ * @param {boolean} [options.followSymlinks=false] - Дозволити запис через симлінки, що ведуть всередину `destDir`.
+ * @param {boolean} [options.preserveSpecialBits=false] - Відновлювати й setuid, setgid та sticky із заголовків.
+ * @returns {import('stream').Writable}
+ */
+function createTarExtractor(
+  destDir,
+  { filter = () => true, onEntry = () => {}, followSymlinks = false, preserveSpecialBits = false } = {}
+) {
+  const assertSafePath = createPathGuard({ rootDir: destDir, followSymlinks })
+  let header = Buffer.alloc(0)
+  let entry = null
+  let ended = false
+  // Розширені заголовки, що стосуються наступного запису
+  let pending = {}
+  const directories = []
+
+  const skip = (size) => ({ remaining: size, padding: paddingFor(size), write: () => {}, end: () => {} })
+
+  function openMetaEntry(type, size) {
+    if (size > MAX_META_SIZE) {
+      throw new CorruptArchiveError(`Tar extended header is too large (${size} bytes)`)
+    }
+    const chunks = []
+    return {
+      ...skip(size),
+      write: (data) => chunks.push(data),
+      end: () => {
+        const data = Buffer.concat(chunks)
+        if (type === TYPES.paxHeader) {
+          Object.assign(pending, parsePaxRecords(data))
+        } else if (type === TYPES.gnuLongName) {
+          pending.path = data.toString('utf8').replace(/\0.*$/s, '')
+        } else if (type === TYPES.gnuLongLink) {
+          pending.linkpath = data.toString('utf8').replace(/\0.*$/s, '')
+        }
+      }
+    }
+  }
+
+  async function openFileEntry(target, size, { mode, mtime }) {
+    await fsPromises.mkdir(parse(target).dir, { recursive: true })
+    const tempFilePath = getTempFilePath(target)
+    const handle = await fsPromises.open(tempFilePath, 'wx', 0o600)
+    return {
+      ...skip(size),
+      write: (data) => handle.write(data),
+      end: async () => {
+        await handle.close()
+        await fsPromises.chmod(tempFilePath, mode)
+        await fsPromises.utimes(tempFilePath, mtime, mtime)
+        await fsPromises.rename(tempFilePath, target)
+        onEntry(target)
+      },
+      abort: async () => {
+        await handle.close().catch(() => {})
+        await fsPromises.rm(tempFilePath, { force: true })
+      }
+    }
+  }
+
+  async function openEntry(block) {
+    if (block.every((byte) => byte === 0)) {
+      ended = true
+      return null
+    }
+    if (readNumber(block, 'checksum') !== computeChecksum(block)) {
+      throw new CorruptArchiveError('Invalid tar header checksum')
+    }
+
+    const type = readString(block, 'type') || TYPES.file
+    if ([TYPES.paxHeader, TYPES.gnuLongName, TYPES.gnuLongLink].includes(type)) {
+      return openMetaEntry(type, readNumber(block, 'size'))
+    }
+    if (type === TYPES.paxGlobalHeader) {
+      return skip(readNumber(block, 'size'))
+    }
+
+    const prefix = readString(block, 'magic').startsWith('ustar') ? readString(block, 'prefix') : ''
+    const name = pending.path ?? (prefix ? `${prefix}/${readString(block, 'name')}` : readString(block, 'name'))
+    const linkname = pending.linkpath ?? readString(block, 'linkname')
+    // Date, а не секунди: від'ємне число `utimes` замінив би поточним часом
+    const mtime = new Date((pending.mtime !== undefined ? Number(pending.mtime) : readNumber(block, 'mtime')) * 1000)
+    const size = pending.size !== undefined ? Number(pending.size) : readNumber(block, 'size')
+    const mode = readNumber(block, 'mode') & (preserveSpecialBits ? 0o7777 : PERMISSION_BITS)
+    pending = {}
+
+    const relativePath = normalizeEntryName(name)
+    const kind = ENTRY_KINDS[type]
+    if (!relativePath || !kind || !filter(relativePath)) {
+      return skip(size)
+    }
+
+    const target = join(destDir, relativePath)
+    // Існуючий симлінк на місці файлу чи симлінку замінюється перейменуванням, а не переписується, тому
+    // для них достатньо перевірити батьківську директорію; директорію ж `mkdir` пройшов би наскрізь
+    await assertSafePath(kind === 'directory' ? target : parse(target).dir)
+    if (kind === 'directory') {
+      await fsPromises.mkdir(target, { recursive: true })
+      directories.push({ target, mode, mtime })
+      onEntry(target)
+      return skip(size)
+    }
+    if (kind === 'symlink') {
+      await fsPromises.mkdir(parse(target).dir, { recursive: true })
+      await fsPromises.rm(target, { force: true })
+      await fsPromises.symlink(linkname, target)
+      await fsPromises.lutimes(target, mtime, mtime)
+      onEntry(target)
+      return skip(size)
+    }
+    return openFileEntry(target, size, { mode, mtime })
+  }
+
+  // Дочірні директорії обробляються раніше за батьківські, щоб права батьківської не завадили
+  async function restoreDirectories() {
+    for (const { target, mode, mtime } of directories.reverse()) {
+      await fsPromises.chmod(target, mode)
+      await fsPromises.utimes(target, mtime, mtime)
+    }
+  }
+
+  async function consume(chunk) {
+    let offset = 0
+    while (offset < chunk.length && !ended) {
+      if (!entry) {
+        const needed = BLOCK_SIZE - header.length
+        header = Buffer.concat([header, chunk.subarray(offset, offset + needed)])
+        offset += needed
+        if (header.length < BLOCK_SIZE) {
+          break
+        }
+        const block = header
+        header = Buffer.alloc(0)
+        entry = await openEntry(block)
+      } else if (entry.remaining > 0) {
+        const data = chunk.subarray(offset, offset + entry.remaining)
+        offset += data.length
+        entry.remaining -= data.length
+        await entry.write(data)
+      } else {
+        const padding = Math.min(entry.padding, chunk.length - offset)
+        offset += padding
+        entry.padding -= padding
+      }
+
+      if (entry && entry.remaining === 0 && entry.padding === 0) {
+        const finished = entry
+        entry = null
+        await finished.end()
+      }
+    }
+  }
+
+  return new Writable({
+    write(chunk, encoding, callback) {
+      consume(chunk).then(() => callback(), callback)
+    },
+    final(callback) {
+      if (!ended) {
+        callback(new CorruptArchiveError('Unexpected end of tar archive'))
+        return
+      }
+      restoreDirectories().then(() => callback(), callback)
+    },
+    destroy(error, callback) {
+      Promise.resolve(entry?.abort?.()).then(
+        () => callback(error),
+        () => callback(error)
+      )
+    }
+  })
+}
+
+export { createHeaderBlocks, createTarExtractor, createTarPacker }
@@ -0,0 +1,217 @@
+import { Duplex } from 'stream'
+import { StringDecoder } from 'string_decoder'
+
+/*
+ * Трансформації даних до та після кодека: `compressFile(path, { transforms: { before: [...] } })` пропускає джерело
+ * через них перед компресією, а `decompressFile(path, { transforms: { after: [...] } })` — розпакований результат.
+ *
+ * Трансформація — це `Transform`-стрім або асинхронна генераторна функція `async function* (source) {...}`;
+ * обидві стають ланками того самого `pipeline`, тож зворотний тиск і скасування працюють як для кодеків.
+ * Вбудовані трансформації повертають генераторні функції, тож одну й ту саму можна передати в багато викликів
+ * (наприклад, у `compressMany`), а стрім-екземпляр придатний лише для одного.
+ */
+
+const TRANSFORM_POSITIONS = ['before', 'after']
+
+const LINE_ENDINGS = ['\n', '\r\n']
+
+// Кодування результату `convertCharset`, що вміщують будь-який символ Unicode
+const TARGET_CHARSETS = { utf8: 'utf8', 'utf-8': 'utf8', utf16le: 'utf16le', 'utf-16le': 'utf16le' }
+
+const DEFAULT_MAX_LINE_LENGTH = 1024 * 1024
+
+// Стріми з опції `transforms`: їхні помилки класифікуються як `TransformError`, а не помилки кодека
+const transformStreams = new WeakSet()
+
+/**
+ * @typedef {import('stream').Transform | ((source: AsyncIterable<Buffer>) => AsyncIterable<Buffer | string>)}
+ *   DataTransform
+ */
+
+/**
+ * @typedef {object} TransformOptions
+ * @property {DataTransform[]} [before] - До кодека: над джерелом у `compressFile`, над архівом у `decompressFile`.
+ * @property {DataTransform[]} [after] - Після кодека: над архівом у `compressFile`, над результатом у `decompressFile`.
+ */
+
+/**
+ * @param {unknown} transforms
+ * @throws {TypeError}
+ */
+function assertTransforms(transforms) {
+  const isValid =
+    typeof transforms === 'object' &&
+    transforms !== null &&
+    Object.entries(transforms).every(
+      ([position, list]) =>
+        TRANSFORM_POSITIONS.includes(position) &&
+        Array.isArray(list) &&
+        list.every((transform) => typeof transform === 'function' || transform instanceof Duplex)
+    )
+  if (!isValid) {
+    throw new TypeError(
+      'Invalid transforms: expected { before, after } arrays of Transform streams or async generator functions'
+    )
+  }
+}
+
+/**
+ * Перетворює трансформації на стріми для `pipelineStreams`.
+ *
+ * @param {DataTransform[]} [transforms]
+ * @returns {import('stream').Duplex[]}
+ */
+function createTransformStreams(transforms = []) {
+  return transforms.map((transform) => {
+    const stream = typeof transform === 'function' ? Duplex.from(transform) : transform
+    transformStreams.add(stream)
+    return stream
+  })
+}
+
+/**
+ * @param {import('stream').Stream} stream
+ * @returns {boolean} Чи це стрім з опції `transforms`.
+ */
+function isTransformStream(stream) {
+  return transformStreams.has(stream)
+}
+
+/**
+ * Приводить кінці рядків (`\r\n`, `\r`, `\n`) до одного виду. Працює з байтами, тож підходить для UTF-8
+ * та однобайтових кодувань; UTF-16 спершу перекодуйте через `convertCharset`.
+ *
+ * @param {object} [options]
+ * @param {'\n' | '\r\n'} [options.eol='\n']
+ * @returns {(source: AsyncIterable<Buffer>) => AsyncGenerator<Buffer>}
+ * @throws {TypeError} Якщо `eol` некоректний.
+ *
+ * @example
+ * await compressFile('./exports/report.csv', { transforms: { before: [normalizeLineEndings()] } })
+ */
+function normalizeLineEndings({ eol = '\n' } = {}) {
+  if (!LINE_ENDINGS.includes(eol)) {
+    throw new TypeError(`Invalid line ending ${JSON.stringify(eol)}`)
+  }
+  return async function* (source) {
+    // `\r` у кінці чанка може виявитись першою половиною `\r\n`
+    let hasPendingReturn = false
+    for await (const chunk of source) {
+      // latin1 відображає кожен байт в один символ і назад, тож багатобайтові символи не страждають
+      let text = `${hasPendingReturn ? '\r' : ''}${chunk.toString('latin1')}`
+      hasPendingReturn = text.endsWith('\r')
+      if (hasPendingReturn) {
+        text = text.slice(0, -1)
+      }
+      if (text) {
+        yield Buffer.from(text.replace(/\r\n?|\n/g, eol), 'latin1')
+      }
+    }
+    if (hasPendingReturn) {
+      yield Buffer.from(eol, 'latin1')
+    }
+  }
+}
+
+/**
+ * Перекодовує текст з будь-якого кодування WHATWG (`utf-16le`, `utf-16be`, `windows-1251`, `koi8-r`...)
+ * в UTF-8 або UTF-16LE. BOM джерела відкидається; байти, некоректні для `from`, — помилка, а не `�`.
+ *
+ * @param {object} options
+ * @param {string} options.from - Кодування вхідних даних.
+ * @param {'utf8' | 'utf16le'} [options.to='utf8'] - Кодування результату.
+ * @returns {(source: AsyncIterable<Buffer>) => AsyncGenerator<Buffer>}
+ * @throws {TypeError} Якщо кодування невідоме.
+ *
+ * @example
+ * const fromCp1251 = convertCharset({ from: 'windows-1251' })
+ * await decompressFile('./legacy/export.csv.gz', { transforms: { after: [fromCp1251] } })
+ */
+function convertCharset({ from, to = 'utf8' } = {}) {
+  try {
+    new TextDecoder(from)
+  } catch {
+    throw new TypeError(`Unsupported charset "${from}"`)
+  }
+  const target = TARGET_CHARSETS[String(to).toLowerCase()]
+  if (!target) {
+    throw new TypeError(`Unsupported target charset "${to}". Expected one of: utf8, utf16le`)
+  }
+  return async function* (source) {
+    const decoder = new TextDecoder(from, { fatal: true })
+    for await (const chunk of source) {
+      // `stream: true` утримує символ, розірваний між чанками
+      const text = decoder.decode(chunk, { stream: true })
+      if (text) {
+        yield Buffer.from(text, target)
+      }
+    }
+    const rest = decoder.decode()
+    if (rest) {
+      yield Buffer.from(rest, target)
+    }
+  }
+}
+
+/**
+ * Замінює збіги регулярних виразів у тексті UTF-8, наприклад паролі чи токени в логах.
+ * Вирази застосовуються до цілих рядків без `\n` чи `\r\n` у кінці, тож збіг не може перетинати кінець рядка,
+ * а `^` і `$` з прапорцем `m` означають початок і кінець рядка й у файлах з CRLF. Рядок довший за `maxLineLength` —
+ * помилка: інакше секрет на межі буфера міг би лишитись незамаскованим.
+ *
+ * @param {RegExp | RegExp[]} patterns
+ * @param {object} [options]
+ * @param {string} [options.replacement='[REDACTED]'] - Заміна; підтримує `$1`, `$<name>`, як `String#replace`.
+ * @param {number} [options.maxLineLength=1048576] - Максимальна довжина рядка в символах.
+ * @returns {(source: AsyncIterable<Buffer>) => AsyncGenerator<Buffer>}
+ * @throws {TypeError} Якщо `patterns` — не регулярні вирази або `maxLineLength` некоректний.
+ *
+ * @example
+ * const secrets = redact([/(?<=password=)\S+/g, /Bearer [\w.-]+/g])
+ * const trailingSpaces = redact(/[ \t]+$/gm, { replacement: '' })
+ * await compressFile('./logs/app.log', { transforms: { before: [secrets, trailingSpaces] } })
+ */
+function redact(patterns, { replacement = '[REDACTED]', maxLineLength = DEFAULT_MAX_LINE_LENGTH } = {}) {
+  const expressions = [patterns].flat()
+  if (expressions.length === 0 || !expressions.every((pattern) => pattern instanceof RegExp)) {
+    throw new TypeError('Invalid redaction patterns: expected a RegExp or an array of RegExp')
+  }
+  if (!Number.isInteger(maxLineLength) || maxLineLength < 1) {
+    throw new TypeError(`Invalid maxLineLength "${maxLineLength}"`)
+  }
+  // Без прапорця `g` `replace` замінив би лише перший збіг у блоці рядків
+  const globals = expressions.map((pattern) =>
+    pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`)
+  )
+  // Кожен рядок обробляється окремо й без кінця рядка: `\s` чи `[^x]` не захоплять `\r\n`, `$` спрацює і в CRLF,
+  // а результат не залежить від чанків. Роздільники (непарні елементи після split) лишаються як були
+  const apply = (text) =>
+    text
+      .split(/(\r?\n)/)
+      .map((part, index) =>
+        index % 2 === 0 ? globals.reduce((result, pattern) => result.replace(pattern, replacement), part) : part
+      )
+      .join('')
+
+  return async function* (source) {
+    const decoder = new StringDecoder('utf8')
+    let pending = ''
+    for await (const chunk of source) {
+      pending += decoder.write(chunk)
+      const end = pending.lastIndexOf('\n') + 1
+      if (end > 0) {
+        yield Buffer.from(apply(pending.slice(0, end)))
+        pending = pending.slice(end)
+      }
+      if (pending.length > maxLineLength) {
+        throw new Error(`Line exceeds ${maxLineLength} characters and cannot be redacted`)
+      }
+    }
+    pending += decoder.end()
+    if (pending) {
+      yield Buffer.from(apply(pending))
+    }
+  }
+}
+
+export { assertTransforms, convertCharset, createTransformStreams, isTransformStream, normalizeLineEndings, redact }
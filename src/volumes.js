@@ -0,0 +1,385 @@
+import { createHash } from 'crypto'
+import { once } from 'events'
+import { join, parse } from 'path'
+import { Readable, Writable } from 'stream'
+import { finished, pipeline } from 'stream/promises'
+import { CorruptArchiveError, IntegrityError, SourceNotFoundError, step } from './errors.js'
+import { createSink, pipelineStreams, writeFileAtomically } from './io.js'
+import { getTempFilePath } from './naming.js'
+import { localStorage } from './storage.js'
+
+/*
+ * Розбиття архіву на томи фіксованого розміру: `source.txt.gz.001`, `.002`... та маніфест `source.txt.gz.manifest`
+ * з розміром і sha256 кожного тому.
+ *
+ * Томи пишуться стрімом, без проміжного цілого архіву, і з'являються за фінальними іменами лише після успіху;
+ * маніфест записується останнім. При розпакуванні набір томів подається як один віртуальний файл через адаптер
+ * сховища, тож визначення формату, метадані, шифрування й ліміти працюють так само, як для цілого архіву.
+ */
+
+const VOLUME_MANIFEST_EXTENSION = '.manifest'
+
+const VOLUME_MANIFEST_VERSION = 1
+
+const FIRST_VOLUME_SUFFIX = '.001'
+
+// Суфікс номера тому (`.001`, `.002`...; після 999 — більше цифр) для складання шаблонів імен
+const VOLUME_NUMBER_PATTERN = /\.\d{3,}/
+
+/**
+ * @typedef {object} VolumeManifest
+ * @property {number} version - Версія формату маніфесту.
+ * @property {string} archive - Ім'я цілого архіву, з якого утворено імена томів.
+ * @property {number} size - Розмір цілого архіву в байтах.
+ * @property {number} volumeSize - Розмір кожного тому, крім останнього.
+ * @property {Array<{ name: string, size: number, sha256: string }>} volumes - Томи по порядку.
+ */
+
+/**
+ * @param {unknown} volumeSize
+ * @throws {TypeError}
+ */
+function assertVolumeSize(volumeSize) {
+  if (!Number.isSafeInteger(volumeSize) || volumeSize < 1) {
+    throw new TypeError(`Invalid volume size "${volumeSize}"`)
+  }
+}
+
+/**
+ * @param {string} archivePath
+ * @param {number} number - Номер тому, від 1.
+ * @returns {string}
+ */
+function getVolumePath(archivePath, number) {
+  return `${archivePath}.${String(number).padStart(3, '0')}`
+}
+
+/**
+ * Стрім, що ріже вхід на тимчасові файли томів і рахує sha256 кожного.
+ *
+ * @param {string} archivePath
+ * @param {number} volumeSize
+ * @param {import('./storage.js').StorageAdapter} storage
+ * @returns {Writable & { volumes: Array<{ path: string, tempPath: string, size: number, sha256?: string }> }}
+ */
+function createVolumeWriter(archivePath, volumeSize, storage) {
+  const volumes = []
+  let current = null
+
+  function openVolume() {
+    const path = getVolumePath(archivePath, volumes.length + 1)
+    const tempPath = getTempFilePath(path)
+    current = { path, tempPath, size: 0, hash: createHash('sha256'), stream: storage.createWriteStream(tempPath) }
+    volumes.push(current)
+  }
+
+  async function closeVolume() {
+    const volume = current
+    current = null
+    volume.stream.end()
+    await finished(volume.stream)
+    volume.sha256 = volume.hash.digest('hex')
+  }
+
+  async function writeChunk(chunk) {
+    for (let offset = 0; offset < chunk.length;) {
+      if (!current) {
+        openVolume()
+      }
+      const part = chunk.subarray(offset, offset + volumeSize - current.size)
+      offset += part.length
+      current.size += part.length
+      current.hash.update(part)
+      if (!current.stream.write(part)) {
+        await once(current.stream, 'drain')
+      }
+      if (current.size === volumeSize) {
+        await closeVolume()
+      }
+    }
+  }
+
+  const writer = new Writable({
+    write(chunk, encoding, callback) {
+      writeChunk(chunk).then(() => callback(), callback)
+    },
+    final(callback) {
+      // Навіть порожній архів має один том
+      if (volumes.length === 0) {
+        openVolume()
+      }
+      const closing = current ? closeVolume() : Promise.resolve()
+      closing.then(() => callback(), callback)
+    },
+    destroy(error, callback) {
+      current?.stream.destroy()
+      callback(error)
+    }
+  })
+  writer.volumes = volumes
+  return writer
+}
+
+/**
+ * Видаляє томи `archivePath` з номерами після `count`, доки вони йдуть поспіль.
+ *
+ * @param {string} archivePath
+ * @param {number} count - Кількість томів нового набору.
+ * @param {import('./storage.js').StorageAdapter} storage
+ * @returns {Promise<void>}
+ */
+async function removeStaleVolumes(archivePath, count, storage) {
+  for (let number = count + 1; ; number++) {
+    const path = getVolumePath(archivePath, number)
+    const exists = await storage.access(path).then(
+      () => true,
+      () => false
+    )
+    if (!exists) {
+      return
+    }
+    await storage.rm(path)
+  }
+}
+
+/**
+ * Як `pipelineToFile`, але результат розбивається на томи по `volumeSize` байтів, а за `manifestPath` з'являється
+ * маніфест. При помилці тимчасові й уже перейменовані томи видаляються.
+ *
+ * Якщо ім'я маніфесту зарезервоване, так само резервуються й імена томів: чужий файл з таким ім'ям не
+ * перезаписується. Без резервування (`onConflict: 'overwrite'`) томи попереднього набору з номерами після
+ * останнього нового тому видаляються, щоб від довшого набору не лишалось хвоста.
+ *
+ * @param {string} manifestPath - Шлях маніфесту: шлях цілого архіву + `.manifest`.
+ * @param {() => Array<import('stream').Readable | import('stream').Duplex>} createStreams
+ * @param {object} options - Як у `pipelineToFile`, а також:
+ * @param {number} options.volumeSize
+ * @returns {Promise<void>}
+ * @throws {CompressionError} Тип залежить від стріму, який впав першим: джерело, кодек чи запис.
+ * @throws {AbortedError} Якщо операцію скасовано через `signal`.
+ */
+async function pipelineToVolumes(
+  manifestPath,
+  createStreams,
+  { volumeSize, reserved = false, beforeCommit, storage = localStorage, ...options }
+) {
+  const archivePath = manifestPath.slice(0, -VOLUME_MANIFEST_EXTENSION.length)
+  let writer
+  const committed = []
+  try {
+    await pipelineStreams(createStreams, () => (writer = createVolumeWriter(archivePath, volumeSize, storage)), options)
+    await beforeCommit?.()
+    if (reserved) {
+      for (const { path } of writer.volumes) {
+        const context = { ...options.context, paths: { ...options.context?.paths, destination: path } }
+        await step('destination', context, () => storage.writeFile(path, '', { exclusive: true }))
+        committed.push(path)
+      }
+    }
+    for (const { tempPath, path } of writer.volumes) {
+      await step('destination', options.context, () => storage.rename(tempPath, path))
+      if (!reserved) {
+        committed.push(path)
+      }
+    }
+    const manifest = {
+      version: VOLUME_MANIFEST_VERSION,
+      archive: parse(archivePath).base,
+      size: writer.volumes.reduce((sum, { size }) => sum + size, 0),
+      volumeSize,
+      volumes: writer.volumes.map(({ path, size, sha256 }) => ({ name: parse(path).base, size, sha256 }))
+    }
+    await step('destination', options.context, () =>
+      writeFileAtomically(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`, storage)
+    )
+    if (!reserved) {
+      await step('destination', options.context, () => removeStaleVolumes(archivePath, writer.volumes.length, storage))
+    }
+  } catch (error) {
+    for (const { tempPath } of writer?.volumes ?? []) {
+      await storage.rm(tempPath)
+    }
+    for (const path of committed) {
+      await storage.rm(path)
+    }
+    if (reserved) {
+      await storage.rm(manifestPath)
+    }
+    throw error
+  }
+}
+
+/**
+ * @param {string} content
+ * @returns {VolumeManifest | null} `null`, якщо вміст не схожий на маніфест.
+ */
+function parseVolumeManifest(content) {
+  let manifest
+  try {
+    manifest = JSON.parse(content)
+  } catch {
+    return null
+  }
+  const isValid =
+    manifest?.version === VOLUME_MANIFEST_VERSION &&
+    typeof manifest.archive === 'string' &&
+    // Лише ім'я: маніфест не може посилатись на файли поза своєю директорією
+    parse(manifest.archive).base === manifest.archive &&
+    Number.isSafeInteger(manifest.size) &&
+    Array.isArray(manifest.volumes) &&
+    manifest.volumes.length > 0 &&
+    manifest.volumes.every(
+      (volume, index) =>
+        volume?.name === parse(getVolumePath(manifest.archive, index + 1)).base &&
+        Number.isSafeInteger(volume.size) &&
+        /^[0-9a-f]{64}$/.test(volume.sha256)
+    ) &&
+    manifest.volumes.reduce((sum, { size }) => sum + size, 0) === manifest.size
+  return isValid ? manifest : null
+}
+
+/**
+ * Відкриває набір томів за маніфестом або першим томом (`.001`, поруч з яким лежить маніфест).
+ * Перевіряє, що всі томи на місці й мають записаний розмір; sha256 перевіряється під час читання.
+ *
+ * @param {string} path - Маніфест, перший том або звичайний архів.
+ * @param {{ operation: string, paths: object }} context
+ * @param {import('./storage.js').StorageAdapter} storage
+ * @returns {Promise<{ archivePath: string, storage: import('./storage.js').StorageAdapter,
+ *   verify: () => Promise<void> } | null>} `null`, якщо `path` — не набір томів. `storage` віддає томи
+ *   як один файл `archivePath`, а решту шляхів — із `storage`; `verify` шукає пошкоджений том.
+ * @throws {IntegrityError} Якщо маніфест пошкоджений, том відсутній або має інший розмір.
+ */
+async function openVolumeSet(path, context, storage) {
+  let manifestPath = path
+  if (path.endsWith(FIRST_VOLUME_SUFFIX)) {
+    manifestPath = `${path.slice(0, -FIRST_VOLUME_SUFFIX.length)}${VOLUME_MANIFEST_EXTENSION}`
+    const hasManifest = await storage.access(manifestPath).then(
+      () => true,
+      () => false
+    )
+    if (!hasManifest) {
+      return null
+    }
+  } else if (!path.endsWith(VOLUME_MANIFEST_EXTENSION)) {
+    return null
+  }
+
+  const content = await step('source', context, () => storage.readFile(manifestPath))
+  const manifest = parseVolumeManifest(content.toString('utf8'))
+  if (!manifest) {
+    throw new IntegrityError(`Malformed volume manifest "${manifestPath}"`, context)
+  }
+  const { dir } = parse(manifestPath)
+  const archivePath = join(dir, manifest.archive)
+  const volumes = manifest.volumes.map(({ name, size, sha256 }) => ({ path: join(dir, name), size, sha256 }))
+
+  for (const volume of volumes) {
+    let stats
+    try {
+      stats = await step('source', context, () => storage.stat(volume.path))
+    } catch (error) {
+      if (error instanceof SourceNotFoundError) {
+        throw new IntegrityError(`Volume "${volume.path}" is missing`, { ...context, cause: error })
+      }
+      throw error
+    }
+    if (stats.size !== volume.size) {
+      throw new IntegrityError(
+        `Volume "${volume.path}" has ${stats.size} bytes, expected ${volume.size}: it is truncated or from another set`,
+        context
+      )
+    }
+  }
+
+  /**
+   * @param {{ path: string, sha256: string }} volume
+   * @returns {AsyncGenerator<Buffer>} Вміст тому; після останнього чанка — перевірка sha256.
+   */
+  async function* readVolume(volume) {
+    const hash = createHash('sha256')
+    for await (const chunk of storage.createReadStream(volume.path)) {
+      hash.update(chunk)
+      yield chunk
+    }
+    if (hash.digest('hex') !== volume.sha256) {
+      throw new IntegrityError(`Volume "${volume.path}" is corrupted: its sha256 does not match the manifest`, context)
+    }
+  }
+
+  const volumeStorage = {
+    ...storage,
+    access: (target) => (target === archivePath ? Promise.resolve() : storage.access(target)),
+    async stat(target) {
+      if (target !== archivePath) {
+        return storage.stat(target)
+      }
+      const { mtime } = await storage.stat(manifestPath)
+      return { size: manifest.size, mtime }
+    },
+    async read(target, position, length) {
+      if (target !== archivePath) {
+        return storage.read(target, position, length)
+      }
+      const parts = []
+      let volumeStart = 0
+      for (const volume of volumes) {
+        const from = Math.max(position, volumeStart)
+        const to = Math.min(position + length, volumeStart + volume.size)
+        if (from < to) {
+          parts.push(await storage.read(volume.path, from - volumeStart, to - from))
+        }
+        volumeStart += volume.size
+      }
+      return Buffer.concat(parts)
+    },
+    createReadStream(target) {
+      if (target !== archivePath) {
+        return storage.createReadStream(target)
+      }
+      return Readable.from(
+        (async function* () {
+          for (const volume of volumes) {
+            yield* readVolume(volume)
+          }
+        })(),
+        { objectMode: false }
+      )
+    }
+  }
+
+  return {
+    archivePath,
+    storage: volumeStorage,
+    async verify() {
+      for (const volume of volumes) {
+        await pipeline(readVolume(volume), createSink())
+      }
+    }
+  }
+}
+
+/**
+ * Уточнює помилку читання набору томів: кодек помічає пошкоджений том раніше, ніж дочитано його sha256,
+ * тож для помилок, схожих на пошкодження, шукаємо й називаємо сам том.
+ *
+ * @param {Awaited<ReturnType<typeof openVolumeSet>>} volumeSet
+ * @param {Error} error
+ * @returns {Promise<Error>} Початкова помилка, якщо всі томи цілі.
+ * @throws {IntegrityError} Якщо пошкоджений том знайдено.
+ */
+async function explainVolumeError(volumeSet, error) {
+  if (volumeSet && (error instanceof CorruptArchiveError || error.reason === 'tampered')) {
+    await volumeSet.verify()
+  }
+  return error
+}
+
+export {
+  VOLUME_MANIFEST_EXTENSION,
+  VOLUME_NUMBER_PATTERN,
+  assertVolumeSize,
+  explainVolumeError,
+  openVolumeSet,
+  pipelineToVolumes
+}
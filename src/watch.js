@@ -0,0 +1,278 @@
+import { watch, promises as fsPromises } from 'fs'
+import { EventEmitter } from 'events'
+import { join } from 'path'
+import { setTimeout as delay } from 'timers/promises'
+import { ALGORITHMS } from './algorithms.js'
+import { AbortedError, SourceNotFoundError } from './errors.js'
+import { DEFAULT_CONCURRENCY } from './batch.js'
+import { ENCRYPTION_EXTENSION } from './encryption.js'
+import { escapeRegExp, matchesGlob } from './glob.js'
+import { SIDECAR_EXTENSIONS } from './integrity.js'
+import { compressFile } from './main.js'
+import { SEEK_INDEX_EXTENSION } from './seek.js'
+import { VOLUME_MANIFEST_EXTENSION, VOLUME_NUMBER_PATTERN } from './volumes.js'
+
+/*
+ * Сервіс, що стежить за директорією й компресує файли, які в неї кладуть.
+ *
+ * `fs.watch` лише підказує, який файл змінився: компресія починається, коли два `stat` з інтервалом `settleMs`
+ * дали однакові розмір і mtime, тобто файл перестав рости. Архіви (зокрема зашифровані й томи з маніфестом), їхні
+ * супутні файли (`.sha256`, `.json`, `.idx`) та приховані файли (зокрема тимчасові файли самої бібліотеки)
+ * ігноруються, тож сервіс не стискає власних результатів.
+ */
+
+const DEFAULT_SETTLE_MS = 1000
+
+const DEFAULT_RETRIES = 3
+
+const DEFAULT_RETRY_DELAY_MS = 1000
+
+const anyOf = (extensions) => extensions.map(escapeRegExp).join('|')
+
+// Імена, які пише сама бібліотека: `<ім'я><алгоритм>[.enc][.001 | .manifest][.sha256 | .json | .idx]`
+const IGNORED_NAME = new RegExp(
+  `^\\.|(${anyOf(Object.values(ALGORITHMS).map(({ extension }) => extension))})` +
+    `(${escapeRegExp(ENCRYPTION_EXTENSION)})?` +
+    `(${VOLUME_NUMBER_PATTERN.source}|${escapeRegExp(VOLUME_MANIFEST_EXTENSION)})?` +
+    `(${anyOf([...Object.values(SIDECAR_EXTENSIONS), SEEK_INDEX_EXTENSION])})?$`
+)
+
+/**
+ * @typedef {EventEmitter & { close: () => Promise<void> }} DirectoryWatcher
+ * Події:
+ * - `compressed` — `{ source, output, attempts }` після успішної компресії;
+ * - `skipped` — `{ source }`, якщо з `incompressible: 'skip'` файл визнано нестисливим (оригінал не видаляється);
+ * - `retry` — `{ source, error, attempt, delayMs }` перед повторною спробою;
+ * - `failed` — `{ source, error, attempts }`, коли спроби вичерпано;
+ * - `error` — помилка самого спостереження (наприклад, директорію видалено); як і для будь-якого
+ *   `EventEmitter`, без обробника вона кидається.
+ */
+
+/**
+ * @param {string} name
+ * @param {unknown} value
+ * @throws {TypeError}
+ */
+function assertCount(name, value) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new TypeError(`Invalid ${name} "${value}"`)
+  }
+}
+
+/**
+ * Стежить за директорією (без піддиректорій) і компресує через `compressFile` файли, що з'являються або змінюються
+ * в ній, а також ті, що вже лежать там на момент запуску. Невдала компресія повторюється з експоненційною затримкою
+ * (`retryDelayMs`, `2 × retryDelayMs`, ...); файл, що зник, та некоректні опції не повторюються.
+ * Незмінений файл повторно не стискається.
+ *
+ * @param {string} dir - Директорія, за якою стежити.
+ * @param {object} [options] - Опції `compressFile` (`algorithm`, `level`, `onConflict`, `sidecar`...), а також:
+ * @param {string | string[]} [options.pattern='*'] - Glob-шаблони імен файлів, які треба стискати.
+ * @param {number} [options.settleMs=1000] - Скільки файл має не змінюватись, щоб вважатись дописаним.
+ * @param {boolean} [options.removeSource=false] - Видаляти оригінал після успішної компресії.
+ * @param {number} [options.retries=3] - Скільки разів повторювати невдалу компресію.
+ * @param {number} [options.retryDelayMs=1000] - Затримка перед першим повтором.
+ * @param {number} [options.concurrency=4] - Скільки файлів стискати одночасно.
+ * @param {AbortSignal} [options.signal] - Зупиняє сервіс, скасовуючи й поточні компресії.
+ * @returns {DirectoryWatcher} `close()` припиняє спостереження й повтори та чекає на поточні компресії.
+ * @throws {TypeError} Якщо `settleMs`, `retries`, `retryDelayMs` або `concurrency` некоректні.
+ * @throws {Error} Якщо директорію неможливо відстежувати (`ENOENT`, `ENOTDIR`...).
+ *
+ * @example
+ * const watcher = watchAndCompress('./uploads', { pattern: '*.csv', removeSource: true })
+ * watcher.on('compressed', ({ source, output }) => console.log(`${source} → ${output}`))
+ * watcher.on('failed', ({ source, error }) => console.error(`${source}: ${error.code}`))
+ * process.once('SIGTERM', () => watcher.close())
+ */
+function watchAndCompress(
+  dir,
+  {
+    pattern = '*',
+    settleMs = DEFAULT_SETTLE_MS,
+    removeSource = false,
+    retries = DEFAULT_RETRIES,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    concurrency = DEFAULT_CONCURRENCY,
+    signal,
+    ...options
+  } = {}
+) {
+  assertCount('settleMs', settleMs)
+  assertCount('retries', retries)
+  assertCount('retryDelayMs', retryDelayMs)
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new TypeError(`Invalid concurrency "${concurrency}"`)
+  }
+  const patterns = [pattern].flat()
+
+  const emitter = new EventEmitter()
+  // Зупиняє очікування та повтори; поточні компресії скасовує лише `signal` ззовні
+  const stopping = new AbortController()
+  /** @type {Map<string, { timer: NodeJS.Timeout | null, stats: import('fs').Stats | null }>} */
+  const settling = new Map()
+  // Розмір і mtime останньої стиснутої версії кожного файлу
+  const compressed = new Map()
+  const active = new Set()
+  const queue = []
+  const tasks = new Set()
+
+  const getSignature = ({ size, mtimeMs }) => `${size}:${mtimeMs}`
+
+  function arm(name) {
+    const entry = settling.get(name) ?? { timer: null, stats: null }
+    clearTimeout(entry.timer)
+    entry.timer = setTimeout(() => track(check(name)), settleMs)
+    settling.set(name, entry)
+  }
+
+  function track(task) {
+    const cleanup = () => tasks.delete(task)
+    tasks.add(task)
+    // `finally` повернув би новий проміс з тією ж помилкою, і вона стала б необробленою
+    task.then(cleanup, cleanup)
+  }
+
+  function onChange(name) {
+    if (stopping.signal.aborted || IGNORED_NAME.test(name) || !patterns.some((glob) => matchesGlob(name, glob))) {
+      return
+    }
+    if (!active.has(name) && !queue.includes(name)) {
+      arm(name)
+    }
+  }
+
+  async function check(name) {
+    const entry = settling.get(name)
+    let stats
+    try {
+      stats = await fsPromises.stat(join(dir, name))
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        emitter.emit('error', error)
+      }
+      settling.delete(name)
+      return
+    }
+    if (!stats.isFile() || compressed.get(name) === getSignature(stats)) {
+      settling.delete(name)
+      return
+    }
+    if (!entry.stats || getSignature(entry.stats) !== getSignature(stats)) {
+      // Файл ще змінюється або перевіряється вперше
+      entry.stats = stats
+      if (!stopping.signal.aborted) {
+        arm(name)
+      }
+      return
+    }
+    settling.delete(name)
+    queue.push(name)
+    await drain()
+  }
+
+  async function drain() {
+    while (queue.length > 0 && active.size < concurrency && !stopping.signal.aborted) {
+      const name = queue.shift()
+      active.add(name)
+      track(
+        compressWithRetry(name).finally(() => {
+          active.delete(name)
+          return drain()
+        })
+      )
+    }
+  }
+
+  async function compressOnce(name) {
+    const source = join(dir, name)
+    const { size, mtimeMs } = await fsPromises.stat(source)
+    const output = await compressFile(source, { ...options, signal })
+    compressed.set(name, getSignature({ size, mtimeMs }))
+    if (removeSource && output !== null) {
+      await fsPromises.rm(source, { force: true })
+    }
+    return output
+  }
+
+  async function compressWithRetry(name) {
+    const source = join(dir, name)
+    for (let attempt = 1; ; attempt++) {
+      let output
+      try {
+        output = await compressOnce(name)
+      } catch (error) {
+        if (error instanceof AbortedError) {
+          return
+        }
+        // Зниклий файл і некоректні опції повтор не виправить
+        const isFinal = error.code === 'ENOENT' || error instanceof SourceNotFoundError || error instanceof TypeError
+        if (isFinal || attempt > retries || stopping.signal.aborted) {
+          emitter.emit('failed', { source, error, attempts: attempt })
+          return
+        }
+        const delayMs = retryDelayMs * 2 ** (attempt - 1)
+        emitter.emit('retry', { source, error, attempt, delayMs })
+        try {
+          await delay(delayMs, undefined, { signal: stopping.signal })
+        } catch {
+          emitter.emit('failed', { source, error, attempts: attempt })
+          return
+        }
+        continue
+      }
+      if (output === null) {
+        emitter.emit('skipped', { source })
+      } else {
+        emitter.emit('compressed', { source, output, attempts: attempt })
+      }
+      return
+    }
+  }
+
+  const watcher = watch(dir, (eventType, name) => {
+    if (name) {
+      onChange(name)
+    } else {
+      // Платформа не повідомила ім'я — перевіряємо всю директорію
+      track(scan())
+    }
+  })
+  watcher.on('error', (error) => emitter.emit('error', error))
+
+  async function scan() {
+    try {
+      for (const entry of await fsPromises.readdir(dir, { withFileTypes: true })) {
+        if (entry.isFile()) {
+          onChange(entry.name)
+        }
+      }
+    } catch (error) {
+      emitter.emit('error', error)
+    }
+  }
+
+  let closing = null
+
+  function close() {
+    closing ??= (async () => {
+      stopping.abort()
+      watcher.close()
+      for (const { timer } of settling.values()) {
+        clearTimeout(timer)
+      }
+      settling.clear()
+      queue.length = 0
+      while (tasks.size > 0) {
+        await Promise.allSettled(tasks)
+      }
+    })()
+    return closing
+  }
+
+  signal?.addEventListener('abort', close, { once: true })
+  track(scan())
+
+  return Object.assign(emitter, { close })
+}
+
+export { watchAndCompress }